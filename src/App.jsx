@@ -2,8 +2,6 @@ import React, { Suspense, lazy, useCallback, useEffect, useMemo, useRef, useStat
 import dayjs from 'dayjs'
 import customParseFormat from 'dayjs/plugin/customParseFormat'
 import Papa from 'papaparse'
-import jsPDF from 'jspdf'
-import html2canvas from 'html2canvas'
 
 import {
   createUserWithEmailAndPassword,
@@ -20,19 +18,92 @@ import {
   addDoc,
   collection,
   deleteDoc,
+  deleteField,
   doc,
+  getDocs,
   onSnapshot,
   orderBy,
   query,
   setDoc,
+  updateDoc,
   where,
-  writeBatch,
 } from 'firebase/firestore'
 
 import { auth, db } from './firebaseClient'
 import { useToast } from './components/Toast.jsx'
 import { Skeleton } from './ui/Skeleton.jsx'
-import { formatCurrency, monthRangeISO, normalizeAmountString, parseAmountNumber } from './utils/format.js'
+import { formatCurrency, normalizeAmountString, parseAmountNumber } from './utils/format.js'
+import { convertAmount, CURRENCIES, currencySymbol, makeConverter, parseRatesFile, rebaseRates, stampMissingCurrency, unconvertedCurrencies } from './utils/currency.js'
+import { ACCOUNT_KINDS, balanceSeries, currentBalances, isCashFlow, isTransfer } from './utils/accounts.js'
+import { addToCategoryTotals, amountForCategory, hasCategory, isSplit, lineItems, primaryCategory, validateSplits } from './utils/splits.js'
+import {
+  AMOUNT_MODES,
+  applyCsvMapping,
+  CSV_DATE_FORMATS,
+  CSV_FIELDS,
+  detectProfile,
+  guessMapping,
+  headerSignature,
+  parseCsvText,
+  transactionsToCsvRows,
+} from './utils/csv.js'
+import { detectImporter, findImportedBankIds, importedTransactionId, STATEMENT_ACCEPT } from './utils/importers/index.js'
+import { commitInChunks } from './utils/batch.js'
+import { ATTACHMENT_ACCEPT, attachmentUrl, flushUploads, MAX_ATTACHMENTS, prepareAttachment, queueAttachments, removeAttachment, scheduleReceiptCleanup, UNDO_WINDOW_MS } from './utils/attachments.js'
+import { backupFileName, createBackup, RESTORE_MODES, restoreBackup, validateBackup } from './utils/backup.js'
+import { LOW_CONFIDENCE } from './utils/receipts.js'
+import { formatTag, hasPayee, hasTag, historyLabels, labelBreakdown, normalizePayee, parseTags } from './utils/tags.js'
+import { isEmptyQuery, matchesQuery, parseQuery, queryBounds, queryTotals, SEARCH_FIELDS } from './utils/search.js'
+import { addTag, applyChanges, deleteTransactions, moveToDate, recategorize, removeTag, restoreTransactions, revertChanges } from './utils/bulk.js'
+import { findDuplicate, loadDuplicateCandidates, mergeFields } from './utils/duplicates.js'
+import { loadTrainingTransactions, suggestCategory, suggestRows, trainCategoryModel } from './utils/suggest.js'
+import { categoryDeltas, COMPARE_MODES, comparisonRange, RANGE_PRESETS, rangeISO, resolveRange } from './utils/ranges.js'
+import { AVERAGE_MONTHS, averagesStart, buildForecast, discretionaryAverages, FORECAST_HORIZONS } from './utils/forecast.js'
+import { linkedLoanIds, linkRepayments, loanPayment, loanRepayments, loanSummary, outstandingBalance, replayLoan, splitRepayment } from './utils/loans.js'
+import { goalLink, goalProgress, goalsHistoryStart } from './utils/goals.js'
+import { blankCondition, categorizeRows, conditionProblem, describeRule, findRule, newRuleId, RULE_FIELDS, RULE_OPERATORS, rulesDiff } from './utils/rules.js'
+import {
+  CATEGORY_ICONS,
+  CATEGORY_PALETTE,
+  categoryColor,
+  categoryIcon,
+  categoryLabel,
+  childrenOf,
+  findCategory,
+  isLegacyCategoryList,
+  makeCategory,
+  normalizeCategories,
+  orderCategories,
+  reassignCategory,
+  rollupByParent,
+} from './utils/categories.js'
+import {
+  canEdit,
+  createHousehold,
+  createInvite,
+  ensureLegacyMembership,
+  isOwner,
+  memberLabel,
+  ownerFields,
+  redeemInvite,
+  removeMember,
+  restoredAuthor,
+  roleOf,
+  ROLE_LABELS,
+  setMemberRole,
+} from './utils/households.js'
+import {
+  BUDGET_PERIODS,
+  budgetStatus,
+  categoryBudgetsFor,
+  historyStart,
+  moveCategoryBudgets,
+  periodOf,
+  periodRange,
+  readyToAssign,
+  totalBudgetFor,
+} from './utils/budgets.js'
+import { committedSpend, describeSchedule, FREQUENCIES, materializeDueRecurring, occurrenceAfter, occurrenceOnOrAfter, WEEKDAYS } from './utils/recurring.js'
 
 import './styles.css'
 
@@ -45,8 +116,8 @@ let chartRegistered = false
 async function ensureChart() {
   if (chartRegistered) return
   const chartMod = await import('chart.js')
-  const { Chart: ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, PointElement, LineElement } = chartMod
-  ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, PointElement, LineElement)
+  const { Chart: ChartJS, ArcElement, Tooltip, Legend, CategoryScale, LinearScale, PointElement, LineElement, BarElement } = chartMod
+  ChartJS.register(ArcElement, Tooltip, Legend, CategoryScale, LinearScale, PointElement, LineElement, BarElement)
   chartRegistered = true
 }
 
@@ -62,17 +133,18 @@ const LineChart = lazy(async () => {
   return { default: mod.Line }
 })
 
-/* ---------------- Utils / Hooks ---------------- */
-function currencySymbol(curr) {
-  switch (curr) {
-    case 'USD': return '$'
-    case 'GBP': return '£'
-    case 'EGP': return 'E£'
-    case 'AED': return 'د.إ'
-    default: return '€'
-  }
-}
+const BarChart = lazy(async () => {
+  await ensureChart()
+  const mod = await import('react-chartjs-2')
+  return { default: mod.Bar }
+})
 
+// Hand-drawn SVG charts for what Chart.js has no element for.
+const CalendarHeatmap = lazy(() => import('./components/charts.jsx').then((mod) => ({ default: mod.CalendarHeatmap })))
+const SankeyFlow = lazy(() => import('./components/charts.jsx').then((mod) => ({ default: mod.SankeyFlow })))
+const Sparkline = lazy(() => import('./components/charts.jsx').then((mod) => ({ default: mod.Sparkline })))
+
+/* ---------------- Utils / Hooks ---------------- */
 function useAuth() {
   const [user, setUser] = useState(null)
   const [loading, setLoading] = useState(true)
@@ -80,6 +152,175 @@ function useAuth() {
   return { user, loading }
 }
 
+function useHouseholds(user) {
+  const [households, setHouseholds] = useState([])
+  const [loading, setLoading] = useState(true)
+  useEffect(() => {
+    if (!user) {
+      setHouseholds([])
+      return undefined
+    }
+    setLoading(true)
+    ensureLegacyMembership(user).catch((err) => console.error('Household migration failed', err))
+    const qRef = query(collection(db, 'households'), where('memberIds', 'array-contains', user.uid))
+    const unsub = onSnapshot(qRef, (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      list.sort((a, b) => (a.id === user.uid ? -1 : b.id === user.uid ? 1 : (a.name || '').localeCompare(b.name || '')))
+      setHouseholds(list)
+      setLoading(false)
+    }, () => setLoading(false))
+    return () => unsub()
+  }, [user])
+  return { households, loading }
+}
+
+/** Budget template (`settings/budget`) plus the per-month overrides in `budgets`, keyed by YYYY-MM. */
+function useBudgets(householdId, refreshToken) {
+  const [budgets, setBudgets] = useState({ settings: null, months: {} })
+  useEffect(() => {
+    if (!householdId) return undefined
+    const unsubSettings = onSnapshot(doc(db, 'households', householdId, 'settings', 'budget'), (snap) => {
+      setBudgets((prev) => ({ ...prev, settings: snap.exists() ? snap.data() : null }))
+    })
+    const unsubMonths = onSnapshot(collection(db, 'households', householdId, 'budgets'), (snap) => {
+      const months = {}
+      snap.forEach((docSnap) => { months[docSnap.id] = docSnap.data() })
+      setBudgets((prev) => ({ ...prev, months }))
+    })
+    return () => {
+      unsubSettings()
+      unsubMonths()
+    }
+  }, [householdId, refreshToken])
+  return budgets
+}
+
+/** Categorisation rules from `settings/rules`, in priority order. */
+function useRules(householdId, refreshToken) {
+  const [rules, setRules] = useState([])
+  useEffect(() => {
+    if (!householdId) return undefined
+    const unsub = onSnapshot(doc(db, 'households', householdId, 'settings', 'rules'), (snap) => {
+      setRules(snap.exists() && Array.isArray(snap.data().rules) ? snap.data().rules : [])
+    })
+    return () => unsub()
+  }, [householdId, refreshToken])
+  return rules
+}
+
+/**
+ * The household's recent history, loaded once for the New tab: `model` is the category model
+ * trained on it (null until loaded), `labels` the payees and tags for autocomplete.
+ */
+function useTrainingHistory(householdId, refreshToken) {
+  const [history, setHistory] = useState({ model: null, labels: { payees: [], tags: [] } })
+  useEffect(() => {
+    if (!householdId) return undefined
+    let cancelled = false
+    loadTrainingTransactions(householdId)
+      .then((list) => { if (!cancelled) setHistory({ model: trainCategoryModel(list), labels: historyLabels(list) }) })
+      .catch((err) => console.error('Loading recent history failed', err))
+    return () => { cancelled = true }
+  }, [householdId, refreshToken])
+  return history
+}
+
+/** Named Overview searches (`{ name, query, allTime, pinned }`), ordered by name. */
+function useSavedFilters(householdId, refreshToken) {
+  const [filters, setFilters] = useState([])
+  useEffect(() => {
+    if (!householdId) return undefined
+    const unsub = onSnapshot(collection(db, 'households', householdId, 'savedFilters'), (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      list.sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+      setFilters(list)
+    })
+    return () => unsub()
+  }, [householdId, refreshToken])
+  return filters
+}
+
+/** Savings goals, ordered by deadline (goals without one last). */
+function useGoals(householdId, refreshToken) {
+  const [goals, setGoals] = useState([])
+  useEffect(() => {
+    if (!householdId) return undefined
+    const unsub = onSnapshot(collection(db, 'households', householdId, 'goals'), (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      list.sort((a, b) => (a.deadline || '9999').localeCompare(b.deadline || '9999') || (a.name || '').localeCompare(b.name || ''))
+      setGoals(list)
+    })
+    return () => unsub()
+  }, [householdId, refreshToken])
+  return goals
+}
+
+function useLoans(householdId, refreshToken) {
+  const [loans, setLoans] = useState([])
+  useEffect(() => {
+    if (!householdId) return undefined
+    const unsub = onSnapshot(collection(db, 'households', householdId, 'loans'), (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      list.sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+      setLoans(list)
+    })
+    return () => unsub()
+  }, [householdId, refreshToken])
+  return loans
+}
+
+/** Live list of every transaction dated between the two ISO strings; empty while `start` is null. */
+function useTransactionsBetween(householdId, start, end, refreshToken) {
+  const [transactions, setTransactions] = useState([])
+  useEffect(() => {
+    if (!householdId || !start) {
+      setTransactions([])
+      return undefined
+    }
+    const qRef = query(
+      collection(db, 'households', householdId, 'transactions'),
+      where('date', '>=', start),
+      where('date', '<=', end),
+      orderBy('date', 'desc'),
+    )
+    const unsub = onSnapshot(qRef, (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      setTransactions(list)
+    })
+    return () => unsub()
+  }, [householdId, start, end, refreshToken])
+  return transactions
+}
+
+/**
+ * Transactions that touch an account, for balances. One listener shared by the Accounts tab,
+ * the forecast and account goals; `enabled` keeps it closed while none of them is on screen.
+ */
+function useAccountTransactions(householdId, enabled, refreshToken) {
+  const [state, setState] = useState({ transactions: [], loading: true })
+  useEffect(() => {
+    if (!householdId || !enabled) {
+      setState({ transactions: [], loading: !householdId })
+      return undefined
+    }
+    setState((prev) => ({ ...prev, loading: true }))
+    const qRef = query(collection(db, 'households', householdId, 'transactions'), where('accountId', '!=', null))
+    const unsub = onSnapshot(qRef, (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      list.sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+      setState({ transactions: list, loading: false })
+    })
+    return () => unsub()
+  }, [householdId, enabled, refreshToken])
+  return state
+}
+
 function useLocalStorageState(key, initialValue) {
   const [value, setValue] = useState(() => {
     try {
@@ -144,21 +385,38 @@ function usePullToRefresh(onRefresh) {
 }
 
 /* ---------------- UI ---------------- */
-function Header({ currency }) {
+function Header({ currency, households = [], householdId, onSwitchHousehold }) {
   return (
     <header className="app-header">
       <div className="brand">JinoFin</div>
       <div className="app-header-meta" aria-live="polite">
+        {households.length > 1 && (
+          <select
+            className="household-switcher"
+            value={householdId}
+            onChange={(e) => onSwitchHousehold?.(e.target.value)}
+            aria-label="Switch household"
+          >
+            {households.map((h) => <option key={h.id} value={h.id}>{h.name || 'Household'}</option>)}
+          </select>
+        )}
         <span>{currencySymbol(currency)} • {currency}</span>
       </div>
     </header>
   )
 }
 
+function UnconvertedNote({ items, toBase }) {
+  const codes = unconvertedCurrencies(items, toBase)
+  if (!codes.length) return null
+  return <p className="helper-text amount-neg">Amounts in {codes.join(', ')} are left out of these totals: add {codes.length === 1 ? 'a rate' : 'rates'} in Settings → Currency.</p>
+}
+
 function Navbar({ tab, setTab }) {
   const items = [
     { key: 'New', label: 'New', icon: (<svg className="nav-icon" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="1.8" fill="none"><path d="M12 5v14M5 12h14" /></svg>) },
     { key: 'Overview', label: 'Overview', icon: (<svg className="nav-icon" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="1.8" fill="none"><path d="M4 7h16M4 12h16M4 17h16" /></svg>) },
+    { key: 'Accounts', label: 'Accounts', icon: (<svg className="nav-icon" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="1.8" fill="none"><path d="M4 7h14a2 2 0 0 1 2 2v9a2 2 0 0 1-2 2H4z" /><path d="M4 7l11-3v3" /><path d="M16 13h2" /></svg>) },
     { key: 'Analytics', label: 'Analytics', icon: (<svg className="nav-icon" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="1.8" fill="none"><path d="M5 19V9m6 10V5m6 14V12" /></svg>) },
     { key: 'Settings', label: 'Settings', icon: (<svg className="nav-icon" viewBox="0 0 24 24" stroke="currentColor" strokeWidth="1.8" fill="none"><path d="M12 8a4 4 0 1 1 0 8 4 4 0 0 1 0-8z" /><path d="M4 12h2l1-2 2-1-1-3 3-1 1 2h2l1-2 3 1-1 3 2 1 1 2h2" strokeLinecap="round" /></svg>) },
   ]
@@ -223,14 +481,15 @@ function SignUpSheet({ onClose }) {
   const [password, setPassword] = useState('')
   const [loading, setLoading] = useState(false)
 
-  const seedDefaults = async (uid) => {
-    await setDoc(doc(db, 'households', uid), {
-      categories: DEFAULT_CATEGORIES,
+  const seedDefaults = async (user) => {
+    await setDoc(doc(db, 'households', user.uid), {
+      categories: normalizeCategories(DEFAULT_CATEGORIES),
       currency: 'EUR',
       totalBudget: 2000,
-      ...(name ? { name } : {}),
+      name: name ? `${name}'s household` : 'My household',
+      ...ownerFields(user),
     })
-    await setDoc(doc(db, 'households', uid, 'settings', 'budget'), {
+    await setDoc(doc(db, 'households', user.uid, 'settings', 'budget'), {
       totalBudget: 2000,
       categoryBudgets: {},
       currency: 'EUR',
@@ -242,7 +501,7 @@ function SignUpSheet({ onClose }) {
     try {
       const cred = await createUserWithEmailAndPassword(auth, email, password)
       if (name) await updateProfile(cred.user, { displayName: name })
-      await seedDefaults(cred.user.uid)
+      await seedDefaults(cred.user)
       pushToast({ message: 'Account created! Sign in to continue.', variant: 'success' })
       onClose?.()
     } catch (err) {
@@ -329,121 +588,205 @@ function Welcome({ onContinueSignIn, onShowSignUp, onShowHelp }) {
   )
 }
 
-/* ---------------- New: add entry ---------------- */
-function NewTab({ uid, categories, currency, totalBudget, budgetsDocRef, refreshToken }) {
-  const { pushToast } = useToast()
-  const [type, setType] = useState('expense')
-  const [category, setCategory] = useState(categories[0] || 'Other')
-  const [amount, setAmount] = useState('')
-  const [date, setDate] = useState(dayjs().format('YYYY-MM-DDTHH:mm'))
-  const [note, setNote] = useState('')
-  const [saving, setSaving] = useState(false)
-  const [catBudgets, setCatBudgets] = useState({})
-  const [leftInfo, setLeftInfo] = useState({ text: '', value: null, budget: 0, spent: 0, pending: 0 })
+/* ---------------- Categories ---------------- */
+function CategoryOptions({ tree, names }) {
+  return names.map((name) => {
+    const icon = categoryIcon(tree, name)
+    return <option key={name} value={name}>{icon ? `${icon} ` : ''}{categoryLabel(tree, name)}</option>
+  })
+}
 
-  useEffect(() => {
-    setCategory((prev) => (categories.includes(prev) ? prev : categories[0] || 'Other'))
-  }, [categories])
+/* ---------------- Transaction form (shared by New + Edit) ---------------- */
+function blankForm(categories, currency, accounts = []) {
+  return {
+    type: 'expense',
+    category: categories[0] || 'Other',
+    amount: '',
+    currency,
+    accountId: accounts[0]?.id || '',
+    toAccountId: '',
+    splits: [],
+    date: dayjs().format('YYYY-MM-DDTHH:mm'),
+    payee: '',
+    note: '',
+    tags: [],
+  }
+}
 
-  useEffect(() => {
-    if (!budgetsDocRef) return
-    const unsub = onSnapshot(budgetsDocRef, (snap) => {
-      if (snap.exists()) setCatBudgets(snap.data().categoryBudgets || {})
-    })
-    return () => unsub()
-  }, [budgetsDocRef, refreshToken])
+function formFromTransaction(tx, baseCurrency) {
+  return {
+    type: ['income', 'transfer'].includes(tx.type) ? tx.type : 'expense',
+    category: tx.category || 'Other',
+    amount: normalizeAmountString(Number(tx.amount || 0).toFixed(2)),
+    currency: tx.currency || baseCurrency,
+    accountId: tx.accountId || '',
+    toAccountId: tx.toAccountId || '',
+    splits: isSplit(tx) ? tx.splits.map((line) => ({ category: line.category, amount: normalizeAmountString(Number(line.amount || 0).toFixed(2)) })) : [],
+    date: dayjs(tx.date).format('YYYY-MM-DDTHH:mm'),
+    payee: tx.payee || '',
+    note: tx.note || '',
+    tags: tx.tags || [],
+  }
+}
 
-  useEffect(() => {
-    if (type !== 'expense' || !uid || !category) {
-      setLeftInfo((prev) => ({ ...prev, text: '', value: null, budget: 0, spent: 0, pending: 0 }))
+// Returns `{ error }` or `{ values }` ready to be written to Firestore.
+function validateForm(form) {
+  const parsed = parseAmountNumber(form.amount)
+  if (!Number.isFinite(parsed) || parsed <= 0) return { error: 'Enter a valid amount' }
+  const values = {
+    type: form.type,
+    amount: parsed,
+    currency: form.currency,
+    date: dayjs(form.date).toISOString(),
+    note: form.note.trim(),
+    // Left out when empty, so editing them away clears the stored fields.
+    ...(normalizePayee(form.payee) ? { payee: normalizePayee(form.payee) } : {}),
+    ...(form.tags.length ? { tags: form.tags } : {}),
+  }
+  if (form.type === 'transfer') {
+    if (!form.accountId || !form.toAccountId) return { error: 'Pick both accounts for the transfer' }
+    if (form.accountId === form.toAccountId) return { error: 'Transfer needs two different accounts' }
+    return { values: { ...values, accountId: form.accountId, toAccountId: form.toAccountId } }
+  }
+  const account = form.accountId ? { accountId: form.accountId } : {}
+  if (form.splits.length) {
+    const lines = form.splits.map((line) => ({ category: line.category, amount: parseAmountNumber(line.amount) }))
+    const splitError = validateSplits(lines, parsed)
+    if (splitError) return { error: splitError }
+    return { values: { ...values, category: primaryCategory(lines), splits: lines, ...account } }
+  }
+  if (!form.category) return { error: 'Select a category' }
+  return { values: { ...values, category: form.category, ...account } }
+}
+
+function useTransactionForm(initial) {
+  const [form, setForm] = useState(initial)
+  const setField = useCallback((key, val) => {
+    setForm((prev) => ({ ...prev, [key]: typeof val === 'function' ? val(prev[key]) : val }))
+  }, [])
+  return [form, setField, setForm]
+}
+
+function SplitLines({ form, setField, categories, categoryTree, idPrefix }) {
+  const { splits, amount, currency } = form
+  const remaining = (parseAmountNumber(amount) || 0) - splits.reduce((sum, line) => sum + (parseAmountNumber(line.amount) || 0), 0)
+
+  const updateLine = (idx, key, value) => {
+    setField('splits', (prev) => prev.map((line, i) => (i === idx ? { ...line, [key]: value } : line)))
+  }
+
+  const removeLine = (idx) => setField('splits', (prev) => prev.filter((_, i) => i !== idx))
+
+  const addLine = () => {
+    const used = new Set(splits.map((line) => line.category))
+    const next = categories.find((c) => !used.has(c)) || categories[0] || 'Other'
+    setField('splits', (prev) => [...prev, { category: next, amount: remaining > 0 ? normalizeAmountString(remaining.toFixed(2)) : '' }])
+  }
+
+  return (
+    <div className="inline-field">
+      <label>Split across categories</label>
+      {splits.map((line, idx) => (
+        <div key={idx} className="split-row">
+          <select value={line.category} onChange={(e) => updateLine(idx, 'category', e.target.value)} aria-label={`Category for line ${idx + 1}`}>
+            <CategoryOptions tree={categoryTree} names={categories.includes(line.category) ? categories : [line.category, ...categories]} />
+          </select>
+          <input
+            id={`${idPrefix}-split-${idx}`}
+            inputMode="decimal"
+            placeholder="0.00"
+            value={line.amount}
+            onChange={(e) => updateLine(idx, 'amount', normalizeAmountString(e.target.value))}
+            aria-label={`Amount for line ${idx + 1}`}
+          />
+          <button type="button" className="button btn-outline" onClick={() => removeLine(idx)} disabled={splits.length <= 2} aria-label={`Remove line ${idx + 1}`}>×</button>
+        </div>
+      ))}
+      <div className="flex-between">
+        <button type="button" className="button btn-outline" onClick={addLine}>Add line</button>
+        <span className={Math.abs(remaining) < 0.005 ? 'small muted' : 'small amount-neg'}>
+          {Math.abs(remaining) < 0.005 ? 'Fully assigned' : `${formatCurrency(remaining, currency)} ${remaining > 0 ? 'left to assign' : 'over total'}`}
+        </span>
+      </div>
+    </div>
+  )
+}
+
+/** `flagged` lists fields filled in automatically (e.g. from a receipt scan) that the user should check. */
+function TransactionFields({ form, setField, categories, categoryTree, accounts = [], idPrefix = 'tx', flagged = [], labels }) {
+  const { type, category, amount, currency, accountId, toAccountId, splits, date, payee, note, tags } = form
+  const confirmClass = (key) => (flagged.includes(key) ? 'needs-confirm' : undefined)
+  const currencyOptions = CURRENCIES.includes(currency) ? CURRENCIES : [currency, ...CURRENCIES]
+  const quickValues = useMemo(() => (type === 'expense' ? [5, 10, 20, 50, 75, 100, 150, 200] : [50, 100, 250, 500, 750, 1000]), [type])
+  const categoryOptions = categories.includes(category) ? categories : [category, ...categories]
+
+  const toggleSplit = () => {
+    if (splits.length) {
+      setField('category', primaryCategory(splits.map((line) => ({ ...line, amount: parseAmountNumber(line.amount) || 0 }))))
+      setField('splits', [])
       return
     }
-    const monthKey = dayjs(date).format('YYYY-MM')
-    const { start, end } = monthRangeISO(monthKey)
-    const qRef = query(
-      collection(db, 'households', uid, 'transactions'),
-      where('date', '>=', start),
-      where('date', '<=', end),
-      where('type', '==', 'expense'),
-      where('category', '==', category),
-      orderBy('date', 'desc'),
-    )
-    const unsub = onSnapshot(qRef, (snap) => {
-      let spent = 0
-      snap.forEach((docSnap) => { spent += Number(docSnap.data().amount || 0) })
-      const budget = Number(catBudgets[category] || 0)
-      const pending = type === 'expense' ? (parseAmountNumber(amount) || 0) : 0
-      const left = budget - spent - pending
-      let text = ''
-      if (budget > 0) {
-        text = `${formatCurrency(left, currency)} left this month for ${category}`
-      } else {
-        text = 'No budget set for this category.'
-      }
-      setLeftInfo({ text, value: left, budget, spent, pending })
-    })
-    return () => unsub()
-  }, [uid, category, date, amount, currency, catBudgets, type, refreshToken])
+    const other = categories.find((c) => c !== category) || category
+    setField('splits', [{ category, amount }, { category: other, amount: '' }])
+  }
 
-  const quickValues = useMemo(() => (type === 'expense' ? [5, 10, 20, 50, 75, 100, 150, 200] : [50, 100, 250, 500, 750, 1000]), [type])
+  const pickAccount = (key, id) => {
+    setField(key, id)
+    const account = accounts.find((a) => a.id === id)
+    if (key === 'accountId' && account?.currency) setField('currency', account.currency)
+  }
 
   const applyChip = (chip) => {
-    setAmount((prev) => {
+    setField('amount', (prev) => {
       const base = parseAmountNumber(prev) || 0
       const next = base + chip
       return normalizeAmountString(next.toFixed(2))
     })
   }
 
-  const save = async () => {
-    const parsed = parseAmountNumber(amount)
-    if (!Number.isFinite(parsed) || parsed <= 0) {
-      pushToast({ message: 'Enter a valid amount', variant: 'error' })
-      return
-    }
-    if (!category) {
-      pushToast({ message: 'Select a category', variant: 'error' })
-      return
-    }
-    setSaving(true)
-    try {
-      const iso = dayjs(date).toISOString()
-      const payload = {
-        type,
-        amount: parsed,
-        category,
-        date: iso,
-        note: note.trim(),
-        createdAt: new Date().toISOString(),
-      }
-      await addDoc(collection(db, 'households', uid, 'transactions'), payload)
-      setAmount('')
-      setNote('')
-      navigator.vibrate?.(10)
-      pushToast({ message: `${type === 'expense' ? 'Expense' : 'Income'} saved`, variant: 'success' })
-    } catch (err) {
-      pushToast({ message: err.message || 'Failed to save transaction', variant: 'error' })
-    } finally {
-      setSaving(false)
-    }
-  }
-
   return (
-    <section className="app-card elevated">
+    <>
       <div className="row">
-        <button type="button" className={`button ${type === 'expense' ? '' : 'btn-muted'}`} onClick={() => setType('expense')}>Expense</button>
-        <button type="button" className={`button ${type === 'income' ? '' : 'btn-muted'}`} onClick={() => setType('income')}>Income</button>
+        <button type="button" className={`button ${type === 'expense' ? '' : 'btn-muted'}`} onClick={() => setField('type', 'expense')}>Expense</button>
+        <button type="button" className={`button ${type === 'income' ? '' : 'btn-muted'}`} onClick={() => setField('type', 'income')}>Income</button>
+        {(accounts.length > 1 || type === 'transfer') && (
+          <button type="button" className={`button ${type === 'transfer' ? '' : 'btn-muted'}`} onClick={() => setField('type', 'transfer')}>Transfer</button>
+        )}
       </div>
 
-      <div className="inline-field">
-        <label>Category</label>
-        <select value={category} onChange={(e) => setCategory(e.target.value)}>
-          {categories.map((c) => <option key={c} value={c}>{c}</option>)}
-        </select>
-      </div>
+      {accounts.length > 0 && (
+        <div className="row">
+          <div className="inline-field">
+            <label htmlFor={`${idPrefix}-account`}>{type === 'transfer' ? 'From account' : 'Account'}</label>
+            <select id={`${idPrefix}-account`} value={accountId} onChange={(e) => pickAccount('accountId', e.target.value)}>
+              {type !== 'transfer' && <option value="">No account</option>}
+              {type === 'transfer' && !accountId && <option value="">Select…</option>}
+              {accounts.map((a) => <option key={a.id} value={a.id}>{a.name}</option>)}
+            </select>
+          </div>
+          {type === 'transfer' && (
+            <div className="inline-field">
+              <label htmlFor={`${idPrefix}-to-account`}>To account</label>
+              <select id={`${idPrefix}-to-account`} value={toAccountId} onChange={(e) => pickAccount('toAccountId', e.target.value)}>
+                <option value="">Select…</option>
+                {accounts.filter((a) => a.id !== accountId).map((a) => <option key={a.id} value={a.id}>{a.name}</option>)}
+              </select>
+            </div>
+          )}
+        </div>
+      )}
+
+      {type !== 'transfer' && !splits.length && (
+        <div className="inline-field">
+          <label htmlFor={`${idPrefix}-category`}>Category</label>
+          <select id={`${idPrefix}-category`} value={category} onChange={(e) => setField('category', e.target.value)}>
+            <CategoryOptions tree={categoryTree} names={categoryOptions} />
+          </select>
+        </div>
+      )}
 
       <div className="inline-field">
-        <label>Amount</label>
+        <label htmlFor={`${idPrefix}-amount`}>Amount</label>
         <div className="quick-chips">
           {quickValues.map((chip) => (
             <button key={chip} type="button" className="quick-chip" onClick={() => applyChip(chip)}>
@@ -451,663 +794,4241 @@ function NewTab({ uid, categories, currency, totalBudget, budgetsDocRef, refresh
             </button>
           ))}
         </div>
-        <input
-          type="text"
-          inputMode="decimal"
-          placeholder="0.00"
-          value={amount}
-          onChange={(e) => setAmount(normalizeAmountString(e.target.value))}
-          onBlur={(e) => setAmount(normalizeAmountString(e.target.value))}
-        />
+        <div className="amount-row">
+          <input
+            id={`${idPrefix}-amount`}
+            type="text"
+            inputMode="decimal"
+            placeholder="0.00"
+            className={confirmClass('amount')}
+            value={amount}
+            onChange={(e) => setField('amount', normalizeAmountString(e.target.value))}
+            onBlur={(e) => setField('amount', normalizeAmountString(e.target.value))}
+          />
+          <select className={confirmClass('currency')} value={currency} onChange={(e) => setField('currency', e.target.value)} aria-label="Currency">
+            {currencyOptions.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </div>
       </div>
 
+      {type !== 'transfer' && splits.length > 0 && <SplitLines form={form} setField={setField} categories={categories} categoryTree={categoryTree} idPrefix={idPrefix} />}
+      {type !== 'transfer' && (
+        <button type="button" className="button btn-outline" onClick={toggleSplit}>{splits.length ? 'Use a single category' : 'Split across categories'}</button>
+      )}
+
       <div className="inline-field">
-        <label>Date &amp; time</label>
-        <input type="datetime-local" value={date} onChange={(e) => setDate(e.target.value)} />
+        <label htmlFor={`${idPrefix}-date`}>Date &amp; time</label>
+        <input id={`${idPrefix}-date`} type="datetime-local" className={confirmClass('date')} value={date} onChange={(e) => setField('date', e.target.value)} />
       </div>
 
       <div className="inline-field">
-        <label>Note (optional)</label>
-        <textarea value={note} onChange={(e) => setNote(e.target.value)} rows={3} />
+        <label htmlFor={`${idPrefix}-payee`}>Payee (optional)</label>
+        <input id={`${idPrefix}-payee`} className={confirmClass('payee')} list={`${idPrefix}-payees`} value={payee} onChange={(e) => setField('payee', e.target.value)} placeholder="Shop, company or person" autoComplete="off" />
+        <datalist id={`${idPrefix}-payees`}>
+          {(labels?.payees || []).map((p) => <option key={p.name} value={p.name} />)}
+        </datalist>
       </div>
 
-      {type === 'expense' && (
-        <details className="foldable" open={leftInfo.budget > 0}>
-          <summary className="toggle-row">
-            <span>Budget insight</span>
-            {leftInfo.budget > 0 ? (
-              <span className={leftInfo.value >= 0 ? 'amount-pos' : 'amount-neg'}>
-                {formatCurrency(leftInfo.value, currency)}
-              </span>
-            ) : (
-              <span className="small muted">No budget set</span>
-            )}
-          </summary>
-          <div className="foldable-content">
-            <div className="flex-between"><span>Monthly budget</span><span>{formatCurrency(leftInfo.budget || 0, currency)}</span></div>
-            <div className="flex-between"><span>Spent so far</span><span>{formatCurrency(leftInfo.spent || 0, currency)}</span></div>
-            <div className="flex-between"><span>This entry</span><span>{formatCurrency(parseAmountNumber(amount) || 0, currency)}</span></div>
-            <div className="flex-between"><span>Left after save</span><span className={leftInfo.value >= 0 ? 'amount-pos' : 'amount-neg'}>{formatCurrency(leftInfo.value || 0, currency)}</span></div>
-          </div>
-        </details>
-      )}
+      <div className="inline-field">
+        <label htmlFor={`${idPrefix}-note`}>Note (optional)</label>
+        <textarea id={`${idPrefix}-note`} className={confirmClass('note')} value={note} onChange={(e) => setField('note', e.target.value)} rows={3} />
+      </div>
 
-      <button className="button" onClick={save} disabled={saving}>{saving ? 'Saving…' : 'Save transaction'}</button>
-      <p className="small muted">Overall monthly budget: {formatCurrency(totalBudget || 0, currency)}</p>
-    </section>
+      <TagInput id={`${idPrefix}-tags`} tags={tags} onChange={(next) => setField('tags', next)} suggestions={labels?.tags || []} />
+    </>
   )
 }
 
-/* ---------------- Overview ---------------- */
-function OverviewTab({ uid, categories, currency, refreshToken }) {
+/** Tags as removable chips plus a text box; space, comma or Enter turns what was typed into tags. */
+function TagInput({ id, tags, onChange, suggestions }) {
+  const [text, setText] = useState('')
+  const commit = (value) => {
+    const added = parseTags(value).filter((tag) => !tags.includes(tag))
+    if (added.length) onChange([...tags, ...added])
+    setText('')
+  }
+  return (
+    <div className="inline-field">
+      <label htmlFor={id}>Tags (optional)</label>
+      {tags.length > 0 && (
+        <div className="tag-list">
+          {tags.map((tag) => (
+            <button key={tag} type="button" className="tag-chip" onClick={() => onChange(tags.filter((t) => t !== tag))} aria-label={`Remove tag ${tag}`}>
+              {formatTag(tag)} ×
+            </button>
+          ))}
+        </div>
+      )}
+      <input
+        id={id}
+        list={`${id}-known`}
+        value={text}
+        placeholder="#vacation2026 #work"
+        autoComplete="off"
+        onChange={(e) => (/[\s,;]$/.test(e.target.value) ? commit(e.target.value) : setText(e.target.value))}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault()
+            commit(text)
+          } else if (e.key === 'Backspace' && !text && tags.length) {
+            onChange(tags.slice(0, -1))
+          }
+        }}
+        onBlur={() => commit(text)}
+      />
+      <datalist id={`${id}-known`}>
+        {suggestions.filter((tag) => !tags.includes(tag)).map((tag) => <option key={tag} value={tag} />)}
+      </datalist>
+    </div>
+  )
+}
+
+/* ---------------- New: add entry ---------------- */
+function NewTab({ householdId, role, categories, categoryTree, accounts, currency, toBase, budgets, rules, totalBudget, refreshToken }) {
   const { pushToast } = useToast()
-  const [monthKey, setMonthKey] = useState(dayjs().format('YYYY-MM'))
-  const [typeFilter, setTypeFilter] = useState('All')
-  const [categoryFilter, setCategoryFilter] = useState('All')
-  const [search, setSearch] = useState('')
-  const [transactions, setTransactions] = useState([])
-  const [loading, setLoading] = useState(true)
-  const fileRef = useRef(null)
-  const [csvPreview, setCsvPreview] = useState(null)
-  const [importing, setImporting] = useState(false)
+  const [form, setField] = useTransactionForm(() => blankForm(categories, currency, accounts))
+  const { type, amount, date } = form
+  // With a split, the insight follows the first line's category.
+  const category = form.splits.length ? form.splits[0].category : form.category
+  const [saving, setSaving] = useState(false)
+  const [recurringRules, setRecurringRules] = useState([])
+  const [receipts, setReceipts] = useState([])
+  // Fields a receipt scan filled in with low confidence; editing one clears its flag.
+  const [flagged, setFlagged] = useState([])
+  const [scanProgress, setScanProgress] = useState(null)
 
   useEffect(() => {
-    if (!uid) return undefined
-    setLoading(true)
-    const { start, end } = monthRangeISO(monthKey)
-    const qRef = query(
-      collection(db, 'households', uid, 'transactions'),
-      where('date', '>=', start),
-      where('date', '<=', end),
-      orderBy('date', 'desc'),
-    )
-    const unsub = onSnapshot(qRef, (snap) => {
+    setField('category', (prev) => (categories.includes(prev) ? prev : categories[0] || 'Other'))
+  }, [categories, setField])
+
+  useEffect(() => {
+    setField('currency', currency)
+  }, [currency, setField])
+
+  useEffect(() => {
+    setField('accountId', (prev) => (prev === '' || accounts.some((a) => a.id === prev) ? prev : ''))
+    if (accounts.length < 2) setField('type', (prev) => (prev === 'transfer' ? 'expense' : prev))
+  }, [accounts, setField])
+
+  const pendingBase = toBase({ amount: parseAmountNumber(form.amount) || 0, currency: form.currency })
+  const pendingForCategory = form.splits.length
+    ? amountForCategory({ currency: form.currency, splits: form.splits.map((line) => ({ category: line.category, amount: parseAmountNumber(line.amount) || 0 })) }, category, toBase)
+    : pendingBase
+
+  useEffect(() => {
+    if (!householdId) return undefined
+    const unsub = onSnapshot(collection(db, 'households', householdId, 'recurring'), (snap) => {
       const list = []
       snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
-      setTransactions(list)
-      setLoading(false)
+      setRecurringRules(list)
     })
     return () => unsub()
-  }, [uid, monthKey, refreshToken])
+  }, [householdId, refreshToken])
 
-  const months = useMemo(() => Array.from({ length: 6 }, (_, idx) => dayjs().subtract(idx, 'month').format('YYYY-MM')), [])
+  const insightRange = useMemo(() => {
+    if (type !== 'expense' || !category) return { start: null, end: null }
+    const { end } = periodRange(periodOf(budgets.settings, category), date)
+    return { start: historyStart(budgets.settings, [category], date).toISOString(), end: end.toISOString() }
+  }, [type, category, date, budgets.settings])
+  const insightHistory = useTransactionsBetween(householdId, insightRange.start, insightRange.end, refreshToken)
 
-  const filtered = useMemo(() => {
-    const needle = search.trim().toLowerCase()
-    return transactions.filter((tx) => {
-      if (typeFilter !== 'All' && tx.type !== typeFilter.toLowerCase()) return false
-      if (categoryFilter !== 'All' && tx.category !== categoryFilter) return false
-      if (!needle) return true
-      return [tx.category, tx.note, dayjs(tx.date).format('MMM D YYYY HH:mm')]
-        .some((val) => val?.toString().toLowerCase().includes(needle))
-    })
-  }, [transactions, typeFilter, categoryFilter, search])
+  const leftInfo = useMemo(() => {
+    if (!insightRange.start) return { value: null, budget: 0, carry: 0, spent: 0, committed: 0, period: 'monthly', hasBudget: false }
+    // Split transactions count only their lines for this category.
+    const status = budgetStatus(category, date, { ...budgets, transactions: insightHistory, toBase })
+    const from = dayjs().isAfter(status.start) ? dayjs() : status.start
+    const committed = committedSpend(recurringRules, category, from, status.end.toISOString(), toBase)
+    return { ...status, value: status.left - committed - pendingForCategory, committed, hasBudget: status.budget > 0 || status.carry !== 0 }
+  }, [insightRange.start, category, date, budgets, insightHistory, toBase, recurringRules, pendingForCategory])
 
-  const totals = useMemo(() => {
-    return filtered.reduce((acc, tx) => {
-      const val = Number(tx.amount || 0)
-      if (tx.type === 'income') acc.income += val
-      else acc.expense += val
-      return acc
-    }, { income: 0, expense: 0 })
-  }, [filtered])
+  const { model: categoryModel, labels } = useTrainingHistory(householdId, refreshToken)
 
-  const net = totals.income - totals.expense
+  // Only suggests; the user's own pick always wins.
+  const suggestedRule = useMemo(() => {
+    if (form.splits.length || !form.note.trim()) return null
+    const rule = findRule(rules, { type, note: form.note, amount: parseAmountNumber(amount), date, currency: form.currency })
+    return rule && rule.category !== form.category && categories.includes(rule.category) ? rule : null
+  }, [rules, type, form.note, form.splits.length, form.category, form.currency, amount, date, categories])
+
+  const learned = useMemo(() => {
+    if (form.splits.length || (!form.note.trim() && !form.payee.trim())) return null
+    const suggestion = suggestCategory(categoryModel, { type, payee: form.payee, note: form.note, date, amount: parseAmountNumber(amount), currency: form.currency })
+    return suggestion && categories.includes(suggestion.category) ? suggestion : null
+  }, [categoryModel, type, form.payee, form.note, form.splits.length, form.currency, amount, date, categories])
+
+  // The learned category is pre-selected until the user picks one by hand; clearing note and payee resets that.
+  const pickedCategory = useRef(false)
+  const setFormField = useCallback((key, value) => {
+    if (key === 'category') pickedCategory.current = true
+    setFlagged((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : prev))
+    setField(key, value)
+  }, [setField])
+  useEffect(() => {
+    if (!form.note.trim() && !form.payee.trim()) pickedCategory.current = false
+  }, [form.note, form.payee])
+  useEffect(() => {
+    if (learned && !suggestedRule && !pickedCategory.current) setField('category', learned.category)
+  }, [learned, suggestedRule, setField])
 
-  const parseDateToISO = (val) => {
-    if (!val && val !== 0) return null
-    const candidates = ['YYYY-MM-DD', 'YYYY/MM/DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DDTHH:mm', 'YYYY-MM-DD HH:mm', 'DD.MM.YYYY']
-    for (const fmt of candidates) {
-      const d = dayjs(val, fmt, true)
-      if (d.isValid()) return d.toISOString()
+  const goals = useGoals(householdId, refreshToken)
+  // Category goals become an expense in that category; account goals a transfer into the account.
+  const canContribute = (goal) => (goal.accountId
+    ? accounts.length > 1 && accounts.some((a) => a.id === goal.accountId)
+    : categories.includes(goal.category))
+  const contributeTo = (goal) => {
+    setField('splits', [])
+    if (goal.accountId) {
+      setField('type', 'transfer')
+      setField('toAccountId', goal.accountId)
+      setField('accountId', (prev) => (prev && prev !== goal.accountId ? prev : accounts.find((a) => a.id !== goal.accountId).id))
+    } else {
+      setField('type', 'expense')
+      setFormField('category', goal.category)
     }
-    const d2 = dayjs(val)
-    return d2.isValid() ? d2.toISOString() : null
+    setField('note', (prev) => prev || goal.name)
   }
 
-  const handleImportClick = () => fileRef.current?.click()
+  const loans = useLoans(householdId, refreshToken)
+  const [loanId, setLoanId] = useState('')
+  const [loanBalance, setLoanBalance] = useState(null)
+  const repaidLoan = type === 'expense' && !form.splits.length ? loans.find((loan) => loan.id === loanId) : null
+  useEffect(() => {
+    if (!householdId || !loanId) {
+      setLoanBalance(null)
+      return undefined
+    }
+    const loan = loans.find((l) => l.id === loanId)
+    if (!loan) return undefined
+    const qRef = query(collection(db, 'households', householdId, 'transactions'), where('loan.id', '==', loanId))
+    const unsub = onSnapshot(qRef, (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push(docSnap.data()))
+      setLoanBalance(outstandingBalance(loan, list))
+    })
+    return () => unsub()
+  }, [householdId, loanId, loans])
+  const loanSplit = repaidLoan && loanBalance != null ? splitRepayment(repaidLoan, loanBalance, pendingBase) : null
+
+  // OCR runs on the device; the photo is also kept as the transaction's receipt.
+  const scan = async ([receipt]) => {
+    setReceipts((prev) => [...prev, receipt].slice(0, MAX_ATTACHMENTS))
+    setScanProgress(0)
+    try {
+      const { scanReceipt } = await import('./utils/ocr.js')
+      const found = await scanReceipt(receipt.blob, { currencies: CURRENCIES, onProgress: setScanProgress })
+      const filled = Object.entries({ amount: found.amount, date: found.date, payee: found.merchant, currency: found.currency }).filter(([, field]) => field)
+      if (!filled.length) {
+        pushToast({ message: 'Nothing readable found on this receipt', variant: 'error' })
+        return
+      }
+      filled.forEach(([key, field]) => setField(key, field.value))
+      setFlagged(filled.filter(([, field]) => field.confidence < LOW_CONFIDENCE).map(([key]) => key))
+      pushToast({ message: 'Filled in from the receipt', variant: 'success' })
+    } catch (err) {
+      console.error('Receipt scan failed', err)
+      pushToast({ message: 'Could not read this receipt', variant: 'error' })
+    } finally {
+      setScanProgress(null)
+    }
+  }
+
+  const save = async () => {
+    const { error, values } = validateForm(form)
+    if (error) {
+      pushToast({ message: error, variant: 'error' })
+      return
+    }
+    setSaving(true)
+    try {
+      if (values.type !== 'transfer') {
+        // A failed lookup (e.g. offline with an empty cache) must never block saving.
+        const nearby = await loadDuplicateCandidates(householdId, [values.date]).catch(() => [])
+        const match = findDuplicate(values, nearby, currency)
+        const label = match && `${formatCurrency(match.tx.amount, match.tx.currency || currency)} ${match.tx.category || ''} on ${dayjs(match.tx.date).format('MMM D')}`
+        if (match && !window.confirm(`This looks like ${label}${match.tx.note ? ` ("${match.tx.note}")` : ''}, which is already saved. Save it anyway?`)) return
+      }
+      // The id is needed up front so queued receipts know which transaction they belong to.
+      const ref = doc(collection(db, 'households', householdId, 'transactions'))
+      const attachments = receipts.length ? await queueAttachments(householdId, ref.id, receipts) : null
+      const payload = {
+        ...values,
+        ...(loanSplit && values.type === 'expense' && !values.splits ? { loan: { id: repaidLoan.id, ...loanSplit } } : {}),
+        ...(attachments ? { attachments } : {}),
+        createdAt: new Date().toISOString(),
+        createdBy: auth.currentUser?.uid || null,
+      }
+      await setDoc(ref, payload)
+      if (attachments) flushUploads().catch((err) => console.error('Receipt upload failed', err))
+      // A back-dated repayment shifts the split of every later one.
+      if (payload.loan) replayLoan(householdId, payload.loan.id, toBase).catch((err) => console.error('Loan replay failed', err))
+      setField('amount', '')
+      setField('payee', '')
+      setField('note', '')
+      setField('tags', [])
+      setField('splits', [])
+      setLoanId('')
+      setReceipts([])
+      setFlagged([])
+      navigator.vibrate?.(10)
+      pushToast({ message: `${{ expense: 'Expense', income: 'Income', transfer: 'Transfer' }[type]} saved`, variant: 'success' })
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to save transaction', variant: 'error' })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  return (
+    <section className="app-card elevated">
+      {goals.some(canContribute) && (
+        <div className="inline-field">
+          <label>Contribute to goal</label>
+          <div className="quick-chips">
+            {goals.filter(canContribute).map((goal) => (
+              <button key={goal.id} type="button" className="quick-chip" onClick={() => contributeTo(goal)}>{goal.name}</button>
+            ))}
+          </div>
+        </div>
+      )}
+      {canEdit(role) && receipts.length < MAX_ATTACHMENTS && (
+        <AttachButton onPrepared={scan} accept="image/*" multiple={false} capture="environment" disabled={scanProgress != null} label="Scan receipt">
+          {scanProgress != null ? `Reading receipt… ${Math.round(scanProgress * 100)}%` : undefined}
+        </AttachButton>
+      )}
+      {flagged.length > 0 && <p className="helper-text">Check the highlighted fields; the receipt was hard to read there.</p>}
+      <TransactionFields form={form} setField={setFormField} categories={categories} categoryTree={categoryTree} accounts={accounts} idPrefix="new" flagged={flagged} labels={labels} />
+      {learned && !suggestedRule && (learned.category !== form.category || (!amount && learned.amount != null)) && (
+        <div className="flex-between suggestion">
+          <span className="small">
+            {learned.category === form.category ? 'Usually' : <>From your history: <strong>{categoryLabel(categoryTree, learned.category)}</strong></>}
+            {!amount && learned.amount != null && <span className="muted"> {learned.category === form.category ? '' : '· usually '}{formatCurrency(learned.amount, form.currency)}</span>}
+          </span>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            {learned.category !== form.category && <button type="button" className="button btn-outline" onClick={() => setFormField('category', learned.category)}>Use</button>}
+            {!amount && learned.amount != null && <button type="button" className="button btn-outline" onClick={() => setField('amount', normalizeAmountString(learned.amount.toFixed(2)))}>Fill amount</button>}
+          </div>
+        </div>
+      )}
+      {suggestedRule && (
+        <div className="flex-between suggestion">
+          <span className="small">Suggested: <strong>{categoryLabel(categoryTree, suggestedRule.category)}</strong> <span className="muted">({describeRule(suggestedRule).split(' → ')[0]})</span></span>
+          <button type="button" className="button btn-outline" onClick={() => setFormField('category', suggestedRule.category)}>Use</button>
+        </div>
+      )}
+      {type === 'expense' && !form.splits.length && loans.length > 0 && (
+        <div className="inline-field">
+          <label htmlFor="new-loan">Loan repayment</label>
+          <select id="new-loan" value={loanId} onChange={(e) => setLoanId(e.target.value)}>
+            <option value="">Not a repayment</option>
+            {loans.map((loan) => <option key={loan.id} value={loan.id}>{loan.name}</option>)}
+          </select>
+          {loanSplit && amount && (
+            <p className="helper-text">
+              {formatCurrency(loanSplit.principal, currency)} principal · {formatCurrency(loanSplit.interest, currency)} interest · {formatCurrency(Math.max(0, loanBalance - loanSplit.principal), currency)} left after this
+            </p>
+          )}
+        </div>
+      )}
+      {form.currency !== currency && amount && (
+        <p className="small muted">
+          ≈ {formatCurrency(pendingBase, currency)}
+          {!toBase.hasRate(form.currency) && ' — no rate for this currency yet, add one in Settings'}
+        </p>
+      )}
+
+      {type === 'expense' && (
+        <details className="foldable" open={leftInfo.hasBudget}>
+          <summary className="toggle-row">
+            <span>Budget insight</span>
+            {leftInfo.hasBudget ? (
+              <span className={leftInfo.value >= 0 ? 'amount-pos' : 'amount-neg'}>
+                {formatCurrency(leftInfo.value, currency)}
+              </span>
+            ) : (
+              <span className="small muted">No budget set</span>
+            )}
+          </summary>
+          <div className="foldable-content">
+            <div className="flex-between"><span>{BUDGET_PERIODS[leftInfo.period]} budget</span><span>{formatCurrency(leftInfo.budget || 0, currency)}</span></div>
+            {leftInfo.carry !== 0 && (
+              <div className="flex-between"><span>Rolled over</span><span className={leftInfo.carry >= 0 ? 'amount-pos' : 'amount-neg'}>{formatCurrency(leftInfo.carry, currency)}</span></div>
+            )}
+            <div className="flex-between"><span>Spent so far</span><span>{formatCurrency(leftInfo.spent || 0, currency)}</span></div>
+            {leftInfo.committed > 0 && (
+              <div className="flex-between"><span>Committed (recurring)</span><span>{formatCurrency(leftInfo.committed, currency)}</span></div>
+            )}
+            <div className="flex-between"><span>This entry</span><span>{formatCurrency(pendingForCategory, currency)}</span></div>
+            <div className="flex-between"><span>Left after save</span><span className={leftInfo.value >= 0 ? 'amount-pos' : 'amount-neg'}>{formatCurrency(leftInfo.value || 0, currency)}</span></div>
+          </div>
+        </details>
+      )}
+
+      <div className="inline-field">
+        <AttachmentThumbs
+          attachments={Object.fromEntries(receipts.map((receipt) => [receipt.id, receipt.meta]))}
+          onOpen={async (id) => URL.createObjectURL(receipts.find((receipt) => receipt.id === id).blob)}
+          onRemove={(id) => setReceipts((prev) => prev.filter((receipt) => receipt.id !== id))}
+        />
+        {receipts.length < MAX_ATTACHMENTS && canEdit(role) && (
+          <AttachButton onPrepared={(prepared) => setReceipts((prev) => [...prev, ...prepared].slice(0, MAX_ATTACHMENTS))} />
+        )}
+      </div>
+
+      <button className="button" onClick={save} disabled={saving || !canEdit(role)}>{saving ? 'Saving…' : 'Save transaction'}</button>
+      {!canEdit(role) && <p className="small muted">You have view-only access to this household.</p>}
+      <p className="small muted">Overall monthly budget: {formatCurrency(totalBudget || 0, currency)}</p>
+    </section>
+  )
+}
+
+/* ---------------- Receipts ---------------- */
+/** Button that lets the user pick receipt photos or PDFs and hands them over compressed. */
+function AttachButton({ onPrepared, disabled, className = 'button btn-outline', style, label = 'Attach receipt', accept = ATTACHMENT_ACCEPT, multiple = true, capture, children }) {
+  const { pushToast } = useToast()
+  const fileRef = useRef(null)
+  const [preparing, setPreparing] = useState(false)
+
+  const onFileSelected = async (e) => {
+    const files = Array.from(e.target.files || [])
+    if (!files.length) return
+    setPreparing(true)
+    const prepared = []
+    for (const file of files) {
+      try {
+        prepared.push(await prepareAttachment(file))
+      } catch (err) {
+        pushToast({ message: err.message || `Could not attach ${file.name}`, variant: 'error' })
+      }
+    }
+    setPreparing(false)
+    if (fileRef.current) fileRef.current.value = ''
+    if (prepared.length) onPrepared(prepared)
+  }
+
+  return (
+    <>
+      <button type="button" className={className} style={style} onClick={() => fileRef.current?.click()} disabled={disabled || preparing} aria-label={label}>
+        {children || (preparing ? 'Compressing…' : label)}
+      </button>
+      <input ref={fileRef} type="file" accept={accept} multiple={multiple} capture={capture} style={{ display: 'none' }} onChange={onFileSelected} />
+    </>
+  )
+}
+
+/**
+ * Thumbnails for an `attachments` map; tapping one opens it. Receipts still waiting to upload are
+ * marked and open from the local copy. `onOpen(id, attachment)` overrides how a URL is found.
+ */
+function AttachmentThumbs({ attachments, onRemove, onOpen }) {
+  const { pushToast } = useToast()
+  const entries = Object.entries(attachments || {}).sort(([, a], [, b]) => (a.addedAt || '').localeCompare(b.addedAt || ''))
+  if (!entries.length) return null
+
+  const open = async (id, attachment) => {
+    // Opened before the await so popup blockers treat it as a direct result of the tap.
+    const win = window.open('', '_blank')
+    const url = await (onOpen ? onOpen(id, attachment) : attachmentUrl(id, attachment)).catch(() => null)
+    if (!url) {
+      win?.close()
+      pushToast({ message: 'This receipt has not been uploaded from the device it was added on yet', variant: 'error' })
+      return
+    }
+    if (win) win.location.href = url
+    else window.location.assign(url)
+  }
+
+  return (
+    <div className="attachment-thumbs">
+      {entries.map(([id, attachment]) => (
+        <div key={id} className="attachment-thumb">
+          <button type="button" onClick={() => open(id, attachment)} title={attachment.name} aria-label={`Open ${attachment.name}`}>
+            {attachment.thumb ? <img src={attachment.thumb} alt="" /> : <span className="small">{attachment.type === 'application/pdf' ? 'PDF' : 'File'}</span>}
+          </button>
+          {onOpen == null && !attachment.url && <span className="attachment-pending" title="Waiting to upload">⇡</span>}
+          {onRemove && <button type="button" className="attachment-remove" onClick={() => onRemove(id, attachment)} aria-label={`Remove ${attachment.name}`}>×</button>}
+        </div>
+      ))}
+    </div>
+  )
+}
+
+/* ---------------- Edit sheet ---------------- */
+const EDITABLE_FIELDS = ['type', 'amount', 'currency', 'category', 'splits', 'accountId', 'toAccountId', 'date', 'payee', 'note', 'tags']
+
+function EditTransactionSheet({ householdId, tx, categories, categoryTree, accounts, currency, toBase, labels, onClose }) {
+  const { pushToast } = useToast()
+  const [form, setField] = useTransactionForm(() => formFromTransaction(tx, currency))
+
+  const save = () => {
+    const { error, values } = validateForm(form)
+    if (error) {
+      pushToast({ message: error, variant: 'error' })
+      return
+    }
+    const current = { ...tx, currency: tx.currency || currency }
+    const changed = EDITABLE_FIELDS.some((key) => JSON.stringify(values[key]) !== JSON.stringify(current[key]))
+    if (!changed) {
+      onClose?.()
+      return
+    }
+    const ref = doc(db, 'households', householdId, 'transactions', tx.id)
+    // Fields the new values no longer carry (e.g. `toAccountId` after turning a transfer into an expense) are cleared.
+    const cleared = Object.fromEntries(EDITABLE_FIELDS.filter((key) => !(key in values) && tx[key] != null).map((key) => [key, deleteField()]))
+    const previous = Object.fromEntries(EDITABLE_FIELDS.map((key) => [key, tx[key] ?? (key === 'note' ? '' : deleteField())]))
+    const fail = (err) => pushToast({ message: err.message || 'Failed to update transaction', variant: 'error' })
+    // A repayment that stops being a plain expense leaves its loan; one whose amount or date moves
+    // changes its own principal/interest split and every later one's, so the loan is replayed.
+    const loanId = tx.loan?.id
+    const leavesLoan = Boolean(loanId) && (values.type !== 'expense' || Boolean(values.splits))
+    const movesLoan = Boolean(loanId) && (leavesLoan || ['amount', 'currency', 'date'].some((key) => values[key] !== current[key]))
+    const replay = () => {
+      if (movesLoan) replayLoan(householdId, loanId, toBase).catch(fail)
+    }
+    // Not awaited: offline, the write is queued in IndexedDB and only resolves once the server acknowledges it.
+    updateDoc(ref, { ...values, ...cleared, ...(leavesLoan ? { loan: deleteField() } : {}), updatedAt: new Date().toISOString(), updatedBy: auth.currentUser?.uid || null }).catch(fail)
+    replay()
+    navigator.vibrate?.(10)
+    pushToast({
+      message: 'Transaction updated',
+      variant: 'success',
+      action: {
+        label: 'Undo',
+        onClick: () => {
+          updateDoc(ref, {
+            ...previous,
+            ...(leavesLoan ? { loan: tx.loan } : {}),
+            updatedAt: tx.updatedAt ?? deleteField(),
+            updatedBy: tx.updatedBy ?? deleteField(),
+          }).catch(fail)
+          replay()
+        },
+      },
+    })
+    onClose?.()
+  }
+
+  return (
+    <div className="overlay" onClick={onClose} role="dialog" aria-modal="true" aria-label="Edit transaction">
+      <div className="sheet sheet-scroll" onClick={(e) => e.stopPropagation()}>
+        <h3 className="card-title">Edit transaction</h3>
+        <TransactionFields form={form} setField={setField} categories={categories} categoryTree={categoryTree} accounts={accounts} idPrefix="edit" labels={labels} />
+        <div className="row">
+          <button className="button btn-outline" type="button" onClick={onClose}>Cancel</button>
+          <button className="button" type="button" onClick={save}>Save changes</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/* ---------------- CSV column mapping ---------------- */
+/** Preview rows that become new transactions: valid, and not a duplicate the user skipped or merged. */
+function importableRows(rows) {
+  return rows.filter((row) => row.valid && (!row.duplicateOf || row.dupAction === 'keep'))
+}
+
+function CsvMappingModal({ draft, setDraft, profiles, currency, onCancel, onContinue }) {
+  const { headers, records, mapping } = draft
+  const setMapping = (patch) => setDraft((prev) => ({ ...prev, mapping: { ...prev.mapping, ...patch } }))
+  const setColumn = (field, column) => setMapping({ columns: { ...mapping.columns, [field]: column } })
+  const sample = useMemo(() => applyCsvMapping(records.slice(0, 3), mapping, currency), [records, mapping, currency])
+
+  const amountFields = { typed: ['amount', 'type'], signed: ['amount'], columns: ['debit', 'credit'] }[mapping.amountMode]
+  const fields = ['date', ...amountFields, 'payee', 'note', 'category', 'tags', 'currency', 'split']
+
+  const applyProfile = (id) => {
+    const profile = profiles.find((p) => p.id === id)
+    setDraft((prev) => ({
+      ...prev,
+      profileId: id,
+      profileName: profile?.name || '',
+      mapping: profile ? { ...guessMapping(prev.headers), ...profile.mapping } : guessMapping(prev.headers),
+    }))
+  }
+
+  return (
+    <div className="overlay centered" onClick={onCancel}>
+      <div className="modal-card modal-scroll" onClick={(e) => e.stopPropagation()}>
+        <h3 className="card-title">Map CSV columns</h3>
+        {profiles.length > 0 && (
+          <div className="inline-field">
+            <label htmlFor="csv-profile">Bank profile</label>
+            <select id="csv-profile" value={draft.profileId} onChange={(e) => applyProfile(e.target.value)}>
+              <option value="">None</option>
+              {profiles.map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+            {draft.detected && <p className="helper-text">Recognised from the header row.</p>}
+          </div>
+        )}
+        <div className="filters">
+          <div className="inline-field">
+            <label htmlFor="csv-delimiter">Delimiter</label>
+            <select id="csv-delimiter" value={mapping.delimiter} onChange={(e) => setDraft((prev) => ({ ...prev, reparse: e.target.value }))}>
+              <option value="">Auto</option>
+              <option value=",">Comma</option>
+              <option value=";">Semicolon</option>
+              <option value={'\t'}>Tab</option>
+              <option value="|">Pipe</option>
+            </select>
+          </div>
+          <div className="inline-field">
+            <label htmlFor="csv-decimal">Decimal</label>
+            <select id="csv-decimal" value={mapping.decimal} onChange={(e) => setMapping({ decimal: e.target.value })}>
+              <option value="auto">Auto</option>
+              <option value=".">1,234.56</option>
+              <option value=",">1.234,56</option>
+            </select>
+          </div>
+          <div className="inline-field">
+            <label htmlFor="csv-date-format">Date format</label>
+            <select id="csv-date-format" value={mapping.dateFormat} onChange={(e) => setMapping({ dateFormat: e.target.value })}>
+              <option value="auto">Auto</option>
+              {CSV_DATE_FORMATS.map((fmt) => <option key={fmt} value={fmt}>{fmt}</option>)}
+            </select>
+          </div>
+        </div>
+        <div className="inline-field">
+          <label htmlFor="csv-amount-mode">Amounts</label>
+          <select id="csv-amount-mode" value={mapping.amountMode} onChange={(e) => setMapping({ amountMode: e.target.value })}>
+            {Object.entries(AMOUNT_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+        {mapping.amountMode === 'signed' && (
+          <div className="inline-field">
+            <label htmlFor="csv-negative">Negative amounts are</label>
+            <select id="csv-negative" value={mapping.negative} onChange={(e) => setMapping({ negative: e.target.value })}>
+              <option value="expense">Expenses (money out)</option>
+              <option value="income">Income (money in)</option>
+            </select>
+          </div>
+        )}
+        <div className="filters">
+          {fields.map((field) => (
+            <div key={field} className="inline-field">
+              <label htmlFor={`csv-col-${field}`}>{CSV_FIELDS[field]}</label>
+              <select id={`csv-col-${field}`} value={mapping.columns[field] || ''} onChange={(e) => setColumn(field, e.target.value)}>
+                <option value="">—</option>
+                {headers.map((h) => <option key={h} value={h}>{h}</option>)}
+              </select>
+            </div>
+          ))}
+        </div>
+        <table className="table-preview">
+          <thead>
+            <tr>
+              <th>Date</th>
+              <th>Type</th>
+              <th>Amount</th>
+              <th>Note</th>
+            </tr>
+          </thead>
+          <tbody>
+            {sample.map((row, idx) => (
+              <tr key={idx}>
+                <td>{row.date ? dayjs(row.date).format('YYYY-MM-DD') : '—'}</td>
+                <td>{row.valid ? row.type : row.error}</td>
+                <td>{Number.isFinite(row.amount) ? formatCurrency(row.amount, row.currency) : '—'}</td>
+                <td>{row.note}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <div className="inline-field">
+          <label htmlFor="csv-profile-name">Save as profile</label>
+          <input id="csv-profile-name" value={draft.profileName} onChange={(e) => setDraft((prev) => ({ ...prev, profileName: e.target.value }))} placeholder="e.g. My bank current account" />
+          <p className="helper-text">Leave empty to import without saving. Profiles are recognised from the header row next time.</p>
+        </div>
+        <div className="row">
+          <button className="button btn-outline" type="button" onClick={onCancel}>Cancel</button>
+          <button className="button" type="button" onClick={onContinue} disabled={!mapping.columns.date}>Preview</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+/* ---------------- Overview ---------------- */
+/** Range preset select plus the start/end inputs a custom range needs; shared by Overview and Analytics. */
+function RangeFields({ spec, setSpec, idPrefix }) {
+  return (
+    <>
+      <div className="inline-field">
+        <label htmlFor={`${idPrefix}-range`}>Period</label>
+        <select id={`${idPrefix}-range`} value={spec.preset} onChange={(e) => setSpec((prev) => ({ ...prev, preset: e.target.value }))}>
+          {Object.entries(RANGE_PRESETS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+        </select>
+      </div>
+      {spec.preset === 'custom' && (
+        <>
+          <div className="inline-field">
+            <label htmlFor={`${idPrefix}-range-start`}>From</label>
+            <input id={`${idPrefix}-range-start`} type="date" value={spec.start} onChange={(e) => setSpec((prev) => ({ ...prev, start: e.target.value }))} />
+          </div>
+          <div className="inline-field">
+            <label htmlFor={`${idPrefix}-range-end`}>To</label>
+            <input id={`${idPrefix}-range-end`} type="date" value={spec.end} onChange={(e) => setSpec((prev) => ({ ...prev, end: e.target.value }))} />
+          </div>
+        </>
+      )}
+    </>
+  )
+}
+
+function blankRangeSpec() {
+  return { preset: 'month', month: dayjs().format('YYYY-MM'), start: dayjs().startOf('month').format('YYYY-MM-DD'), end: dayjs().format('YYYY-MM-DD') }
+}
+
+/** The last `count` month keys, newest first. */
+function recentMonths(count) {
+  return Array.from({ length: count }, (_, idx) => dayjs().subtract(idx, 'month').format('YYYY-MM'))
+}
+
+const LONG_PRESS_MS = 500
+
+function downloadCsv(transactions, currency, name) {
+  const csv = Papa.unparse(transactionsToCsvRows(transactions, currency))
+  const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
+  const url = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = url
+  a.download = `${name}-${dayjs().format('YYYYMMDD-HHmm')}.csv`
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+function OverviewTab({ householdId, household, role, categories, categoryTree, accounts, currency, toBase, rules, drill, refreshToken }) {
+  const { pushToast } = useToast()
+  // A chart click in Analytics opens this tab with its filters preset.
+  const [rangeSpec, setRangeSpec] = useState(() => (drill?.range ? { ...blankRangeSpec(), ...drill.range } : blankRangeSpec()))
+  const [typeFilter, setTypeFilter] = useState(drill?.type || 'All')
+  const [categoryFilter, setCategoryFilter] = useState(drill?.category || 'All')
+  const [accountFilter, setAccountFilter] = useState('All')
+  const [tagFilter, setTagFilter] = useState(drill?.tag || 'All')
+  const [payeeFilter, setPayeeFilter] = useState(drill?.payee || 'All')
+  const [search, setSearch] = useState('')
+  // Searches the whole history instead of the selected period, narrowed by the query's own dates.
+  const [searchAll, setSearchAll] = useState(false)
+  const [transactions, setTransactions] = useState([])
+  const [loading, setLoading] = useState(true)
+  const fileRef = useRef(null)
+  const [csvPreview, setCsvPreview] = useState(null)
+  const [importing, setImporting] = useState(false)
+  const [importAccountId, setImportAccountId] = useState('')
+  const [csvMapping, setCsvMapping] = useState(null)
+  const [importProfiles, setImportProfiles] = useState([])
+  const [editing, setEditing] = useState(null)
+
+  const parsedQuery = useMemo(() => parseQuery(search), [search])
+  const period = useMemo(
+    () => rangeISO(resolveRange(rangeSpec, { fiscalStartMonth: household?.fiscalYearStart })),
+    [rangeSpec, household?.fiscalYearStart],
+  )
+  const allTime = useMemo(() => rangeISO(resolveRange({ preset: 'all' })), [])
+  const { start: rangeStart, end: rangeEnd } = useMemo(
+    () => (searchAll ? queryBounds(parsedQuery, allTime) : period),
+    [searchAll, parsedQuery, allTime, period],
+  )
+
+  useEffect(() => {
+    if (!householdId) return undefined
+    setLoading(true)
+    const qRef = query(
+      collection(db, 'households', householdId, 'transactions'),
+      where('date', '>=', rangeStart),
+      where('date', '<=', rangeEnd),
+      orderBy('date', 'desc'),
+    )
+    const unsub = onSnapshot(qRef, (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      setTransactions(list)
+      setLoading(false)
+    })
+    return () => unsub()
+  }, [householdId, rangeStart, rangeEnd, refreshToken])
+
+  const months = useMemo(() => recentMonths(24), [])
+  // Filter options come from the loaded range; the active filter stays listed even when nothing in it matches.
+  const labels = useMemo(() => historyLabels(transactions), [transactions])
+  const tagOptions = tagFilter === 'All' || labels.tags.includes(tagFilter) ? labels.tags : [tagFilter, ...labels.tags]
+  const payeeNames = labels.payees.map((p) => p.name)
+  const payeeOptions = payeeFilter === 'All' || payeeNames.includes(payeeFilter) ? payeeNames : [payeeFilter, ...payeeNames]
+
+  const accountName = useCallback((id) => accounts.find((a) => a.id === id)?.name || 'Unknown account', [accounts])
+  const queryContext = useMemo(() => ({ toBase, categoryTree, accountName }), [toBase, categoryTree, accountName])
+
+  const filtered = useMemo(() => {
+    return transactions.filter((tx) => {
+      if (typeFilter !== 'All' && tx.type !== typeFilter.toLowerCase()) return false
+      // A parent category also matches its subcategories.
+      if (categoryFilter !== 'All' && ![categoryFilter, ...childrenOf(categoryTree, categoryFilter).map((c) => c.name)].some((name) => hasCategory(tx, name))) return false
+      if (accountFilter !== 'All' && tx.accountId !== accountFilter && tx.toAccountId !== accountFilter) return false
+      if (tagFilter !== 'All' && !hasTag(tx, tagFilter)) return false
+      if (payeeFilter !== 'All' && !hasPayee(tx, payeeFilter)) return false
+      return matchesQuery(tx, parsedQuery, queryContext)
+    })
+  }, [transactions, typeFilter, categoryFilter, accountFilter, tagFilter, payeeFilter, parsedQuery, queryContext, categoryTree])
+
+  // Pinned filters total over their own scope: the selected period, or the whole history. All-time
+  // ones are read once per visit, each only between the dates its query allows, rather than live.
+  const savedFilters = useSavedFilters(householdId, refreshToken)
+  const pinned = useMemo(() => savedFilters.filter((f) => f.pinned), [savedFilters])
+  const pinnedAllTime = useMemo(() => pinned.filter((f) => f.allTime), [pinned])
+  const pinnedPeriod = useTransactionsBetween(householdId, pinned.some((f) => !f.allTime) ? period.start : null, period.end, refreshToken)
+  const [pinnedHistory, setPinnedHistory] = useState({})
+  useEffect(() => {
+    if (!householdId || !pinnedAllTime.length) {
+      setPinnedHistory({})
+      return undefined
+    }
+    let cancelled = false
+    Promise.all(pinnedAllTime.map(async (f) => {
+      const { start, end } = queryBounds(parseQuery(f.query), allTime)
+      const snap = await getDocs(query(
+        collection(db, 'households', householdId, 'transactions'),
+        where('date', '>=', start),
+        where('date', '<=', end),
+      ))
+      return [f.id, snap.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }))]
+    }))
+      .then((entries) => { if (!cancelled) setPinnedHistory(Object.fromEntries(entries)) })
+      .catch((err) => console.error('Loading pinned filters failed', err))
+    return () => { cancelled = true }
+  }, [householdId, pinnedAllTime, allTime, refreshToken])
+  const pinnedTotals = useMemo(() => Object.fromEntries(pinned
+    .filter((f) => !f.allTime || pinnedHistory[f.id])
+    .map((f) => [f.id, queryTotals(f.allTime ? pinnedHistory[f.id] : pinnedPeriod, parseQuery(f.query), queryContext)])), [pinned, pinnedPeriod, pinnedHistory, queryContext])
+
+  const applyFilter = (saved) => {
+    setSearch(saved.query)
+    setSearchAll(Boolean(saved.allTime))
+    setTypeFilter('All')
+    setCategoryFilter('All')
+    setAccountFilter('All')
+    setTagFilter('All')
+    setPayeeFilter('All')
+  }
+
+  const fail = (err) => pushToast({ message: err.message || 'Failed to save filter', variant: 'error' })
+  const saveFilter = () => {
+    const name = window.prompt('Name for this filter', search.trim())?.trim()
+    if (!name) return
+    // Not awaited, like other small writes, so it also works offline.
+    addDoc(collection(db, 'households', householdId, 'savedFilters'), {
+      name,
+      query: search.trim(),
+      allTime: searchAll,
+      pinned: true,
+      createdAt: new Date().toISOString(),
+      createdBy: auth.currentUser?.uid || null,
+    }).catch(fail)
+    pushToast({ message: `Saved "${name}" and pinned it to Overview`, variant: 'success' })
+  }
+  const togglePin = (saved) => updateDoc(doc(db, 'households', householdId, 'savedFilters', saved.id), { pinned: !saved.pinned }).catch(fail)
+  const deleteFilter = (saved) => {
+    if (!window.confirm(`Delete the saved filter "${saved.name}"?`)) return
+    deleteDoc(doc(db, 'households', householdId, 'savedFilters', saved.id)).catch(fail)
+  }
+
+  const totals = useMemo(() => {
+    return filtered.reduce((acc, tx) => {
+      const val = toBase(tx)
+      if (tx.type === 'income') acc.income += val
+      if (tx.type === 'expense') acc.expense += val
+      return acc
+    }, { income: 0, expense: 0 })
+  }, [filtered, toBase])
+
+  const net = totals.income - totals.expense
+  const showAuthors = (household?.memberIds?.length || 0) > 1
+
+  const handleImportClick = () => fileRef.current?.click()
+
+  const startCsvMapping = async (text) => {
+    const { headers, rows } = parseCsvText(text)
+    if (!rows.length) throw new Error('No rows found in CSV')
+    const snap = await getDocs(collection(db, 'households', householdId, 'importProfiles'))
+    const profiles = []
+    snap.forEach((docSnap) => profiles.push({ id: docSnap.id, ...docSnap.data() }))
+    profiles.sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+    const profile = detectProfile(profiles, headers)
+    const records = profile?.mapping?.delimiter ? parseCsvText(text, profile.mapping.delimiter).rows : rows
+    setImportProfiles(profiles)
+    setCsvMapping({
+      text,
+      headers,
+      records,
+      mapping: profile ? { ...guessMapping(headers), ...profile.mapping } : guessMapping(headers),
+      profileId: profile?.id || '',
+      profileName: profile?.name || '',
+      detected: Boolean(profile),
+    })
+  }
+
+  // Changing the delimiter re-reads the file, which changes the headers and so the mapping.
+  useEffect(() => {
+    if (csvMapping?.reparse == null) return
+    const { headers, rows } = parseCsvText(csvMapping.text, csvMapping.reparse)
+    setCsvMapping((prev) => ({
+      ...prev,
+      reparse: undefined,
+      headers,
+      records: rows,
+      mapping: { ...guessMapping(headers), delimiter: prev.reparse },
+    }))
+  }, [csvMapping])
+
+  const continueCsvMapping = async () => {
+    const { headers, records, mapping, profileId, profileName } = csvMapping
+    const name = profileName.trim()
+    if (name) {
+      const existing = importProfiles.find((p) => p.id === profileId && p.name === name) || importProfiles.find((p) => p.name === name)
+      const colRef = collection(db, 'households', householdId, 'importProfiles')
+      const ref = existing ? doc(colRef, existing.id) : doc(colRef)
+      // Not awaited so an offline import is not held up by the profile write.
+      setDoc(ref, {
+        name,
+        signature: headerSignature(headers),
+        headers,
+        mapping,
+        updatedAt: new Date().toISOString(),
+        updatedBy: auth.currentUser?.uid || null,
+      }).catch((err) => pushToast({ message: err.message || 'Failed to save profile', variant: 'error' }))
+    }
+    try {
+      const rows = await flagDuplicates(await categorizeImport(applyCsvMapping(records, mapping, currency)))
+      const newCategories = new Set(rows.filter((row) => row.category).map((row) => row.category))
+      setCsvMapping(null)
+      setCsvPreview({ rows, total: rows.length, newCategories, source: name || 'CSV' })
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to check for duplicates', variant: 'error' })
+    }
+  }
+
+  const cancelCsvMapping = () => {
+    setCsvMapping(null)
+    if (fileRef.current) fileRef.current.value = ''
+  }
+
+  // Explicit rules first, then the model learned from history for whatever is still uncategorised.
+  const categorizeImport = async (rows) => {
+    const ruled = categorizeRows(rules, rows)
+    if (!ruled.some((row) => row.valid && !row.ruleId && !row.splits && (!row.category || row.category === 'Other'))) return ruled
+    const history = await loadTrainingTransactions(householdId).catch(() => [])
+    return suggestRows(trainCategoryModel(history), ruled)
+  }
+
+  // Likely duplicates of existing transactions default to "skip"; the preview lets each be kept or merged.
+  const flagDuplicates = async (rows) => {
+    const candidates = await loadDuplicateCandidates(householdId, rows.filter((row) => row.valid).map((row) => row.date))
+    return rows.map((row) => {
+      if (!row.valid) return row
+      const match = findDuplicate(row, candidates, currency)
+      return match ? { ...row, duplicateOf: match, dupAction: 'skip' } : row
+    })
+  }
+
+  const setDuplicateAction = (idx, action) => {
+    setCsvPreview((prev) => ({ ...prev, rows: prev.rows.map((row, i) => (i === idx ? { ...row, dupAction: action } : row)) }))
+  }
+
+  // Statement lines already in the household (or repeated within the file) are kept in the
+  // preview but marked so they are never written twice.
+  const markAlreadyImported = async (rows) => {
+    const existing = await findImportedBankIds(householdId, rows.map((row) => row.bankId))
+    return rows.map((row) => {
+      if (!row.bankId) return row
+      if (existing.has(row.bankId)) return { ...row, valid: false, duplicate: true }
+      existing.add(row.bankId)
+      return row
+    })
+  }
+
+  const onFileSelected = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    try {
+      const text = await file.text()
+      const importer = detectImporter(text, file.name)
+      if (!importer) {
+        await startCsvMapping(text)
+        return
+      }
+      const parsed = importer.parse(text, currency)
+      if (!parsed.length) throw new Error(`No transactions found in ${importer.label} file`)
+      const rows = await flagDuplicates(await markAlreadyImported(await categorizeImport(parsed)))
+      setCsvPreview({ rows, total: rows.length, newCategories: new Set(), source: importer.label })
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to read file', variant: 'error' })
+      if (fileRef.current) fileRef.current.value = ''
+    }
+  }
+
+  const confirmImport = async () => {
+    if (!csvPreview) return
+    setImporting(true)
+    try {
+      const validRows = importableRows(csvPreview.rows)
+      const merges = csvPreview.rows
+        .filter((row) => row.valid && row.duplicateOf && row.dupAction === 'merge')
+        .map((row) => ({ row, update: mergeFields(row, row.duplicateOf.tx, importAccountId) }))
+        .filter(({ update }) => Object.keys(update).length)
+      if (!validRows.length && !merges.length) {
+        pushToast({ message: 'No valid rows to import', variant: 'error' })
+        setImporting(false)
+        return
+      }
+      const colRef = collection(db, 'households', householdId, 'transactions')
+      await commitInChunks(merges, (batch, { row, update }) => {
+        batch.update(doc(colRef, row.duplicateOf.tx.id), { ...update, updatedAt: new Date().toISOString(), updatedBy: auth.currentUser?.uid || null })
+      })
+      await commitInChunks(validRows, (batch, row) => {
+        const ref = row.bankId ? doc(colRef, importedTransactionId(row.bankId)) : doc(colRef)
+        batch.set(ref, {
+          type: row.type,
+          amount: row.amount,
+          currency: row.currency,
+          category: row.category,
+          ...(row.splits ? { splits: row.splits } : {}),
+          ...(row.bankId ? { bankId: row.bankId } : {}),
+          ...(importAccountId ? { accountId: importAccountId } : {}),
+          date: row.date,
+          note: row.note,
+          ...(row.payee ? { payee: row.payee } : {}),
+          ...(row.tags?.length ? { tags: row.tags } : {}),
+          createdAt: new Date().toISOString(),
+          createdBy: auth.currentUser?.uid || null,
+        })
+      })
+      const catsToAdd = Array.from(csvPreview.newCategories || []).filter((c) => c && !categories.includes(c))
+      if (catsToAdd.length) {
+        const next = [...categoryTree]
+        catsToAdd.forEach((name) => next.push(makeCategory(name, next)))
+        await setDoc(doc(db, 'households', householdId), { categories: next }, { merge: true })
+      }
+      const merged = merges.length ? ` · merged ${merges.length}` : ''
+      pushToast({ message: `Imported ${validRows.length} row${validRows.length === 1 ? '' : 's'}${merged}`, variant: 'success' })
+      setCsvPreview(null)
+      fileRef.current.value = ''
+    } catch (err) {
+      pushToast({ message: err.message || 'Import failed', variant: 'error' })
+    } finally {
+      setImporting(false)
+    }
+  }
+
+  const cancelPreview = () => {
+    setCsvPreview(null)
+    if (fileRef.current) fileRef.current.value = ''
+  }
+
+  const attachTo = async (tx, prepared) => {
+    const room = MAX_ATTACHMENTS - Object.keys(tx.attachments || {}).length
+    if (prepared.length > room) pushToast({ message: `A transaction holds up to ${MAX_ATTACHMENTS} receipts`, variant: 'error' })
+    if (room <= 0) return
+    const fail = (err) => pushToast({ message: err.message || 'Failed to attach receipt', variant: 'error' })
+    try {
+      const entries = await queueAttachments(householdId, tx.id, prepared.slice(0, room))
+      // Not awaited, like other edits: offline it waits in Firestore's queue and the files in ours.
+      updateDoc(doc(db, 'households', householdId, 'transactions', tx.id), Object.fromEntries(Object.entries(entries).map(([id, entry]) => [`attachments.${id}`, entry]))).catch(fail)
+      flushUploads().catch((err) => console.error('Receipt upload failed', err))
+      pushToast({ message: navigator.onLine ? 'Receipt attached' : 'Receipt attached · uploads when you are back online', variant: 'success' })
+    } catch (err) {
+      fail(err)
+    }
+  }
+
+  const onRemoveAttachment = (tx, id, attachment) => {
+    if (!window.confirm(`Remove ${attachment.name} from this transaction?`)) return
+    removeAttachment(householdId, tx.id, id, attachment).catch((err) => pushToast({ message: err.message || 'Failed to remove receipt', variant: 'error' }))
+  }
+
+  // Multi-select: long-press a row on touch screens, shift-click (range) or ctrl/cmd-click on
+  // desktop; once something is selected, a plain tap toggles too.
+  const [selected, setSelected] = useState(() => new Set())
+  const [batchTag, setBatchTag] = useState('')
+  const [batchDate, setBatchDate] = useState(dayjs().format('YYYY-MM-DD'))
+  const [batchWorking, setBatchWorking] = useState(false)
+  const anchorId = useRef(null)
+  const pressTimer = useRef(null)
+  const longPressed = useRef(false)
+  const selectedTxs = useMemo(() => filtered.filter((tx) => selected.has(tx.id)), [filtered, selected])
+  // Rows hidden by a filter change stay selected but are never acted on.
+  const selecting = selectedTxs.length > 0
+
+  const toggleSelected = (id) => {
+    anchorId.current = id
+    setSelected((prev) => {
+      const next = new Set(prev)
+      if (next.has(id)) next.delete(id)
+      else next.add(id)
+      return next
+    })
+  }
+  const clearSelection = () => setSelected(new Set())
+
+  useEffect(() => {
+    if (!selected.size) return undefined
+    const onKey = (e) => { if (e.key === 'Escape') setSelected(new Set()) }
+    window.addEventListener('keydown', onKey)
+    return () => window.removeEventListener('keydown', onKey)
+  }, [selected.size])
+
+  const cancelPress = () => clearTimeout(pressTimer.current)
+  const rowHandlers = (tx) => ({
+    onPointerDown: (e) => {
+      if (e.pointerType === 'mouse') return
+      longPressed.current = false
+      pressTimer.current = setTimeout(() => {
+        longPressed.current = true
+        navigator.vibrate?.(10)
+        toggleSelected(tx.id)
+      }, LONG_PRESS_MS)
+    },
+    onPointerUp: cancelPress,
+    onPointerLeave: cancelPress,
+    onPointerCancel: cancelPress,
+    // Keeps the browser's long-press menu and shift-click text selection out of the way.
+    onContextMenu: (e) => { if (longPressed.current) e.preventDefault() },
+    onMouseDown: (e) => { if (e.shiftKey) e.preventDefault() },
+    onClick: (e) => {
+      if (longPressed.current) {
+        longPressed.current = false
+        return
+      }
+      if (e.target.closest('button, a, input, select, label')) return
+      if (e.shiftKey && anchorId.current) {
+        const ids = filtered.map((t) => t.id)
+        const [from, to] = [ids.indexOf(anchorId.current), ids.indexOf(tx.id)].sort((a, b) => a - b)
+        if (from >= 0) {
+          setSelected((prev) => new Set([...prev, ...ids.slice(from, to + 1)]))
+          return
+        }
+      }
+      if (e.shiftKey || e.metaKey || e.ctrlKey || selecting) toggleSelected(tx.id)
+    },
+  })
+
+  // Every batch action is one chunked write with a single Undo for the whole selection.
+  // Re-dated, removed or restored repayments move the split of every later one on their loans.
+  const replayLoans = (transactions) => Promise.all(linkedLoanIds(transactions).map((id) => replayLoan(householdId, id, toBase)))
+
+  const runBatch = async (changes, message) => {
+    if (!changes.length) {
+      pushToast({ message: 'Nothing to change in the selection', variant: 'error' })
+      return
+    }
+    setBatchWorking(true)
+    const fail = (err) => pushToast({ message: err.message || 'Batch update failed', variant: 'error' })
+    const replay = () => replayLoans(changes.map(({ tx }) => tx)).catch(fail)
+    try {
+      await applyChanges(householdId, changes)
+      replay()
+      pushToast({
+        message: `${message} · ${changes.length} transaction${changes.length === 1 ? '' : 's'}`,
+        variant: 'success',
+        action: { label: 'Undo', onClick: () => revertChanges(householdId, changes).then(replay, fail) },
+      })
+      clearSelection()
+    } catch (err) {
+      fail(err)
+    } finally {
+      setBatchWorking(false)
+    }
+  }
+
+  const batchRecategorize = (category) => runBatch(recategorize(selectedTxs, category), `Moved to ${category}`)
+  const batchTagChange = (remove) => {
+    const tag = parseTags(batchTag)[0]
+    if (!tag) return
+    runBatch(remove ? removeTag(selectedTxs, tag) : addTag(selectedTxs, tag), `${remove ? 'Removed' : 'Added'} ${formatTag(tag)}`)
+    setBatchTag('')
+  }
+  const batchMoveDate = () => runBatch(moveToDate(selectedTxs, batchDate), `Moved to ${dayjs(batchDate).format('MMM D, YYYY')}`)
+  const batchDelete = async () => {
+    const doomed = selectedTxs
+    if (!window.confirm(`Delete ${doomed.length} transaction${doomed.length === 1 ? '' : 's'}?`)) return
+    setBatchWorking(true)
+    const fail = (err) => pushToast({ message: err.message || 'Failed to delete', variant: 'error' })
+    const replay = () => replayLoans(doomed).catch(fail)
+    try {
+      await deleteTransactions(householdId, doomed)
+      replay()
+      const cancelCleanup = scheduleReceiptCleanup(householdId, doomed)
+      pushToast({
+        message: `Deleted ${doomed.length} transaction${doomed.length === 1 ? '' : 's'}`,
+        variant: 'success',
+        duration: UNDO_WINDOW_MS,
+        action: {
+          label: 'Undo',
+          onClick: () => {
+            cancelCleanup()
+            restoreTransactions(householdId, doomed, role).then(replay, fail)
+          },
+        },
+      })
+      clearSelection()
+    } catch (err) {
+      fail(err)
+    } finally {
+      setBatchWorking(false)
+    }
+  }
+  const batchExport = () => {
+    downloadCsv(selectedTxs, currency, 'jinofin-selection')
+    pushToast({ message: `Exported ${selectedTxs.length} transaction${selectedTxs.length === 1 ? '' : 's'}`, variant: 'success' })
+  }
+
+  // Receipt files stay in Storage until the Undo window has passed, so Undo brings the transaction back complete.
+  const onDelete = async (tx) => {
+    // Removing or restoring a repayment moves the split of every later one.
+    const replay = () => {
+      if (tx.loan?.id) replayLoan(householdId, tx.loan.id, toBase).catch((err) => pushToast({ message: err.message || 'Failed to update the loan', variant: 'error' }))
+    }
+    try {
+      await deleteDoc(doc(db, 'households', householdId, 'transactions', tx.id))
+      replay()
+      const cancelCleanup = scheduleReceiptCleanup(householdId, [tx])
+      pushToast({
+        message: 'Transaction deleted',
+        variant: 'success',
+        duration: UNDO_WINDOW_MS,
+        action: {
+          label: 'Undo',
+          onClick: async () => {
+            cancelCleanup()
+            const { id, ...data } = tx
+            await setDoc(doc(db, 'households', householdId, 'transactions', id), {
+              ...data,
+              createdAt: tx.createdAt || new Date().toISOString(),
+              createdBy: restoredAuthor(tx.createdBy, role),
+            })
+            replay()
+          },
+        },
+      })
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to delete', variant: 'error' })
+    }
+  }
+
+  return (
+    <>
+      {pinned.length > 0 && (
+        <section className="app-card">
+          <div className="stat-grid">
+            {pinned.map((saved) => {
+              const totals = pinnedTotals[saved.id]
+              return (
+                <button key={saved.id} type="button" className="stat-card pinned-filter" onClick={() => applyFilter(saved)} title={saved.query}>
+                  <span className="small muted">{saved.name}</span>
+                  <strong>{totals ? formatCurrency(totals.expense, currency) : '…'}</strong>
+                  <span className="small muted">
+                    {totals && `${totals.count} item${totals.count === 1 ? '' : 's'}`}
+                    {totals?.income > 0 && ` · ${formatCurrency(totals.income, currency)} in`}
+                    {saved.allTime ? ' · all time' : ''}
+                  </span>
+                </button>
+              )
+            })}
+          </div>
+        </section>
+      )}
+
+      <section className="app-card">
+        <div className="filters">
+          {!searchAll && <RangeFields spec={rangeSpec} setSpec={setRangeSpec} idPrefix="overview" />}
+          {!searchAll && ['month', 'quarter', 'fiscal'].includes(rangeSpec.preset) && (
+            <div className="inline-field">
+              <label htmlFor="overview-month">{rangeSpec.preset === 'month' ? 'Month' : 'Containing'}</label>
+              <select id="overview-month" value={rangeSpec.month} onChange={(e) => setRangeSpec((prev) => ({ ...prev, month: e.target.value }))}>
+                {months.map((m) => <option key={m} value={m}>{m}</option>)}
+              </select>
+            </div>
+          )}
+          <div className="inline-field">
+            <label>Type</label>
+            <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
+              <option>All</option>
+              <option>Income</option>
+              <option>Expense</option>
+              {accounts.length > 1 && <option>Transfer</option>}
+            </select>
+          </div>
+          <div className="inline-field">
+            <label>Category</label>
+            <select value={categoryFilter} onChange={(e) => setCategoryFilter(e.target.value)}>
+              <option>All</option>
+              <CategoryOptions tree={categoryTree} names={categories} />
+            </select>
+          </div>
+          {accounts.length > 0 && (
+            <div className="inline-field">
+              <label>Account</label>
+              <select value={accountFilter} onChange={(e) => setAccountFilter(e.target.value)}>
+                <option value="All">All</option>
+                {accounts.map((a) => <option key={a.id} value={a.id}>{a.name}</option>)}
+              </select>
+            </div>
+          )}
+          {tagOptions.length > 0 && (
+            <div className="inline-field">
+              <label>Tag</label>
+              <select value={tagFilter} onChange={(e) => setTagFilter(e.target.value)}>
+                <option value="All">All</option>
+                {tagOptions.map((tag) => <option key={tag} value={tag}>{formatTag(tag)}</option>)}
+              </select>
+            </div>
+          )}
+          {payeeOptions.length > 0 && (
+            <div className="inline-field">
+              <label>Payee</label>
+              <select value={payeeFilter} onChange={(e) => setPayeeFilter(e.target.value)}>
+                <option value="All">All</option>
+                {payeeOptions.map((name) => <option key={name} value={name}>{name}</option>)}
+              </select>
+            </div>
+          )}
+          <div className="inline-field">
+            <label htmlFor="overview-search">Search</label>
+            <input id="overview-search" placeholder='e.g. amount>50 category:Dining "pizza"' value={search} onChange={(e) => setSearch(e.target.value)} />
+          </div>
+        </div>
+        {parsedQuery.errors.length > 0 && <p className="helper-text amount-neg">{parsedQuery.errors.join(' · ')}</p>}
+        <label className="toggle-row">
+          <span>Search all history</span>
+          <input type="checkbox" checked={searchAll} onChange={(e) => setSearchAll(e.target.checked)} />
+        </label>
+        {searchAll && <p className="helper-text">Ignoring the period; use before:, after: or on: in the search to narrow the dates.</p>}
+        <details className="foldable">
+          <summary className="toggle-row">
+            <span>Search syntax</span>
+            <span className="small muted">field:value, - to exclude</span>
+          </summary>
+          <div className="foldable-content">
+            {Object.entries(SEARCH_FIELDS).map(([field, example]) => (
+              <div key={field} className="flex-between"><span>{field}</span><span className="small muted">{example}</span></div>
+            ))}
+            <p className="helper-text">Other words must all appear in the category, payee, note, tags or date. Quote phrases: "pizza place".</p>
+          </div>
+        </details>
+        {savedFilters.length > 0 && (
+          <details className="foldable">
+            <summary className="toggle-row">
+              <span>Saved filters</span>
+              <span className="small muted">{savedFilters.length}</span>
+            </summary>
+            <div className="foldable-content">
+              {savedFilters.map((saved) => (
+                <div key={saved.id} className="flex-between">
+                  <button type="button" className="quick-chip" onClick={() => applyFilter(saved)} title={saved.query}>{saved.name}</button>
+                  <span className="small muted" style={{ flex: 1, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{saved.query}{saved.allTime ? ' · all time' : ''}</span>
+                  {canEdit(role) && (
+                    <>
+                      <button type="button" className="button btn-outline" onClick={() => togglePin(saved)}>{saved.pinned ? 'Unpin' : 'Pin'}</button>
+                      <button type="button" className="button btn-outline" onClick={() => deleteFilter(saved)}>Delete</button>
+                    </>
+                  )}
+                </div>
+              ))}
+            </div>
+          </details>
+        )}
+        <div className="row">
+          {!isEmptyQuery(parsedQuery) && canEdit(role) && <button className="button btn-outline" type="button" onClick={saveFilter}>Save filter</button>}
+          <button className="button btn-outline" type="button" onClick={handleImportClick} disabled={!canEdit(role)}>Import</button>
+          <button className="button btn-outline" type="button" onClick={() => {
+            downloadCsv(transactions, currency, 'jinofin')
+            const el = fileRef.current; if (el) el.value = ''
+            pushToast({ message: 'Exported CSV', variant: 'success' })
+          }}>Export CSV</button>
+          <input ref={fileRef} type="file" accept={`.csv,text/csv,${STATEMENT_ACCEPT}`} style={{ display: 'none' }} onChange={onFileSelected} />
+        </div>
+      </section>
+
+      <section className="app-card">
+        <div className="stat-grid">
+          <div className="stat-card">
+            <span className="small muted">Income</span>
+            <strong>{formatCurrency(totals.income, currency)}</strong>
+          </div>
+          <div className="stat-card">
+            <span className="small muted">Expenses</span>
+            <strong>{formatCurrency(totals.expense, currency)}</strong>
+          </div>
+          <div className="stat-card">
+            <span className="small muted">Net</span>
+            <strong className={net >= 0 ? 'amount-pos' : 'amount-neg'}>{formatCurrency(net, currency)}</strong>
+          </div>
+        </div>
+        <UnconvertedNote items={filtered} toBase={toBase} />
+      </section>
+
+      <section className="app-card">
+        <div className="card-header">
+          <h3 className="card-title">Transactions</h3>
+          <span className="small muted">{filtered.length} item{filtered.length === 1 ? '' : 's'}</span>
+        </div>
+        {selecting && (
+          <div className="batch-bar">
+            <div className="flex-between">
+              <strong>{selectedTxs.length} selected</strong>
+              <div style={{ display: 'flex', gap: '8px' }}>
+                {selectedTxs.length < filtered.length && <button type="button" className="button btn-outline" onClick={() => setSelected(new Set(filtered.map((tx) => tx.id)))}>Select all {filtered.length}</button>}
+                <button type="button" className="button btn-outline" onClick={clearSelection}>Clear</button>
+              </div>
+            </div>
+            {canEdit(role) && (
+              <div className="filters">
+                <div className="inline-field">
+                  <label htmlFor="batch-category">Category</label>
+                  <select id="batch-category" value="" onChange={(e) => e.target.value && batchRecategorize(e.target.value)} disabled={batchWorking}>
+                    <option value="">Move to…</option>
+                    <CategoryOptions tree={categoryTree} names={categories} />
+                  </select>
+                </div>
+                <div className="inline-field">
+                  <label htmlFor="batch-tag">Tag</label>
+                  <input id="batch-tag" value={batchTag} onChange={(e) => setBatchTag(e.target.value)} placeholder="#vacation2026" list="batch-tags" autoComplete="off" />
+                  <datalist id="batch-tags">
+                    {labels.tags.map((tag) => <option key={tag} value={tag} />)}
+                  </datalist>
+                  <div className="row">
+                    <button type="button" className="button btn-outline" onClick={() => batchTagChange(false)} disabled={batchWorking || !parseTags(batchTag).length}>Add</button>
+                    <button type="button" className="button btn-outline" onClick={() => batchTagChange(true)} disabled={batchWorking || !parseTags(batchTag).length}>Remove</button>
+                  </div>
+                </div>
+                <div className="inline-field">
+                  <label htmlFor="batch-date">Date</label>
+                  <input id="batch-date" type="date" value={batchDate} onChange={(e) => setBatchDate(e.target.value)} />
+                  <button type="button" className="button btn-outline" onClick={batchMoveDate} disabled={batchWorking || !batchDate}>Change date</button>
+                </div>
+              </div>
+            )}
+            <div className="row">
+              <button type="button" className="button btn-outline" onClick={batchExport}>Export selection</button>
+              {canEdit(role) && <button type="button" className="button btn-danger" onClick={batchDelete} disabled={batchWorking}>Delete</button>}
+            </div>
+          </div>
+        )}
+        {loading ? (
+          <Skeleton style={{ height: 120 }} />
+        ) : filtered.length === 0 ? (
+          <div className="empty-state">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.4">
+              <path d="M4 7h16v11H4z" />
+              <path d="M9 3h6v4H9z" />
+              <path d="M9 12h6" />
+              <path d="M9 16h6" />
+            </svg>
+            <h3>No transactions yet</h3>
+            <p className="small">Add your first expense or income from the New tab.</p>
+          </div>
+        ) : (
+          <div className="list">
+            {filtered.map((tx) => (
+              <div key={tx.id} className={`list-item ${selected.has(tx.id) ? 'list-item-selected' : ''}`} {...rowHandlers(tx)}>
+                <div>
+                  {selecting && (
+                    <input type="checkbox" className="select-box" checked={selected.has(tx.id)} onChange={() => toggleSelected(tx.id)} aria-label="Select transaction" />
+                  )}
+                  <strong>{isTransfer(tx) ? `${accountName(tx.accountId)} → ${accountName(tx.toAccountId)}` : tx.category}</strong>
+                  <div className="small muted">
+                    {dayjs(tx.date).format('MMM D, YYYY • HH:mm')}
+                    {!isTransfer(tx) && tx.accountId && ` • ${accountName(tx.accountId)}`}
+                  </div>
+                  {isSplit(tx) && (
+                    <div className="small muted">
+                      {tx.splits.map((line) => `${line.category} ${formatCurrency(Number(line.amount || 0), tx.currency || currency)}`).join(' • ')}
+                    </div>
+                  )}
+                  {tx.payee && <div className="small"><strong>{tx.payee}</strong></div>}
+                  {tx.note && <div className="small">{tx.note}</div>}
+                  {tx.tags?.length > 0 && (
+                    <div className="tag-list">
+                      {tx.tags.map((tag) => (
+                        <button key={tag} type="button" className={`tag-chip ${tagFilter === tag ? 'quick-chip-active' : ''}`} onClick={() => setTagFilter(tagFilter === tag ? 'All' : tag)}>{formatTag(tag)}</button>
+                      ))}
+                    </div>
+                  )}
+                  <AttachmentThumbs attachments={tx.attachments} onRemove={canEdit(role) ? (id, attachment) => onRemoveAttachment(tx, id, attachment) : undefined} />
+                  {showAuthors && tx.createdBy && <div className="small muted">by {memberLabel(household, tx.createdBy)}</div>}
+                </div>
+                <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
+                  <div className="text-right">
+                    <div className={isTransfer(tx) ? 'amount-neutral' : tx.type === 'income' ? 'amount-pos' : 'amount-neg'}>
+                      {isTransfer(tx) ? '⇄' : tx.type === 'income' ? '+' : '−'} {formatCurrency(toBase(tx), currency)}
+                    </div>
+                    {tx.currency && tx.currency !== currency && (
+                      <div className="small muted">
+                        {formatCurrency(Number(tx.amount || 0), tx.currency)}{!toBase.hasRate(tx.currency) && ' • no rate'}
+                      </div>
+                    )}
+                  </div>
+                  {canEdit(role) && Object.keys(tx.attachments || {}).length < MAX_ATTACHMENTS && (
+                    <AttachButton onPrepared={(prepared) => attachTo(tx, prepared)} className="" style={{ background: 'transparent', border: 'none', color: 'inherit', padding: 4 }}>
+                      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.6">
+                        <path d="M21 11l-8.5 8.5a5 5 0 0 1-7-7L14 4a3.5 3.5 0 0 1 5 5l-8.5 8.5a2 2 0 0 1-3-3L15 7" />
+                      </svg>
+                    </AttachButton>
+                  )}
+                  {canEdit(role) && (
+                    <button type="button" onClick={() => setEditing(tx)} style={{ background: 'transparent', border: 'none', color: 'inherit', padding: 4 }} aria-label="Edit">
+                      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.6">
+                        <path d="M4 20h4L19 9l-4-4L4 16z" />
+                        <path d="M13.5 6.5l4 4" />
+                      </svg>
+                    </button>
+                  )}
+                  {canEdit(role) && (
+                    <button type="button" onClick={() => onDelete(tx)} style={{ background: 'transparent', border: 'none', color: 'inherit', padding: 4 }} aria-label="Delete">
+                      <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.6">
+                        <polyline points="3 6 5 6 21 6" />
+                        <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
+                        <path d="M10 11v6M14 11v6" />
+                        <path d="M9 6V4a2 2 0 0 1 2-2h2a2 2 0 0 1 2 2v2" />
+                      </svg>
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </section>
+
+      {editing && (
+        <EditTransactionSheet
+          householdId={householdId}
+          tx={editing}
+          categories={categories}
+          categoryTree={categoryTree}
+          accounts={accounts}
+          currency={currency}
+          toBase={toBase}
+          labels={labels}
+          onClose={() => setEditing(null)}
+        />
+      )}
+
+      {csvMapping && (
+        <CsvMappingModal
+          draft={csvMapping}
+          setDraft={setCsvMapping}
+          profiles={importProfiles}
+          currency={currency}
+          onCancel={cancelCsvMapping}
+          onContinue={continueCsvMapping}
+        />
+      )}
+
+      {csvPreview && (
+        <div className="overlay centered" onClick={cancelPreview}>
+          <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+            <h3 className="card-title">Import preview · {csvPreview.source}</h3>
+            <p className="helper-text">Showing first {Math.min(csvPreview.rows.length, 8)} of {csvPreview.total} rows.</p>
+            {accounts.some((a) => !a.archived) && (
+              <div className="inline-field">
+                <label htmlFor="import-account">Account</label>
+                <select id="import-account" value={importAccountId} onChange={(e) => setImportAccountId(e.target.value)}>
+                  <option value="">No account</option>
+                  {accounts.filter((a) => !a.archived).map((a) => <option key={a.id} value={a.id}>{a.name}</option>)}
+                </select>
+              </div>
+            )}
+            <table className="table-preview">
+              <thead>
+                <tr>
+                  <th>Type</th>
+                  <th>Amount</th>
+                  <th>Category</th>
+                  <th>Date</th>
+                  <th>Note</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {csvPreview.rows.slice(0, 8).map((row, idx) => (
+                  <tr key={idx}>
+                    <td>{row.type}</td>
+                    <td>{formatCurrency(row.amount, row.currency)}</td>
+                    <td>{row.splits ? row.splits.map((line) => line.category).join(' + ') : row.category}{row.ruleId && <span className="small muted"> · rule</span>}{row.suggested && <span className="small muted"> · learned</span>}</td>
+                    <td>{row.date ? dayjs(row.date).format('YYYY-MM-DD HH:mm') : '—'}</td>
+                    <td>{row.note}</td>
+                    <td>{!row.valid ? (row.duplicate ? 'Already imported' : row.error || 'Skipped') : row.duplicateOf ? 'Possible duplicate' : 'Ready'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {csvPreview.rows.some((r) => r.duplicateOf) && (
+              <div className="list">
+                <p className="helper-text">These rows look like transactions you already have.</p>
+                {csvPreview.rows.map((row, idx) => row.duplicateOf && (
+                  <div key={idx} className="list-item">
+                    <div>
+                      <strong>{formatCurrency(row.amount, row.currency)} · {dayjs(row.date).format('MMM D')}</strong>
+                      <div className="small muted">
+                        {row.note || row.category} ↔ {row.duplicateOf.tx.note || row.duplicateOf.tx.category} ({dayjs(row.duplicateOf.tx.date).format('MMM D')}) · {Math.round(row.duplicateOf.score * 100)}% match
+                      </div>
+                    </div>
+                    <select value={row.dupAction} onChange={(e) => setDuplicateAction(idx, e.target.value)} aria-label="Duplicate handling">
+                      <option value="skip">Skip</option>
+                      <option value="keep">Keep both</option>
+                      <option value="merge">Merge</option>
+                    </select>
+                  </div>
+                ))}
+              </div>
+            )}
+            <p className="helper-text">
+              {importableRows(csvPreview.rows).length} row{importableRows(csvPreview.rows).length === 1 ? '' : 's'} will be imported.
+              {csvPreview.rows.some((r) => r.duplicate) && ` ${csvPreview.rows.filter((r) => r.duplicate).length} already imported.`}
+              {csvPreview.rows.some((r) => r.ruleId) && ` ${csvPreview.rows.filter((r) => r.ruleId).length} categorised by rules.`}
+              {csvPreview.rows.some((r) => r.suggested) && ` ${csvPreview.rows.filter((r) => r.suggested).length} categorised from your history.`}
+            </p>
+            <div className="row">
+              <button className="button btn-outline" type="button" onClick={cancelPreview}>Cancel</button>
+              <button className="button" type="button" onClick={confirmImport} disabled={importing}>{importing ? 'Importing…' : 'Import'}</button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  )
+}
+
+/* ---------------- Accounts ---------------- */
+const ACCOUNT_COLORS = ['#2563eb', '#22c55e', '#eab308', '#a855f7', '#06b6d4', '#f97316', '#ef4444', '#14b8a6']
+
+function blankAccount(currency) {
+  return { name: '', kind: 'bank', openingBalance: '', currency }
+}
+
+function AccountsTab({ householdId, role, accounts, accountTransactions, currency, ratesTable, toBase }) {
+  const { pushToast } = useToast()
+  const { transactions, loading } = accountTransactions
+  const [draft, setDraft] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [showArchived, setShowArchived] = useState(false)
+
+  const visible = useMemo(() => accounts.filter((a) => showArchived || !a.archived), [accounts, showArchived])
+  const balances = useMemo(() => currentBalances(accounts, transactions, ratesTable, currency), [accounts, transactions, ratesTable, currency])
+  const series = useMemo(() => balanceSeries(visible, transactions, ratesTable, currency), [visible, transactions, ratesTable, currency])
+
+  const setDraftField = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }))
+
+  const saveAccount = async () => {
+    const name = draft.name.trim()
+    if (!name) {
+      pushToast({ message: 'Name the account', variant: 'error' })
+      return
+    }
+    const openingBalance = draft.openingBalance === '' ? 0 : parseAmountNumber(draft.openingBalance)
+    if (!Number.isFinite(openingBalance)) {
+      pushToast({ message: 'Enter a valid opening balance', variant: 'error' })
+      return
+    }
+    setSaving(true)
+    try {
+      await addDoc(collection(db, 'households', householdId, 'accounts'), {
+        name,
+        kind: draft.kind,
+        openingBalance,
+        currency: draft.currency,
+        archived: false,
+        createdAt: new Date().toISOString(),
+        createdBy: auth.currentUser?.uid || null,
+      })
+      setDraft(null)
+      pushToast({ message: 'Account added', variant: 'success' })
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to add account', variant: 'error' })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const toggleArchive = (account) => {
+    updateDoc(doc(db, 'households', householdId, 'accounts', account.id), { archived: !account.archived })
+      .catch((err) => pushToast({ message: err.message || 'Failed to update account', variant: 'error' }))
+  }
+
+  const netWorth = accounts.reduce((sum, account) => {
+    return sum + (convertAmount(balances[account.id] || 0, account.currency || currency, currency, ratesTable) ?? 0)
+  }, 0)
+
+  return (
+    <>
+      <section className="app-card">
+        <div className="card-header">
+          <h3 className="card-title">Accounts</h3>
+          <span className="small muted">Net {formatCurrency(netWorth, currency)}</span>
+        </div>
+        <UnconvertedNote items={accounts} toBase={toBase} />
+        {accounts.length === 0 && !draft && (
+          <p className="small muted">Add your cash, bank, card and savings accounts to track where money lives.</p>
+        )}
+        {loading && accounts.length > 0 ? (
+          <Skeleton style={{ height: 120 }} />
+        ) : (
+          <div className="list">
+            {visible.map((account) => (
+              <div key={account.id} className="list-item">
+                <div>
+                  <strong>{account.name}</strong>
+                  <div className="small muted">
+                    {ACCOUNT_KINDS[account.kind] || account.kind} • {account.currency || currency}
+                    {account.archived && ' • archived'}
+                  </div>
+                </div>
+                <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
+                  <span className={(balances[account.id] || 0) >= 0 ? 'amount-pos' : 'amount-neg'}>
+                    {formatCurrency(balances[account.id] || 0, account.currency || currency)}
+                  </span>
+                  {canEdit(role) && (
+                    <button type="button" className="button btn-outline" onClick={() => toggleArchive(account)}>{account.archived ? 'Restore' : 'Archive'}</button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+        {accounts.some((a) => a.archived) && (
+          <button className="button btn-outline" type="button" onClick={() => setShowArchived((v) => !v)}>{showArchived ? 'Hide archived' : 'Show archived'}</button>
+        )}
+
+        {draft && (
+          <div className="foldable-content">
+            <div className="inline-field">
+              <label htmlFor="account-name">Name</label>
+              <input id="account-name" value={draft.name} onChange={(e) => setDraftField('name', e.target.value)} placeholder="Main checking" />
+            </div>
+            <div className="row">
+              <div className="inline-field">
+                <label htmlFor="account-kind">Kind</label>
+                <select id="account-kind" value={draft.kind} onChange={(e) => setDraftField('kind', e.target.value)}>
+                  {Object.entries(ACCOUNT_KINDS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                </select>
+              </div>
+              <div className="inline-field">
+                <label htmlFor="account-currency">Currency</label>
+                <select id="account-currency" value={draft.currency} onChange={(e) => setDraftField('currency', e.target.value)}>
+                  {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </div>
+            </div>
+            <div className="inline-field">
+              <label htmlFor="account-opening">Opening balance</label>
+              <input id="account-opening" inputMode="decimal" placeholder="0.00" value={draft.openingBalance} onChange={(e) => setDraftField('openingBalance', normalizeAmountString(e.target.value))} />
+            </div>
+          </div>
+        )}
+        {canEdit(role) && (
+          draft ? (
+            <div className="row">
+              <button className="button btn-outline" type="button" onClick={() => setDraft(null)}>Cancel</button>
+              <button className="button" type="button" onClick={saveAccount} disabled={saving}>{saving ? 'Saving…' : 'Save account'}</button>
+            </div>
+          ) : (
+            <button className="button btn-outline" type="button" onClick={() => setDraft(blankAccount(currency))}>Add account</button>
+          )
+        )}
+      </section>
+
+      {visible.length > 0 && (
+        <section className="app-card">
+          <div className="card-header">
+            <h3 className="card-title">Balance over time</h3>
+            <span className="small muted">Month-end, last 12 months</span>
+          </div>
+          <Suspense fallback={<Skeleton style={{ height: 220 }} />}>
+            <div style={{ height: 240 }}>
+              <LineChart data={{
+                labels: series.labels,
+                datasets: visible.map((account, idx) => ({
+                  label: `${account.name} (${account.currency || currency})`,
+                  data: series.series[account.id],
+                  borderColor: ACCOUNT_COLORS[idx % ACCOUNT_COLORS.length],
+                  backgroundColor: 'transparent',
+                  tension: 0.3,
+                  fill: false,
+                })),
+              }} options={{ maintainAspectRatio: false, plugins: { legend: { position: 'bottom' } } }} />
+            </div>
+          </Suspense>
+        </section>
+      )}
+    </>
+  )
+}
+
+/* ---------------- Analytics ---------------- */
+function blankGoal(categories) {
+  return { id: '', name: '', targetAmount: '', deadline: dayjs().add(1, 'year').format('YYYY-MM-DD'), link: `category:${categories.includes('Savings') ? 'Savings' : categories[0] || 'Other'}` }
+}
+
+function GoalsCard({ householdId, role, goals, categories, categoryTree, accounts, accountTransactions, currency, ratesTable, toBase, refreshToken }) {
+  const { pushToast } = useToast()
+  const [draft, setDraft] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  // Account goals read the shared account balances; category goals only what followed their start.
+  const categoryStart = useMemo(() => goalsHistoryStart(goals)?.toISOString() || null, [goals])
+  const categoryHistory = useTransactionsBetween(householdId, categoryStart, dayjs().endOf('day').toISOString(), refreshToken)
+
+  const progress = useMemo(() => Object.fromEntries(goals.map((goal) => [
+    goal.id,
+    goalProgress(goal, { transactions: goal.accountId ? accountTransactions.transactions : categoryHistory, accounts, ratesTable, baseCurrency: currency, toBase }),
+  ])), [goals, accountTransactions, categoryHistory, accounts, ratesTable, currency, toBase])
+
+  const setDraftField = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }))
+
+  const edit = (goal) => {
+    const link = goalLink(goal)
+    setDraft({
+      id: goal.id,
+      name: goal.name,
+      targetAmount: normalizeAmountString(Number(goal.targetAmount || 0).toFixed(2)),
+      deadline: goal.deadline || '',
+      link: `${link.kind}:${link.value}`,
+    })
+  }
+
+  const saveGoal = async () => {
+    const name = draft.name.trim()
+    const targetAmount = parseAmountNumber(draft.targetAmount)
+    if (!name) {
+      pushToast({ message: 'Name the goal', variant: 'error' })
+      return
+    }
+    if (!Number.isFinite(targetAmount) || targetAmount <= 0) {
+      pushToast({ message: 'Enter a target amount above zero', variant: 'error' })
+      return
+    }
+    const [kind, ...rest] = draft.link.split(':')
+    const value = rest.join(':')
+    const payload = {
+      name,
+      targetAmount,
+      deadline: draft.deadline || null,
+      ...(kind === 'account' ? { accountId: value } : { category: value }),
+      updatedAt: new Date().toISOString(),
+      updatedBy: auth.currentUser?.uid || null,
+    }
+    setSaving(true)
+    try {
+      if (draft.id) {
+        // Switching between category and account drops the other link.
+        const cleared = kind === 'account' ? { category: deleteField() } : { accountId: deleteField() }
+        await updateDoc(doc(db, 'households', householdId, 'goals', draft.id), { ...payload, ...cleared })
+      } else {
+        await addDoc(collection(db, 'households', householdId, 'goals'), {
+          ...payload,
+          startDate: dayjs().format('YYYY-MM-DD'),
+          createdAt: new Date().toISOString(),
+          createdBy: auth.currentUser?.uid || null,
+        })
+      }
+      setDraft(null)
+      pushToast({ message: draft.id ? 'Goal saved' : 'Goal added', variant: 'success' })
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to save goal', variant: 'error' })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const removeGoal = (goal) => {
+    if (!window.confirm(`Delete the goal "${goal.name}"? Transactions are kept.`)) return
+    deleteDoc(doc(db, 'households', householdId, 'goals', goal.id))
+      .catch((err) => pushToast({ message: err.message || 'Failed to delete goal', variant: 'error' }))
+  }
+
+  const linkLabel = (goal) => {
+    const link = goalLink(goal)
+    if (link.kind === 'account') return accounts.find((a) => a.id === link.value)?.name || 'Missing account'
+    return categoryLabel(categoryTree, link.value)
+  }
+
+  return (
+    <section className="app-card">
+      <div className="card-header">
+        <h3 className="card-title">Goals</h3>
+        <span className="small muted">{goals.length} goal{goals.length === 1 ? '' : 's'}</span>
+      </div>
+      {goals.length === 0 && !draft && <p className="small muted">Save toward a target by linking a goal to a savings category or account.</p>}
+      <div className="list">
+        {goals.map((goal) => {
+          const p = progress[goal.id]
+          return (
+            <div key={goal.id} className="goal-row">
+              <div className="flex-between">
+                <strong>{goal.name}</strong>
+                <span className="small">{formatCurrency(p.saved, currency)} / {formatCurrency(goal.targetAmount, currency)}</span>
+              </div>
+              <div className="bar">
+                <div className="fill" style={{ width: `${p.pct}%`, background: p.onTrack ? '#22c55e' : '#f59e0b' }} />
+              </div>
+              <div className="small muted">
+                {linkLabel(goal)}
+                {goal.deadline && ` · by ${dayjs(goal.deadline).format('MMM D, YYYY')}`}
+                {p.remaining === 0
+                  ? ' · Reached'
+                  : <>
+                    {p.requiredMonthly != null && ` · ${formatCurrency(p.requiredMonthly, currency)}/month needed`}
+                    {` · ${p.projected ? `on pace for ${p.projected.format('MMM YYYY')}` : 'no progress yet'}`}
+                  </>}
+              </div>
+              {canEdit(role) && (
+                <div className="row">
+                  <button type="button" className="button btn-outline" onClick={() => edit(goal)}>Edit</button>
+                  <button type="button" className="button btn-outline" onClick={() => removeGoal(goal)}>Delete</button>
+                </div>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      {draft && (
+        <div className="foldable-content">
+          <div className="inline-field">
+            <label htmlFor="goal-name">Name</label>
+            <input id="goal-name" value={draft.name} onChange={(e) => setDraftField('name', e.target.value)} placeholder="Emergency fund" />
+          </div>
+          <div className="row">
+            <div className="inline-field">
+              <label htmlFor="goal-target">Target ({currency})</label>
+              <input id="goal-target" inputMode="decimal" placeholder="0.00" value={draft.targetAmount} onChange={(e) => setDraftField('targetAmount', normalizeAmountString(e.target.value))} />
+            </div>
+            <div className="inline-field">
+              <label htmlFor="goal-deadline">Deadline</label>
+              <input id="goal-deadline" type="date" value={draft.deadline} onChange={(e) => setDraftField('deadline', e.target.value)} />
+            </div>
+          </div>
+          <div className="inline-field">
+            <label htmlFor="goal-link">Track</label>
+            <select id="goal-link" value={draft.link} onChange={(e) => setDraftField('link', e.target.value)}>
+              <optgroup label="Money spent into category">
+                {categories.map((name) => <option key={name} value={`category:${name}`}>{categoryLabel(categoryTree, name)}</option>)}
+              </optgroup>
+              {accounts.some((a) => !a.archived) && (
+                <optgroup label="Balance of account">
+                  {accounts.filter((a) => !a.archived).map((a) => <option key={a.id} value={`account:${a.id}`}>{a.name}</option>)}
+                </optgroup>
+              )}
+            </select>
+          </div>
+        </div>
+      )}
+      {canEdit(role) && (
+        draft ? (
+          <div className="row">
+            <button className="button btn-outline" type="button" onClick={() => setDraft(null)}>Cancel</button>
+            <button className="button" type="button" onClick={saveGoal} disabled={saving}>{saving ? 'Saving…' : 'Save goal'}</button>
+          </div>
+        ) : (
+          <button className="button btn-outline" type="button" onClick={() => setDraft(blankGoal(categories))}>Add goal</button>
+        )
+      )}
+    </section>
+  )
+}
+
+function blankLoan() {
+  return { id: '', name: '', principal: '', annualRate: '', termMonths: '', payment: '', paymentDay: 1, startDate: dayjs().format('YYYY-MM-DD') }
+}
+
+function LinkRepaymentsModal({ loan, candidates, currency, onCancel, onApply, applying }) {
+  const payment = loanPayment(loan)
+  // Pre-tick the ones that look like the scheduled payment or mention the loan.
+  const [selected, setSelected] = useState(() => new Set(candidates
+    .filter((tx) => Math.abs(Number(tx.amount) - payment) <= payment * 0.05 || String(tx.note || '').toLowerCase().includes(loan.name.toLowerCase()))
+    .map((tx) => tx.id)))
+  const toggle = (id) => setSelected((prev) => {
+    const next = new Set(prev)
+    if (next.has(id)) next.delete(id)
+    else next.add(id)
+    return next
+  })
+  return (
+    <div className="overlay centered" onClick={onCancel}>
+      <div className="modal-card modal-scroll" onClick={(e) => e.stopPropagation()}>
+        <h3 className="card-title">Link repayments · {loan.name}</h3>
+        {candidates.length === 0 ? (
+          <p className="small muted">No unlinked expenses since the loan started.</p>
+        ) : (
+          <div className="list">
+            {candidates.map((tx) => (
+              <label key={tx.id} className="list-item">
+                <div>
+                  <strong>{dayjs(tx.date).format('MMM D, YYYY')} · {formatCurrency(Number(tx.amount || 0), tx.currency || currency)}</strong>
+                  <div className="small muted">{tx.category}{tx.note ? ` · ${tx.note}` : ''}</div>
+                </div>
+                <input type="checkbox" checked={selected.has(tx.id)} onChange={() => toggle(tx.id)} />
+              </label>
+            ))}
+          </div>
+        )}
+        <div className="row">
+          <button className="button btn-outline" type="button" onClick={onCancel}>Cancel</button>
+          {candidates.length > 0 && (
+            <button className="button" type="button" onClick={() => onApply(candidates.filter((tx) => selected.has(tx.id)))} disabled={applying || selected.size === 0}>
+              {applying ? 'Linking…' : `Link ${selected.size}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+function LoanRow({ loan, repayments, role, currency, onEdit, onDelete, onLink }) {
+  const [extra, setExtra] = useState('')
+  const summary = useMemo(() => loanSummary(loan, repayments), [loan, repayments])
+  const extraAmount = parseAmountNumber(extra) || 0
+  const whatIf = useMemo(() => (extraAmount > 0 ? loanSummary(loan, repayments, { extra: extraAmount }) : null), [loan, repayments, extraAmount])
+  const principal = Number(loan.principal || 0)
+
+  return (
+    <div className="goal-row">
+      <div className="flex-between">
+        <strong>{loan.name}</strong>
+        <span className="small">{formatCurrency(summary.balance, currency)} left of {formatCurrency(principal, currency)}</span>
+      </div>
+      <div className="bar">
+        <div className="fill" style={{ width: `${principal > 0 ? Math.min(100, (summary.paidPrincipal / principal) * 100) : 0}%` }} />
+      </div>
+      <div className="small muted">
+        {formatCurrency(summary.payment, currency)}/month on day {loan.paymentDay || 1} · {Number(loan.annualRate || 0)}% ·{' '}
+        {summary.balance === 0 ? 'Paid off' : summary.payoff ? `paid off ${summary.payoff.format('MMM YYYY')}, ${formatCurrency(summary.remainingInterest, currency)} interest to go` : 'payment does not cover the interest'}
+      </div>
+      <div className="small muted">
+        {repayments.length} repayment{repayments.length === 1 ? '' : 's'} linked · {formatCurrency(summary.paidPrincipal, currency)} principal, {formatCurrency(summary.paidInterest, currency)} interest
+      </div>
+      {summary.balance > 0 && (
+        <div className="inline-field">
+          <label htmlFor={`loan-extra-${loan.id}`}>What if I pay extra each month</label>
+          <input id={`loan-extra-${loan.id}`} inputMode="decimal" placeholder="0.00" value={extra} onChange={(e) => setExtra(normalizeAmountString(e.target.value))} />
+          {whatIf?.payoff && (
+            <p className="helper-text">
+              Paid off {whatIf.payoff.format('MMM YYYY')}
+              {summary.payoff && ` — ${Math.max(0, summary.schedule.length - whatIf.schedule.length)} months sooner, ${formatCurrency(summary.remainingInterest - whatIf.remainingInterest, currency)} less interest`}.
+            </p>
+          )}
+        </div>
+      )}
+      {summary.schedule.length > 0 && (
+        <details className="foldable">
+          <summary className="toggle-row"><span>Amortization schedule</span><span className="small muted">{summary.schedule.length} payments</span></summary>
+          <table className="table-preview">
+            <thead>
+              <tr>
+                <th>Date</th>
+                <th>Payment</th>
+                <th>Interest</th>
+                <th>Principal</th>
+                <th>Balance</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.schedule.map((row) => (
+                <tr key={row.n}>
+                  <td>{row.date.format('YYYY-MM-DD')}</td>
+                  <td>{formatCurrency(row.payment, currency)}</td>
+                  <td>{formatCurrency(row.interest, currency)}</td>
+                  <td>{formatCurrency(row.principal, currency)}</td>
+                  <td>{formatCurrency(row.balance, currency)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </details>
+      )}
+      {canEdit(role) && (
+        <div className="row">
+          <button type="button" className="button btn-outline" onClick={onLink}>Link payments</button>
+          <button type="button" className="button btn-outline" onClick={onEdit}>Edit</button>
+          <button type="button" className="button btn-outline" onClick={onDelete}>Delete</button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+function LoansCard({ householdId, role, loans, currency, toBase, refreshToken }) {
+  const { pushToast } = useToast()
+  const [draft, setDraft] = useState(null)
+  const [saving, setSaving] = useState(false)
+  const [linking, setLinking] = useState(null)
+  const [applying, setApplying] = useState(false)
+
+  // Repayments and link candidates both date from the earliest loan start.
+  const historyStart = useMemo(() => (loans.length
+    ? loans.reduce((earliest, loan) => (!earliest || loan.startDate < earliest ? loan.startDate : earliest), null)
+    : null), [loans])
+  const history = useTransactionsBetween(
+    householdId,
+    historyStart ? dayjs(historyStart).subtract(1, 'month').startOf('day').toISOString() : null,
+    dayjs().add(1, 'year').endOf('day').toISOString(),
+    refreshToken,
+  )
+  const repaymentsByLoan = useMemo(() => Object.fromEntries(loans.map((loan) => [loan.id, loanRepayments(loan, history)])), [loans, history])
+
+  const setDraftField = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }))
+
+  const edit = (loan) => setDraft({
+    id: loan.id,
+    name: loan.name,
+    principal: normalizeAmountString(Number(loan.principal || 0).toFixed(2)),
+    annualRate: String(loan.annualRate ?? ''),
+    termMonths: loan.termMonths ? String(loan.termMonths) : '',
+    payment: loan.payment ? normalizeAmountString(Number(loan.payment).toFixed(2)) : '',
+    paymentDay: loan.paymentDay || 1,
+    startDate: loan.startDate,
+  })
+
+  const saveLoan = async () => {
+    const name = draft.name.trim()
+    const principal = parseAmountNumber(draft.principal)
+    const annualRate = draft.annualRate === '' ? 0 : parseAmountNumber(draft.annualRate)
+    const termMonths = Number(draft.termMonths) || 0
+    const payment = draft.payment === '' ? 0 : parseAmountNumber(draft.payment)
+    if (!name) {
+      pushToast({ message: 'Name the loan', variant: 'error' })
+      return
+    }
+    if (!Number.isFinite(principal) || principal <= 0) {
+      pushToast({ message: 'Enter the amount borrowed', variant: 'error' })
+      return
+    }
+    if (!Number.isFinite(annualRate) || annualRate < 0) {
+      pushToast({ message: 'Enter a valid interest rate', variant: 'error' })
+      return
+    }
+    if (!(termMonths > 0) && !(payment > 0)) {
+      pushToast({ message: 'Enter a term in months or a monthly payment', variant: 'error' })
+      return
+    }
+    const payload = {
+      name,
+      principal,
+      annualRate,
+      termMonths: termMonths > 0 ? termMonths : null,
+      payment: payment > 0 ? payment : null,
+      paymentDay: Math.min(31, Math.max(1, Number(draft.paymentDay) || 1)),
+      startDate: draft.startDate || dayjs().format('YYYY-MM-DD'),
+      updatedAt: new Date().toISOString(),
+      updatedBy: auth.currentUser?.uid || null,
+    }
+    setSaving(true)
+    try {
+      if (draft.id) {
+        await updateDoc(doc(db, 'households', householdId, 'loans', draft.id), payload)
+      } else {
+        await addDoc(collection(db, 'households', householdId, 'loans'), { ...payload, createdAt: new Date().toISOString(), createdBy: auth.currentUser?.uid || null })
+      }
+      setDraft(null)
+      pushToast({ message: draft.id ? 'Loan saved' : 'Loan added', variant: 'success' })
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to save loan', variant: 'error' })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const removeLoan = (loan) => {
+    if (!window.confirm(`Delete the loan "${loan.name}"? Its repayments stay as ordinary expenses.`)) return
+    const repayments = repaymentsByLoan[loan.id] || []
+    deleteDoc(doc(db, 'households', householdId, 'loans', loan.id))
+      .then(() => commitInChunks(repayments, (batch, tx) => {
+        batch.update(doc(db, 'households', householdId, 'transactions', tx.id), { loan: deleteField() })
+      }))
+      .catch((err) => pushToast({ message: err.message || 'Failed to delete loan', variant: 'error' }))
+  }
+
+  const linkCandidates = (loan) => history
+    .filter((tx) => tx.type === 'expense' && !tx.loan && !isSplit(tx) && tx.date >= dayjs(loan.startDate).subtract(1, 'month').toISOString())
+    .sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+
+  const applyLinks = async (selected) => {
+    const loan = linking
+    setApplying(true)
+    try {
+      const links = linkRepayments(loan, repaymentsByLoan[loan.id] || [], selected, toBase)
+      const stamp = { updatedAt: new Date().toISOString(), updatedBy: auth.currentUser?.uid || null }
+      await commitInChunks(links, (batch, { tx, loan: fields }) => {
+        batch.update(doc(db, 'households', householdId, 'transactions', tx.id), { loan: fields, ...stamp })
+      })
+      pushToast({ message: `Linked ${selected.length} repayment${selected.length === 1 ? '' : 's'} to ${loan.name}`, variant: 'success' })
+      setLinking(null)
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to link repayments', variant: 'error' })
+    } finally {
+      setApplying(false)
+    }
+  }
+
+  return (
+    <section className="app-card">
+      <div className="card-header">
+        <h3 className="card-title">Loans and debt</h3>
+        <span className="small muted">
+          {formatCurrency(loans.reduce((sum, loan) => sum + outstandingBalance(loan, repaymentsByLoan[loan.id] || []), 0), currency)} owed
+        </span>
+      </div>
+      {loans.length === 0 && !draft && <p className="small muted">Add a loan or card balance to split repayments into principal and interest and see when it is paid off.</p>}
+      <div className="list">
+        {loans.map((loan) => (
+          <LoanRow
+            key={loan.id}
+            loan={loan}
+            repayments={repaymentsByLoan[loan.id] || []}
+            role={role}
+            currency={currency}
+            onEdit={() => edit(loan)}
+            onDelete={() => removeLoan(loan)}
+            onLink={() => setLinking(loan)}
+          />
+        ))}
+      </div>
+
+      {draft && (
+        <div className="foldable-content">
+          <div className="inline-field">
+            <label htmlFor="loan-name">Name</label>
+            <input id="loan-name" value={draft.name} onChange={(e) => setDraftField('name', e.target.value)} placeholder="Car loan" />
+          </div>
+          <div className="row">
+            <div className="inline-field">
+              <label htmlFor="loan-principal">Amount borrowed ({currency})</label>
+              <input id="loan-principal" inputMode="decimal" placeholder="0.00" value={draft.principal} onChange={(e) => setDraftField('principal', normalizeAmountString(e.target.value))} />
+            </div>
+            <div className="inline-field">
+              <label htmlFor="loan-rate">Interest rate (% a year)</label>
+              <input id="loan-rate" inputMode="decimal" placeholder="0.00" value={draft.annualRate} onChange={(e) => setDraftField('annualRate', normalizeAmountString(e.target.value))} />
+            </div>
+          </div>
+          <div className="row">
+            <div className="inline-field">
+              <label htmlFor="loan-term">Term (months)</label>
+              <input id="loan-term" inputMode="numeric" value={draft.termMonths} onChange={(e) => setDraftField('termMonths', e.target.value.replace(/\D/g, ''))} />
+            </div>
+            <div className="inline-field">
+              <label htmlFor="loan-payment">Or fixed payment</label>
+              <input id="loan-payment" inputMode="decimal" placeholder="0.00" value={draft.payment} onChange={(e) => setDraftField('payment', normalizeAmountString(e.target.value))} />
+            </div>
+          </div>
+          <p className="helper-text">Leave the payment empty to work it out from the term. For a credit card, enter the monthly payment instead of a term.</p>
+          <div className="row">
+            <div className="inline-field">
+              <label htmlFor="loan-day">Payment day</label>
+              <input id="loan-day" type="number" min="1" max="31" value={draft.paymentDay} onChange={(e) => setDraftField('paymentDay', e.target.value)} />
+            </div>
+            <div className="inline-field">
+              <label htmlFor="loan-start">First payment</label>
+              <input id="loan-start" type="date" value={draft.startDate} onChange={(e) => setDraftField('startDate', e.target.value)} />
+            </div>
+          </div>
+        </div>
+      )}
+      {canEdit(role) && (
+        draft ? (
+          <div className="row">
+            <button className="button btn-outline" type="button" onClick={() => setDraft(null)}>Cancel</button>
+            <button className="button" type="button" onClick={saveLoan} disabled={saving}>{saving ? 'Saving…' : 'Save loan'}</button>
+          </div>
+        ) : (
+          <button className="button btn-outline" type="button" onClick={() => setDraft(blankLoan())}>Add loan</button>
+        )
+      )}
+      {linking && (
+        <LinkRepaymentsModal loan={linking} candidates={linkCandidates(linking)} currency={currency} onCancel={() => setLinking(null)} onApply={applyLinks} applying={applying} />
+      )}
+    </section>
+  )
+}
+
+/**
+ * Forward projection for the Analytics chart. Everything is only loaded once a horizon is picked;
+ * with accounts the projection starts from their combined balance, otherwise from zero.
+ */
+function useForecast({ householdId, horizon, accounts, accountTransactions, ratesTable, currency, toBase, refreshToken }) {
+  const [recurring, setRecurring] = useState([])
+  const [planned, setPlanned] = useState([])
+  const [threshold, setThreshold] = useState(null)
+  const enabled = Boolean(householdId && horizon)
+  const history = useTransactionsBetween(householdId, enabled ? averagesStart().toISOString() : null, dayjs().toISOString(), refreshToken)
+
+  useEffect(() => {
+    if (!householdId) return undefined
+    return onSnapshot(doc(db, 'households', householdId, 'settings', 'forecast'), (snap) => {
+      setThreshold(snap.exists() && snap.data().threshold != null ? Number(snap.data().threshold) : null)
+    })
+  }, [householdId, refreshToken])
+
+  useEffect(() => {
+    if (!enabled) return undefined
+    const unsubRecurring = onSnapshot(collection(db, 'households', householdId, 'recurring'), (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      setRecurring(list)
+    })
+    const unsubPlanned = onSnapshot(query(collection(db, 'households', householdId, 'planned'), orderBy('date', 'asc')), (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      setPlanned(list)
+    })
+    return () => {
+      unsubRecurring()
+      unsubPlanned()
+    }
+  }, [enabled, householdId, refreshToken])
+
+  const startBalance = useMemo(() => {
+    const balances = currentBalances(accounts, accountTransactions.transactions, ratesTable, currency)
+    return accounts.reduce((total, account) => {
+      return total + (convertAmount(balances[account.id] || 0, account.currency || currency, currency, ratesTable) ?? 0)
+    }, 0)
+  }, [accounts, accountTransactions, ratesTable, currency])
+
+  const forecast = useMemo(() => {
+    if (!enabled) return null
+    const averages = discretionaryAverages(history, toBase)
+    return buildForecast({ startBalance, months: horizon, recurring, averages, planned, toBase })
+  }, [enabled, history, toBase, startBalance, horizon, recurring, planned])
+
+  return { forecast, planned, threshold, startBalance, fromAccounts: accounts.length > 0 }
+}
+
+function PlannedItems({ householdId, role, planned, currency }) {
+  const { pushToast } = useToast()
+  const [draft, setDraft] = useState(null)
+  const upcoming = planned.filter((item) => !dayjs(item.date).isBefore(dayjs(), 'day'))
+
+  const save = async () => {
+    const amount = parseAmountNumber(draft.amount)
+    if (!Number.isFinite(amount) || amount <= 0) {
+      pushToast({ message: 'Enter an amount above zero', variant: 'error' })
+      return
+    }
+    try {
+      await addDoc(collection(db, 'households', householdId, 'planned'), {
+        type: draft.type,
+        amount,
+        currency,
+        note: draft.note.trim(),
+        date: draft.date,
+        createdAt: new Date().toISOString(),
+        createdBy: auth.currentUser?.uid || null,
+      })
+      setDraft(null)
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to save planned item', variant: 'error' })
+    }
+  }
+
+  const remove = (item) => {
+    deleteDoc(doc(db, 'households', householdId, 'planned', item.id))
+      .catch((err) => pushToast({ message: err.message || 'Failed to delete planned item', variant: 'error' }))
+  }
+
+  return (
+    <div className="foldable-content">
+      <span className="small muted">Planned one-offs</span>
+      {upcoming.length === 0 && !draft && <p className="small muted">Add known one-off payments or income, such as a tax bill or a bonus.</p>}
+      <div className="list">
+        {upcoming.map((item) => (
+          <div key={item.id} className="list-item">
+            <div>
+              <strong className={item.type === 'income' ? 'amount-pos' : 'amount-neg'}>{formatCurrency(item.amount, item.currency || currency)}</strong>
+              <div className="small muted">{dayjs(item.date).format('MMM D, YYYY')}{item.note ? ` · ${item.note}` : ''}</div>
+            </div>
+            {canEdit(role) && <button type="button" className="button btn-outline" onClick={() => remove(item)} aria-label="Delete planned item">Delete</button>}
+          </div>
+        ))}
+      </div>
+      {draft && (
+        <div className="filters">
+          <select value={draft.type} onChange={(e) => setDraft((prev) => ({ ...prev, type: e.target.value }))} aria-label="Type">
+            <option value="expense">Expense</option>
+            <option value="income">Income</option>
+          </select>
+          <input inputMode="decimal" placeholder="0.00" value={draft.amount} onChange={(e) => setDraft((prev) => ({ ...prev, amount: normalizeAmountString(e.target.value) }))} aria-label="Amount" />
+          <input type="date" value={draft.date} onChange={(e) => setDraft((prev) => ({ ...prev, date: e.target.value }))} aria-label="Date" />
+          <input value={draft.note} onChange={(e) => setDraft((prev) => ({ ...prev, note: e.target.value }))} placeholder="Note" aria-label="Note" />
+        </div>
+      )}
+      {canEdit(role) && (
+        draft ? (
+          <div className="row">
+            <button className="button btn-outline" type="button" onClick={() => setDraft(null)}>Cancel</button>
+            <button className="button" type="button" onClick={save}>Add</button>
+          </div>
+        ) : (
+          <button className="button btn-outline" type="button" onClick={() => setDraft({ type: 'expense', amount: '', date: dayjs().add(1, 'month').format('YYYY-MM-DD'), note: '' })}>Add planned item</button>
+        )
+      )}
+    </div>
+  )
+}
+
+/** Renders a Chart.js config to a PNG data URL without touching the page, for PDF statements. */
+async function chartImage(config, width = 900, height = 450) {
+  await ensureChart()
+  const { Chart: ChartJS } = await import('chart.js')
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  const chart = new ChartJS(canvas, {
+    ...config,
+    options: { ...config.options, responsive: false, animation: false, devicePixelRatio: 1 },
+  })
+  const image = canvas.toDataURL('image/png')
+  chart.destroy()
+  return image
+}
+
+/** Picks a period and downloads a multi-page PDF statement for it. */
+function StatementModal({ householdId, householdName, initialSpec, fiscalStartMonth, categoryTree, accounts, currency, toBase, onClose }) {
+  const { pushToast } = useToast()
+  const [spec, setSpec] = useState(initialSpec)
+  const [withCharts, setWithCharts] = useState(true)
+  const [busy, setBusy] = useState(false)
+  const months = useMemo(() => recentMonths(24), [])
+  const range = useMemo(() => resolveRange(spec, { fiscalStartMonth }), [spec, fiscalStartMonth])
+
+  const charts = async (transactions) => {
+    const expense = {}
+    const byPeriod = {}
+    // Short periods chart day by day, longer ones month by month.
+    const daily = range.end.diff(range.start, 'day') <= 62
+    transactions.forEach((tx) => {
+      if (!isCashFlow(tx)) return
+      if (tx.type === 'expense') addToCategoryTotals(expense, tx, toBase)
+      const key = dayjs(tx.date).format(daily ? 'YYYY-MM-DD' : 'YYYY-MM')
+      byPeriod[key] = byPeriod[key] || { income: 0, expense: 0 }
+      byPeriod[key][tx.type] += toBase(tx)
+    })
+    const images = []
+    const cats = Object.entries(expense).sort(([, a], [, b]) => b - a)
+    if (cats.length) {
+      images.push({
+        title: 'Spending by category',
+        image: await chartImage({
+          type: 'doughnut',
+          data: {
+            labels: cats.map(([name]) => name),
+            datasets: [{ data: cats.map(([, value]) => value), backgroundColor: cats.map(([name], idx) => categoryColor(categoryTree, name, idx)), borderWidth: 0 }],
+          },
+          options: { plugins: { legend: { position: 'right' } } },
+        }),
+      })
+    }
+    const keys = Object.keys(byPeriod).sort()
+    if (keys.length) {
+      images.push({
+        title: daily ? 'Income and expenses by day' : 'Income and expenses by month',
+        image: await chartImage({
+          type: 'bar',
+          data: {
+            labels: keys.map((key) => dayjs(key).format(daily ? 'MMM D' : 'MMM YYYY')),
+            datasets: [
+              { label: 'Income', data: keys.map((key) => byPeriod[key].income), backgroundColor: '#22c55e' },
+              { label: 'Expenses', data: keys.map((key) => byPeriod[key].expense), backgroundColor: '#ef4444' },
+            ],
+          },
+          options: { plugins: { legend: { position: 'bottom' } } },
+        }),
+      })
+    }
+    return images
+  }
+
+  const exportStatement = async () => {
+    setBusy(true)
+    try {
+      const { start, end } = rangeISO(range)
+      const snap = await getDocs(query(
+        collection(db, 'households', householdId, 'transactions'),
+        where('date', '>=', start),
+        where('date', '<=', end),
+        orderBy('date', 'desc'),
+      ))
+      const transactions = []
+      snap.forEach((docSnap) => transactions.push({ id: docSnap.id, ...docSnap.data() }))
+      // "All time" reads better from the first transaction than from the query's lower bound.
+      const oldest = transactions[transactions.length - 1]
+      const period = spec.preset === 'all' && oldest ? { ...range, start: dayjs(oldest.date).startOf('day'), end: dayjs().endOf('day') } : range
+      const { buildStatementPdf } = await import('./utils/statement.js')
+      const { doc, replacedText } = buildStatementPdf({
+        householdName,
+        range: period,
+        transactions,
+        currency,
+        toBase,
+        accountName: (id) => accounts.find((a) => a.id === id)?.name || 'Unknown account',
+        charts: withCharts ? await charts(transactions) : [],
+      })
+      doc.save(`jinofin-statement-${period.start.format('YYYYMMDD')}-${period.end.format('YYYYMMDD')}.pdf`)
+      pushToast(replacedText
+        ? { message: `Exported statement for ${range.label}. Some names use letters the PDF font cannot show and appear as "?"`, duration: 6000 }
+        : { message: `Exported statement for ${range.label}`, variant: 'success' })
+      onClose()
+    } catch (err) {
+      pushToast({ message: err.message || 'Could not export the statement', variant: 'error' })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="overlay centered" onClick={onClose}>
+      <div className="modal-card" onClick={(e) => e.stopPropagation()}>
+        <h3 className="card-title">Export PDF statement</h3>
+        <div className="filters">
+          <RangeFields spec={spec} setSpec={setSpec} idPrefix="statement" />
+          {['month', 'quarter', 'fiscal'].includes(spec.preset) && (
+            <div className="inline-field">
+              <label htmlFor="statement-month">{spec.preset === 'month' ? 'Month' : 'Containing'}</label>
+              <select id="statement-month" value={spec.month} onChange={(e) => setSpec((prev) => ({ ...prev, month: e.target.value }))}>
+                {months.map((m) => <option key={m} value={m}>{m}</option>)}
+              </select>
+            </div>
+          )}
+        </div>
+        <p className="small muted">{range.label}{spec.preset === 'all' ? '' : ` · ${range.start.format('MMM D, YYYY')} – ${range.end.format('MMM D, YYYY')}`}</p>
+        <label className="toggle-row">
+          <span>Include charts</span>
+          <input type="checkbox" checked={withCharts} onChange={(e) => setWithCharts(e.target.checked)} />
+        </label>
+        <p className="helper-text">A cover summary, spending and income by category, and every transaction in the period. Text stays selectable.</p>
+        <div className="row">
+          <button className="button btn-outline" type="button" onClick={onClose}>Cancel</button>
+          <button className="button" type="button" onClick={exportStatement} disabled={busy}>{busy ? 'Exporting…' : 'Export PDF'}</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+const CHART_VIEWS = { bars: 'Monthly by category', heatmap: 'Daily heatmap', flow: 'Income flow', trends: 'Category trends' }
+// Stacked bars and the flow keep the biggest categories and fold the rest into one bucket.
+const TOP_CATEGORIES = 8
+const REST_LABEL = 'Everything else'
+
+function topWithRest(totals) {
+  const sorted = Object.entries(totals).sort(([, a], [, b]) => b - a)
+  const top = sorted.slice(0, TOP_CATEGORIES)
+  const rest = sorted.slice(TOP_CATEGORIES).reduce((sum, [, v]) => sum + v, 0)
+  return rest > 0 ? [...top, [REST_LABEL, rest]] : top
+}
+
+/** The extra Analytics charts. Only the selected one renders, and each loads on first use. */
+function MoreCharts({ householdId, transactions, range, byParent, categoryTree, currency, toBase, onDrill, refreshToken }) {
+  const [view, setView] = useState('bars')
+  const group = useCallback((acc) => (byParent ? rollupByParent(categoryTree, acc) : acc), [byParent, categoryTree])
+  const format = useCallback((value) => formatCurrency(value, currency, { maximumFractionDigits: 0, minimumFractionDigits: 0 }), [currency])
+  const drillCategory = (category, extra = {}) => onDrill({ type: 'Expense', category: category === REST_LABEL ? undefined : category, ...extra })
+
+  // Trends always look at the 12 months up to the end of the selected range.
+  const trendEnd = range.end.isAfter(dayjs()) ? dayjs().endOf('month') : range.end
+  const trendStart = trendEnd.subtract(11, 'month').startOf('month')
+  const trendHistory = useTransactionsBetween(householdId, view === 'trends' ? trendStart.toISOString() : null, trendEnd.toISOString(), refreshToken)
+
+  const bars = useMemo(() => {
+    if (view !== 'bars') return null
+    const byMonth = {}
+    const totals = {}
+    transactions.forEach((tx) => {
+      if (tx.type !== 'expense') return
+      const key = dayjs(tx.date).format('YYYY-MM')
+      byMonth[key] = addToCategoryTotals(byMonth[key] || {}, tx, toBase)
+      addToCategoryTotals(totals, tx, toBase)
+    })
+    const labels = Object.keys(byMonth).sort()
+    const grouped = Object.fromEntries(labels.map((m) => [m, group(byMonth[m])]))
+    const keep = topWithRest(group(totals)).map(([name]) => name)
+    const datasets = keep.map((name, idx) => ({
+      label: name,
+      data: labels.map((m) => (name === REST_LABEL
+        ? Object.entries(grouped[m]).filter(([cat]) => !keep.includes(cat)).reduce((sum, [, v]) => sum + v, 0)
+        : grouped[m][name] || 0)),
+      backgroundColor: name === REST_LABEL ? '#94a3b8' : categoryColor(categoryTree, name, idx),
+      stack: 'spend',
+    }))
+    return { labels, datasets }
+  }, [view, transactions, toBase, group, categoryTree])
+
+  const barOptions = useMemo(() => ({
+    maintainAspectRatio: false,
+    plugins: { legend: { position: 'bottom' }, tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${formatCurrency(ctx.raw || 0, currency)}` } } },
+    scales: { x: { stacked: true }, y: { stacked: true } },
+    onClick: (_, elements) => {
+      if (!elements.length || !bars) return
+      const { datasetIndex, index } = elements[0]
+      drillCategory(bars.datasets[datasetIndex].label, { range: { preset: 'month', month: bars.labels[index] } })
+    },
+  }), [bars, currency])
+
+  const heatmap = useMemo(() => {
+    if (view !== 'heatmap') return null
+    const values = {}
+    transactions.forEach((tx) => {
+      if (tx.type !== 'expense') return
+      const key = dayjs(tx.date).format('YYYY-MM-DD')
+      values[key] = (values[key] || 0) + toBase(tx)
+    })
+    const end = range.end.isAfter(dayjs()) ? dayjs() : range.end
+    // Long ranges show their last year so cells stay readable.
+    const start = range.start.isBefore(end.subtract(1, 'year')) ? end.subtract(1, 'year').add(1, 'day') : range.start
+    return { values, start, end }
+  }, [view, transactions, toBase, range])
+
+  const flow = useMemo(() => {
+    if (view !== 'flow') return null
+    const income = {}
+    const expense = {}
+    transactions.forEach((tx) => {
+      if (tx.type === 'income') addToCategoryTotals(income, tx, toBase)
+      if (tx.type === 'expense') addToCategoryTotals(expense, tx, toBase)
+    })
+    const totalIn = Object.values(income).reduce((s, v) => s + v, 0)
+    const totalOut = Object.values(expense).reduce((s, v) => s + v, 0)
+    const node = ([name, value], idx) => ({ id: name, label: name, value, color: name === REST_LABEL ? '#94a3b8' : categoryColor(categoryTree, name, idx) })
+    const sources = topWithRest(group(income)).map(node)
+    const targets = topWithRest(group(expense)).map(node)
+    if (totalOut > totalIn) sources.push({ id: '__savings', label: 'From savings', value: totalOut - totalIn, color: '#f59e0b' })
+    if (totalIn > totalOut) targets.push({ id: '__saved', label: 'Saved', value: totalIn - totalOut, color: '#22c55e' })
+    return { sources, targets, total: Math.max(totalIn, totalOut) }
+  }, [view, transactions, toBase, group, categoryTree])
+
+  const trends = useMemo(() => {
+    if (view !== 'trends') return null
+    const labels = Array.from({ length: 12 }, (_, idx) => trendStart.add(idx, 'month').format('YYYY-MM'))
+    const byMonth = Object.fromEntries(labels.map((m) => [m, {}]))
+    trendHistory.forEach((tx) => {
+      const key = dayjs(tx.date).format('YYYY-MM')
+      if (tx.type === 'expense' && byMonth[key]) addToCategoryTotals(byMonth[key], tx, toBase)
+    })
+    const grouped = labels.map((m) => group(byMonth[m]))
+    const names = Array.from(new Set(grouped.flatMap((m) => Object.keys(m))))
+    return names
+      .map((name) => {
+        const series = grouped.map((m) => m[name] || 0)
+        const average = series.slice(0, -1).reduce((s, v) => s + v, 0) / (series.length - 1)
+        return { name, series, latest: series[series.length - 1], average }
+      })
+      .sort((a, b) => b.series.reduce((s, v) => s + v, 0) - a.series.reduce((s, v) => s + v, 0))
+  }, [view, trendHistory, trendStart.valueOf(), toBase, group])
+
+  return (
+    <section className="app-card">
+      <div className="quick-chips">
+        {Object.entries(CHART_VIEWS).map(([key, label]) => (
+          <button key={key} type="button" className={`quick-chip ${view === key ? 'quick-chip-active' : ''}`} onClick={() => setView(key)}>{label}</button>
+        ))}
+      </div>
+      <Suspense fallback={<Skeleton style={{ height: 220, marginTop: 12 }} />}>
+        {view === 'bars' && (bars.labels.length ? (
+          <div style={{ height: 260, marginTop: 12 }}>
+            <BarChart data={bars} options={barOptions} />
+          </div>
+        ) : <p className="small muted">No expenses in the selected range yet.</p>)}
+        {view === 'heatmap' && (
+          <div style={{ marginTop: 12 }}>
+            <CalendarHeatmap values={heatmap.values} start={heatmap.start} end={heatmap.end} format={format} onSelect={(iso) => onDrill({ type: 'Expense', range: { preset: 'custom', start: iso, end: iso } })} />
+          </div>
+        )}
+        {view === 'flow' && (flow.total ? (
+          <div style={{ marginTop: 12 }}>
+            <SankeyFlow
+              sources={flow.sources}
+              targets={flow.targets}
+              middleLabel={format(flow.total)}
+              format={format}
+              onSelect={(node, side) => {
+                if (node.id.startsWith('__')) return
+                onDrill({ type: side === 'source' ? 'Income' : 'Expense', category: node.id === REST_LABEL ? undefined : node.id })
+              }}
+            />
+          </div>
+        ) : <p className="small muted">No income or expenses in the selected range yet.</p>)}
+        {view === 'trends' && (
+          <div className="list" style={{ marginTop: 12 }}>
+            {trends.length === 0 && <p className="small muted">No expenses in the last 12 months.</p>}
+            {trends.map((row, idx) => (
+              <button key={row.name} type="button" className="list-item trend-row" onClick={() => drillCategory(row.name, { range: { preset: 'month', month: trendEnd.format('YYYY-MM') } })}>
+                <span>{categoryIcon(categoryTree, row.name) ? `${categoryIcon(categoryTree, row.name)} ` : ''}{row.name}</span>
+                <Sparkline values={row.series} color={categoryColor(categoryTree, row.name, idx)} />
+                <span className="small">
+                  {formatCurrency(row.latest, currency)}
+                  <span className={`small ${row.latest > row.average ? 'amount-neg' : 'amount-pos'}`}> {row.latest > row.average ? '▲' : '▼'} avg {format(row.average)}</span>
+                </span>
+              </button>
+            ))}
+          </div>
+        )}
+      </Suspense>
+    </section>
+  )
+}
+
+const LABEL_VIEWS = { tags: 'By tag', payee: 'By payee' }
+
+/** Spend per tag or payee across categories, e.g. what a trip cost; a row opens Overview filtered to it. */
+function LabelBreakdown({ transactions, currency, toBase, onDrill }) {
+  const [view, setView] = useState('tags')
+  const rows = useMemo(() => labelBreakdown(transactions, view, toBase), [transactions, view, toBase])
+  const top = rows[0]?.expense || 1
+
+  return (
+    <section className="app-card">
+      <div className="card-header">
+        <h3 className="card-title">Tags and payees</h3>
+        <span className="small muted">{rows.length} {view === 'tags' ? 'tag' : 'payee'}{rows.length === 1 ? '' : 's'}</span>
+      </div>
+      <div className="quick-chips">
+        {Object.entries(LABEL_VIEWS).map(([key, label]) => (
+          <button key={key} type="button" className={`quick-chip ${view === key ? 'quick-chip-active' : ''}`} onClick={() => setView(key)}>{label}</button>
+        ))}
+      </div>
+      {rows.length === 0 ? (
+        <p className="small muted">{view === 'tags' ? 'No tagged transactions in the selected range.' : 'No transactions with a payee in the selected range.'}</p>
+      ) : (
+        <div className="list" style={{ marginTop: 12 }}>
+          {rows.map((row) => (
+            <button key={row.label} type="button" className="list-item trend-row" onClick={() => onDrill(view === 'tags' ? { tag: row.label } : { payee: row.label })}>
+              <span>
+                <strong>{view === 'tags' ? formatTag(row.label) : row.label}</strong>
+                <span className="small muted" style={{ display: 'block' }}>
+                  {row.count} transaction{row.count === 1 ? '' : 's'} · {row.categories} categor{row.categories === 1 ? 'y' : 'ies'}
+                  {row.income > 0 && ` · ${formatCurrency(row.income, currency)} in`}
+                </span>
+              </span>
+              <div className="bar" style={{ width: 80 }}>
+                <div className="fill" style={{ width: `${(row.expense / top) * 100}%` }} />
+              </div>
+              <span className="amount-neg">{formatCurrency(row.expense, currency)}</span>
+            </button>
+          ))}
+        </div>
+      )}
+    </section>
+  )
+}
+
+/** Change against a comparison value; `inverse` marks increases as bad (spending). */
+function DeltaLabel({ current, previous, currency, inverse = false }) {
+  const delta = current - previous
+  const pct = previous ? (delta / previous) * 100 : null
+  const good = inverse ? delta <= 0 : delta >= 0
+  return (
+    <span className={`small ${Math.abs(delta) < 0.005 ? 'muted' : good ? 'amount-pos' : 'amount-neg'}`}>
+      {delta >= 0 ? '+' : '−'}{formatCurrency(Math.abs(delta), currency)}{pct != null ? ` (${delta >= 0 ? '+' : '−'}${Math.abs(pct).toFixed(1)}%)` : previous === 0 && current ? ' (new)' : ''}
+    </span>
+  )
+}
+
+function AnalyticsTab({ householdId, role, categories, categoryTree, accounts, accountTransactions, currency, ratesTable, toBase, budgets, totalBudget, householdName, fiscalStartMonth = 1, onDrill, refreshToken }) {
+  const { pushToast } = useToast()
+  const goals = useGoals(householdId, refreshToken)
+  const loans = useLoans(householdId, refreshToken)
+  const [horizon, setHorizon] = useState(0)
+  const { forecast, planned, threshold, startBalance, fromAccounts } = useForecast({ householdId, horizon, accounts, accountTransactions, ratesTable, currency, toBase, refreshToken })
+  const [thresholdInput, setThresholdInput] = useState('')
+  const [monthKey, setMonthKey] = useState(dayjs().format('YYYY-MM'))
+  const [rangeSpec, setRangeSpec] = useState(blankRangeSpec)
+  const [compareMode, setCompareMode] = useState('off')
+  const [transactions, setTransactions] = useState([])
+  const [showLine, setShowLine] = useState(false)
+  const [showLeft, setShowLeft] = useState(false)
+  const [byParent, setByParent] = useState(false)
+  const [showStatement, setShowStatement] = useState(false)
+  const [loading, setLoading] = useState(true)
+
+  // Envelopes are evaluated as of today for the current month and as of month end for past ones.
+  const budgetDate = useMemo(() => (monthKey === dayjs().format('YYYY-MM') ? dayjs() : dayjs(monthKey).endOf('month')), [monthKey])
+  const budgetedCats = useMemo(() => Array.from(new Set([
+    ...Object.keys(categoryBudgetsFor(monthKey, budgets.settings, budgets.months)),
+    ...Object.keys(budgets.settings?.rollover || {}),
+  ])), [monthKey, budgets])
+  const budgetRange = useMemo(() => {
+    let end = dayjs(monthKey).endOf('month')
+    budgetedCats.forEach((cat) => {
+      const periodEnd = periodRange(periodOf(budgets.settings, cat), budgetDate).end
+      if (periodEnd.isAfter(end)) end = periodEnd
+    })
+    return { start: historyStart(budgets.settings, budgetedCats, budgetDate).toISOString(), end: end.toISOString() }
+  }, [monthKey, budgetDate, budgetedCats, budgets.settings])
+  const budgetHistory = useTransactionsBetween(householdId, budgetRange.start, budgetRange.end, refreshToken)
+
+  // The month badges anchor month, quarter and fiscal-year ranges.
+  const range = useMemo(() => resolveRange({ ...rangeSpec, month: monthKey }, { fiscalStartMonth }), [rangeSpec, monthKey, fiscalStartMonth])
+  const { start: rangeStart, end: rangeEnd } = rangeISO(range)
+  const compareRange = useMemo(() => comparisonRange(rangeSpec, range, compareMode), [rangeSpec, range, compareMode])
+  const compareTransactions = useTransactionsBetween(
+    householdId,
+    compareRange ? compareRange.start.toISOString() : null,
+    compareRange ? compareRange.end.toISOString() : null,
+    refreshToken,
+  )
+
+  useEffect(() => {
+    if (!householdId) return undefined
+    setLoading(true)
+    const qRef = query(
+      collection(db, 'households', householdId, 'transactions'),
+      where('date', '>=', rangeStart),
+      where('date', '<=', rangeEnd),
+      orderBy('date', 'desc'),
+    )
+    const unsub = onSnapshot(qRef, (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      setTransactions(list)
+      setLoading(false)
+    })
+    return () => unsub()
+  }, [householdId, rangeStart, rangeEnd, refreshToken])
+
+  const totals = useMemo(() => {
+    return transactions.reduce((acc, tx) => {
+      const val = toBase(tx)
+      if (tx.type === 'income') acc.income += val
+      if (tx.type === 'expense') acc.expense += val
+      return acc
+    }, { income: 0, expense: 0 })
+  }, [transactions, toBase])
+
+  const expenseByCat = useMemo(() => {
+    const acc = {}
+    let total = 0
+    transactions.forEach((tx) => {
+      if (tx.type !== 'expense') return
+      addToCategoryTotals(acc, tx, toBase)
+      total += toBase(tx)
+    })
+    return { acc: byParent ? rollupByParent(categoryTree, acc) : acc, total }
+  }, [transactions, toBase, byParent, categoryTree])
+
+  // Opens Overview filtered to what was clicked; defaults to the selected range.
+  const drill = (filter) => onDrill?.({
+    ...filter,
+    range: filter.range || { preset: 'custom', start: range.start.format('YYYY-MM-DD'), end: range.end.format('YYYY-MM-DD') },
+  })
+
+  const saveFiscalStart = (month) => {
+    updateDoc(doc(db, 'households', householdId), { fiscalYearStart: month })
+      .catch((err) => pushToast({ message: err.message || 'Failed to save fiscal year', variant: 'error' }))
+  }
+
+  const comparison = useMemo(() => {
+    if (!compareRange) return null
+    const acc = {}
+    const previous = { income: 0, expense: 0 }
+    compareTransactions.forEach((tx) => {
+      if (!isCashFlow(tx)) return
+      previous[tx.type] += toBase(tx)
+      if (tx.type === 'expense') addToCategoryTotals(acc, tx, toBase)
+    })
+    return { ...previous, deltas: categoryDeltas(expenseByCat.acc, byParent ? rollupByParent(categoryTree, acc) : acc) }
+  }, [compareRange, compareTransactions, toBase, expenseByCat, byParent, categoryTree])
+
+  const byMonth = useMemo(() => {
+    const acc = {}
+    transactions.forEach((tx) => {
+      const key = dayjs(tx.date).format('YYYY-MM')
+      if (!acc[key]) acc[key] = { income: 0, expense: 0 }
+      if (isCashFlow(tx)) acc[key][tx.type] += toBase(tx)
+    })
+    const labels = Object.keys(acc).sort()
+    return {
+      labels,
+      income: labels.map((l) => acc[l].income),
+      expense: labels.map((l) => acc[l].expense),
+    }
+  }, [transactions, toBase])
+
+  useEffect(() => {
+    setThresholdInput(threshold == null ? '' : normalizeAmountString(threshold.toFixed(2)))
+  }, [threshold])
+
+  const saveThreshold = () => {
+    const value = thresholdInput.trim() === '' ? null : parseAmountNumber(thresholdInput)
+    if (value != null && !Number.isFinite(value)) {
+      pushToast({ message: 'Enter a valid amount', variant: 'error' })
+      return
+    }
+    if (value === threshold) return
+    setDoc(doc(db, 'households', householdId, 'settings', 'forecast'), { threshold: value }, { merge: true })
+      .catch((err) => pushToast({ message: err.message || 'Failed to save threshold', variant: 'error' }))
+  }
+
+  const belowThreshold = forecast && threshold != null ? forecast.rows.find((row) => row.balance < threshold) : null
+
+  // History stays as it was; the forecast continues it with dashed lines and a balance on the right axis.
+  const lineData = useMemo(() => {
+    const datasets = [
+      { label: 'Income', data: byMonth.income, borderColor: '#22c55e', backgroundColor: 'rgba(34,197,94,0.2)', tension: 0.35, fill: false },
+      { label: 'Expense', data: byMonth.expense, borderColor: '#ef4444', backgroundColor: 'rgba(239,68,68,0.2)', tension: 0.35, fill: false },
+    ]
+    if (!forecast) return { labels: byMonth.labels, datasets }
+    const current = dayjs().format('YYYY-MM')
+    const history = byMonth.labels.filter((label) => label <= current)
+    const labels = [...history, ...forecast.rows.map((row) => row.month).filter((month) => !history.includes(month))]
+    const rows = Object.fromEntries(forecast.rows.map((row) => [row.month, row]))
+    const actual = (series, label) => {
+      const idx = byMonth.labels.indexOf(label)
+      return idx === -1 ? null : series[idx]
+    }
+    // Past month-end balances: today's balance minus everything that happened after that month.
+    const netAfter = (label) => history.filter((l) => l > label).reduce((total, l) => total + actual(byMonth.income, l) - actual(byMonth.expense, l), 0)
+    const projected = (key, series) => labels.map((label) => {
+      if (label === current && history.includes(current)) return series ? actual(series, label) : rows[label].balance
+      return label >= current ? rows[label]?.[key] ?? null : null
+    })
+    const dashed = { borderDash: [6, 4], pointRadius: 2, tension: 0.35, fill: false }
+    return {
+      labels,
+      datasets: [
+        { ...datasets[0], data: labels.map((label) => (label <= current ? actual(byMonth.income, label) : null)) },
+        { ...datasets[1], data: labels.map((label) => (label <= current ? actual(byMonth.expense, label) : null)) },
+        { label: 'Projected income', data: projected('income', byMonth.income), borderColor: '#22c55e', ...dashed },
+        { label: 'Projected expense', data: projected('expense', byMonth.expense), borderColor: '#ef4444', ...dashed },
+        {
+          label: fromAccounts ? 'Balance' : 'Net',
+          data: labels.map((label) => (label < current ? startBalance - netAfter(label) : label === current ? rows[label].balance : null)),
+          borderColor: '#3b82f6',
+          tension: 0.35,
+          fill: false,
+          yAxisID: 'y1',
+        },
+        { label: fromAccounts ? 'Projected balance' : 'Projected net', data: projected('balance'), borderColor: '#3b82f6', ...dashed, yAxisID: 'y1' },
+        ...(threshold != null ? [{ label: 'Threshold', data: labels.map(() => threshold), borderColor: '#f59e0b', borderDash: [2, 2], pointRadius: 0, fill: false, yAxisID: 'y1' }] : []),
+      ],
+    }
+  }, [byMonth, forecast, startBalance, fromAccounts, threshold])
+
+  const lineOptions = useMemo(() => ({
+    maintainAspectRatio: false,
+    plugins: { legend: { position: 'bottom' } },
+    ...(forecast ? { scales: { y: { position: 'left' }, y1: { position: 'right', grid: { drawOnChartArea: false } } } } : {}),
+  }), [forecast])
+
+  const budgetStatuses = useMemo(() => {
+    const result = {}
+    budgetedCats.forEach((cat) => {
+      const status = budgetStatus(cat, budgetDate, { ...budgets, transactions: budgetHistory, toBase })
+      if (status.budget > 0 || status.carry !== 0) result[cat] = status
+    })
+    return result
+  }, [budgetedCats, budgetDate, budgets, budgetHistory, toBase])
+
+  // Left and available per category, rolled up into parents when grouping; rollover is included.
+  const { leftByCat, availableByCat } = useMemo(() => {
+    const left = {}
+    const available = {}
+    Object.entries(budgetStatuses).forEach(([cat, status]) => {
+      left[cat] = status.left
+      available[cat] = status.available
+    })
+    return byParent
+      ? { leftByCat: rollupByParent(categoryTree, left), availableByCat: rollupByParent(categoryTree, available) }
+      : { leftByCat: left, availableByCat: available }
+  }, [budgetStatuses, byParent, categoryTree])
+
+  const envelope = useMemo(() => readyToAssign(monthKey, { ...budgets, transactions: budgetHistory, toBase }), [monthKey, budgets, budgetHistory, toBase])
+
+  const doughnutData = useMemo(() => {
+    const labels = Object.keys(expenseByCat.acc)
+    return {
+      labels,
+      datasets: [
+        {
+          data: Object.values(expenseByCat.acc),
+          backgroundColor: labels.map((name, idx) => categoryColor(categoryTree, name, idx)),
+          borderWidth: 0,
+        },
+      ],
+    }
+  }, [expenseByCat, categoryTree])
+
+  const doughnutOptions = useMemo(() => ({
+    plugins: {
+      tooltip: {
+        callbacks: {
+          label: (ctx) => {
+            const value = ctx.raw || 0
+            const pct = expenseByCat.total ? ((value / expenseByCat.total) * 100).toFixed(1) : 0
+            return `${ctx.label}: ${formatCurrency(value, currency)} • ${pct}%`
+          },
+        },
+      },
+      legend: { position: 'bottom' },
+    },
+    maintainAspectRatio: false,
+    onClick: (_, elements) => {
+      if (elements.length) drill({ type: 'Expense', category: doughnutData.labels[elements[0].index] })
+    },
+  }), [expenseByCat, currency, doughnutData])
+
+  const exportCSV = () => {
+    downloadCsv(transactions, currency, 'jinofin-analytics')
+    pushToast({ message: 'Exported CSV', variant: 'success' })
+  }
+
+  return (
+    <>
+      <section className="app-card">
+        <div className="badge-row">
+          {Array.from({ length: 6 }, (_, idx) => dayjs().subtract(idx, 'month').format('YYYY-MM')).map((m) => (
+            <button key={m} type="button" className={`badge ${m === monthKey ? 'active' : ''}`} onClick={() => setMonthKey(m)}>{m}</button>
+          ))}
+        </div>
+        <div className="filters">
+          <RangeFields spec={rangeSpec} setSpec={setRangeSpec} idPrefix="analytics" />
+          {rangeSpec.preset === 'fiscal' && (
+            <div className="inline-field">
+              <label htmlFor="analytics-fiscal">Fiscal year starts</label>
+              <select id="analytics-fiscal" value={fiscalStartMonth} onChange={(e) => saveFiscalStart(Number(e.target.value))} disabled={!canEdit(role)}>
+                {Array.from({ length: 12 }, (_, idx) => <option key={idx} value={idx + 1}>{dayjs().month(idx).format('MMMM')}</option>)}
+              </select>
+            </div>
+          )}
+          <div className="inline-field">
+            <label htmlFor="analytics-compare">Compare with</label>
+            <select id="analytics-compare" value={compareMode} onChange={(e) => setCompareMode(e.target.value)} disabled={rangeSpec.preset === 'all'}>
+              {Object.entries(COMPARE_MODES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </select>
+          </div>
+        </div>
+        <p className="small muted">{range.label}{range.unit === 'month' || rangeSpec.preset === 'last6' || rangeSpec.preset === 'all' ? '' : ` · ${range.start.format('MMM D, YYYY')} – ${range.end.format('MMM D, YYYY')}`}</p>
+        <label className="toggle-row">
+          <span>Group by parent category</span>
+          <input type="checkbox" checked={byParent} onChange={(e) => setByParent(e.target.checked)} />
+        </label>
+      </section>
+
+      <section className="app-card">
+        <div className="card-header">
+          <h3 className="card-title">Spending insights</h3>
+          <span className="small muted">{transactions.length} records</span>
+        </div>
+        {loading ? (
+          <Skeleton style={{ height: 220 }} />
+        ) : expenseByCat.total === 0 ? (
+          <p className="small muted">No expenses in the selected range yet.</p>
+        ) : (
+          <Suspense fallback={<Skeleton style={{ height: 220 }} />}>
+            <div className="chart-shell">
+              <DoughnutChart data={doughnutData} options={doughnutOptions} />
+            </div>
+          </Suspense>
+        )}
+
+        <div className="row" style={{ marginTop: 16 }}>
+          <div className="inline-field" style={{ flex: 1 }}>
+            <label>Income vs expense</label>
+            <button className="button btn-outline" type="button" onClick={() => setShowLine((v) => !v)}>{showLine ? 'Hide' : 'Show'}</button>
+          </div>
+        </div>
+        {showLine && (
+          <>
+            <div className="quick-chips" style={{ marginTop: 12 }}>
+              <button type="button" className={`quick-chip ${!horizon ? 'quick-chip-active' : ''}`} onClick={() => setHorizon(0)}>No forecast</button>
+              {FORECAST_HORIZONS.map((months) => (
+                <button key={months} type="button" className={`quick-chip ${horizon === months ? 'quick-chip-active' : ''}`} onClick={() => setHorizon(months)}>Next {months} months</button>
+              ))}
+            </div>
+            {belowThreshold && (
+              <p className="amount-neg small">
+                {fromAccounts ? 'Balance' : 'Net'} is projected to drop to {formatCurrency(belowThreshold.balance, currency)} in {dayjs(belowThreshold.month).format('MMMM YYYY')}, below your {formatCurrency(threshold, currency)} threshold.
+              </p>
+            )}
+            <Suspense fallback={<Skeleton style={{ height: 200, marginTop: 12 }} />}>
+              <div style={{ height: forecast ? 260 : 220, marginTop: 12 }}>
+                <LineChart data={lineData} options={lineOptions} />
+              </div>
+            </Suspense>
+            {forecast && (
+              <>
+                <p className="helper-text">
+                  Recurring items, your average non-recurring spend and income per category over the last {AVERAGE_MONTHS} months, and planned one-offs.
+                  {fromAccounts ? ` Starts from today's account balance of ${formatCurrency(startBalance, currency)}.` : ' Add accounts to start from a real balance.'}
+                </p>
+                <div className="inline-field">
+                  <label htmlFor="forecast-threshold">Warn below</label>
+                  <input id="forecast-threshold" inputMode="decimal" placeholder="No warning" value={thresholdInput} onChange={(e) => setThresholdInput(normalizeAmountString(e.target.value))} onBlur={saveThreshold} disabled={!canEdit(role)} />
+                </div>
+                <PlannedItems householdId={householdId} role={role} planned={planned} currency={currency} />
+              </>
+            )}
+          </>
+        )}
+
+        <details className="foldable" open={showLeft} style={{ marginTop: 16 }}>
+          <summary className="toggle-row" onClick={(e) => { e.preventDefault(); setShowLeft((v) => !v) }}>
+            <span>Left to spend</span>
+            <span className="small muted">{formatCurrency(Object.values(leftByCat).reduce((acc, v) => acc + v, 0), currency)}</span>
+          </summary>
+          {showLeft && (
+            <div className="foldable-content">
+              {Object.keys(leftByCat).length === 0 ? (
+                <p className="small muted">Set category budgets in Settings to track remaining spend.</p>
+              ) : (
+                Object.entries(leftByCat).sort(([a], [b]) => a.localeCompare(b)).map(([cat, left]) => (
+                  <div key={cat} className="bar-row">
+                    <span>
+                      {categoryIcon(categoryTree, cat) ? `${categoryIcon(categoryTree, cat)} ` : ''}{cat}
+                      {!byParent && budgetStatuses[cat]?.period !== 'monthly' && <span className="small muted"> · {BUDGET_PERIODS[budgetStatuses[cat].period].toLowerCase()}</span>}
+                      {!byParent && budgetStatuses[cat]?.carry ? <span className="small muted"> · {formatCurrency(budgetStatuses[cat].carry, currency)} rolled over</span> : null}
+                    </span>
+                    <div className="bar">
+                      <div className="fill" style={{ width: `${Math.max(0, Math.min(100, (left / (availableByCat[cat] || 1)) * 100))}%`, background: categoryColor(categoryTree, cat) }} />
+                    </div>
+                    <span className={left >= 0 ? 'amount-pos' : 'amount-neg'}>{formatCurrency(left, currency)}</span>
+                  </div>
+                ))
+              )}
+            </div>
+          )}
+        </details>
+      </section>
+
+      {!loading && (
+        <MoreCharts
+          householdId={householdId}
+          transactions={transactions}
+          range={range}
+          byParent={byParent}
+          categoryTree={categoryTree}
+          currency={currency}
+          toBase={toBase}
+          onDrill={drill}
+          refreshToken={refreshToken}
+        />
+      )}
+
+      {!loading && <LabelBreakdown transactions={transactions} currency={currency} toBase={toBase} onDrill={drill} />}
+
+      {comparison && (
+        <section className="app-card">
+          <div className="card-header">
+            <h3 className="card-title">Compared with {compareRange.label}</h3>
+            <span className="small muted">{compareRange.start.format('MMM D, YYYY')} – {compareRange.end.format('MMM D, YYYY')}</span>
+          </div>
+          {comparison.deltas.length === 0 ? (
+            <p className="small muted">No expenses in either period.</p>
+          ) : (
+            <div className="list">
+              {comparison.deltas.map((row) => (
+                <div key={row.category} className="list-item">
+                  <div>
+                    <strong>{categoryIcon(categoryTree, row.category) ? `${categoryIcon(categoryTree, row.category)} ` : ''}{row.category}</strong>
+                    <div className="small muted">{formatCurrency(row.current, currency)} vs {formatCurrency(row.previous, currency)}</div>
+                  </div>
+                  <DeltaLabel current={row.current} previous={row.previous} currency={currency} inverse />
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+      )}
+
+      <section className="app-card">
+        <div className="stat-grid">
+          <div className="stat-card">
+            <span className="small muted">Income</span>
+            <strong>{formatCurrency(totals.income, currency)}</strong>
+            {comparison && <DeltaLabel current={totals.income} previous={comparison.income} currency={currency} />}
+          </div>
+          <div className="stat-card">
+            <span className="small muted">Expenses</span>
+            <strong>{formatCurrency(totals.expense, currency)}</strong>
+            {comparison && <DeltaLabel current={totals.expense} previous={comparison.expense} currency={currency} inverse />}
+          </div>
+          <div className="stat-card">
+            <span className="small muted">Net</span>
+            <strong className={totals.income - totals.expense >= 0 ? 'amount-pos' : 'amount-neg'}>{formatCurrency(totals.income - totals.expense, currency)}</strong>
+          </div>
+          <div className="stat-card">
+            <span className="small muted">Budget</span>
+            <strong>{formatCurrency(totalBudgetFor(monthKey, budgets.settings, budgets.months, totalBudget), currency)}</strong>
+          </div>
+          <div className="stat-card">
+            <span className="small muted">Ready to assign</span>
+            <strong className={envelope.ready >= 0 ? 'amount-pos' : 'amount-neg'}>{formatCurrency(envelope.ready, currency)}</strong>
+          </div>
+        </div>
+        <UnconvertedNote items={transactions} toBase={toBase} />
+        <div className="row" style={{ marginTop: 16 }}>
+          <button className="button" type="button" onClick={exportCSV}>Export CSV</button>
+          <button className="button btn-outline" type="button" onClick={() => setShowStatement(true)}>Export PDF</button>
+        </div>
+      </section>
+
+      <GoalsCard
+        householdId={householdId}
+        role={role}
+        goals={goals}
+        categories={categories}
+        categoryTree={categoryTree}
+        accounts={accounts}
+        accountTransactions={accountTransactions}
+        currency={currency}
+        ratesTable={ratesTable}
+        toBase={toBase}
+        refreshToken={refreshToken}
+      />
+
+      <LoansCard householdId={householdId} role={role} loans={loans} currency={currency} toBase={toBase} refreshToken={refreshToken} />
+
+      {showStatement && (
+        <StatementModal
+          householdId={householdId}
+          householdName={householdName}
+          initialSpec={{ ...rangeSpec, month: monthKey }}
+          fiscalStartMonth={fiscalStartMonth}
+          categoryTree={categoryTree}
+          accounts={accounts}
+          currency={currency}
+          toBase={toBase}
+          onClose={() => setShowStatement(false)}
+        />
+      )}
+    </>
+  )
+}
+
+/* ---------------- Settings ---------------- */
+function blankRule(categories, currency, accounts = []) {
+  return {
+    type: 'expense',
+    category: categories[0] || 'Other',
+    amount: '',
+    currency,
+    accountId: accounts[0]?.id || '',
+    note: '',
+    frequency: 'monthly',
+    weekday: 1,
+    dayOfMonth: 1,
+    month: 1,
+    startDate: dayjs().format('YYYY-MM-DD'),
+  }
+}
+
+/** Why a rule draft's schedule cannot be saved, or null. */
+function scheduleProblem(draft) {
+  const usesDay = draft.frequency === 'monthly' || draft.frequency === 'yearly'
+  const day = Number(draft.dayOfMonth)
+  if (usesDay && (String(draft.dayOfMonth ?? '').trim() === '' || !Number.isInteger(day) || day < 1 || day > 31)) return 'Enter a day between 1 and 31'
+  if (!draft.startDate || !dayjs(draft.startDate).isValid()) return 'Pick a start date'
+  return null
+}
+
+function scheduleFromDraft(draft) {
+  switch (draft.frequency) {
+    case 'weekly': return { frequency: 'weekly', weekday: Number(draft.weekday) }
+    case 'monthly': return { frequency: 'monthly', dayOfMonth: Number(draft.dayOfMonth) }
+    case 'yearly': return { frequency: 'yearly', month: Number(draft.month), dayOfMonth: Number(draft.dayOfMonth) }
+    default: return { frequency: 'lastBusinessDay' }
+  }
+}
+
+function RecurringSection({ householdId, role, categories, categoryTree, accounts, currency, refreshToken }) {
+  const { pushToast } = useToast()
+  const [rules, setRules] = useState([])
+  const [draft, setDraft] = useState(null)
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    if (!householdId) return undefined
+    const unsub = onSnapshot(collection(db, 'households', householdId, 'recurring'), (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      list.sort((a, b) => (a.paused === b.paused ? (a.nextRun || '').localeCompare(b.nextRun || '') : a.paused ? 1 : -1))
+      setRules(list)
+    })
+    return () => unsub()
+  }, [householdId, refreshToken])
+
+  const setDraftField = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }))
+
+  const ruleRef = (id) => doc(db, 'households', householdId, 'recurring', id)
+
+  const fail = (err) => pushToast({ message: err.message || 'Failed to update recurring rule', variant: 'error' })
+
+  const saveRule = async () => {
+    const amount = parseAmountNumber(draft.amount)
+    if (!Number.isFinite(amount) || amount <= 0) {
+      pushToast({ message: 'Enter a valid amount', variant: 'error' })
+      return
+    }
+    const problem = scheduleProblem(draft)
+    if (problem) {
+      pushToast({ message: problem, variant: 'error' })
+      return
+    }
+    setSaving(true)
+    try {
+      const schedule = scheduleFromDraft(draft)
+      await addDoc(collection(db, 'households', householdId, 'recurring'), {
+        type: draft.type,
+        amount,
+        currency: draft.currency,
+        category: draft.category,
+        ...(draft.accountId ? { accountId: draft.accountId } : {}),
+        note: draft.note.trim(),
+        schedule,
+        nextRun: occurrenceOnOrAfter(schedule, draft.startDate).format('YYYY-MM-DD'),
+        paused: false,
+        createdAt: new Date().toISOString(),
+        createdBy: auth.currentUser?.uid || null,
+      })
+      setDraft(null)
+      pushToast({ message: 'Recurring rule added', variant: 'success' })
+    } catch (err) {
+      fail(err)
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const togglePause = (rule) => {
+    updateDoc(ruleRef(rule.id), { paused: !rule.paused }).catch(fail)
+  }
+
+  const skipNext = (rule) => {
+    const nextRun = occurrenceAfter(rule.schedule, rule.nextRun).format('YYYY-MM-DD')
+    updateDoc(ruleRef(rule.id), { nextRun }).catch(fail)
+    pushToast({
+      message: `Skipped ${dayjs(rule.nextRun).format('MMM D')}`,
+      variant: 'success',
+      action: { label: 'Undo', onClick: () => updateDoc(ruleRef(rule.id), { nextRun: rule.nextRun }).catch(fail) },
+    })
+  }
+
+  const removeRule = (rule) => {
+    if (!window.confirm('Delete this recurring rule? Transactions it already created are kept.')) return
+    deleteDoc(ruleRef(rule.id)).catch(fail)
+  }
+
+  const upcoming = (rule) => {
+    const dates = [dayjs(rule.nextRun)]
+    while (dates.length < 3) dates.push(occurrenceAfter(rule.schedule, dates[dates.length - 1]))
+    return dates.map((d) => d.format('MMM D')).join(' • ')
+  }
+
+  return (
+    <section className="app-card">
+      <div className="card-header">
+        <h3 className="card-title">Recurring</h3>
+        <span className="small muted">{rules.length} rule{rules.length === 1 ? '' : 's'}</span>
+      </div>
+      {rules.length === 0 && !draft && <p className="small muted">Rent, salary and subscriptions are added automatically when they fall due.</p>}
+      <div className="list">
+        {rules.map((rule) => (
+          <div key={rule.id} className="list-item">
+            <div>
+              <strong>{rule.category}</strong>
+              <div className="small muted">
+                {describeSchedule(rule.schedule)}
+                {rule.accountId && ` • ${accounts.find((a) => a.id === rule.accountId)?.name || 'Unknown account'}`}
+                {rule.note ? ` • ${rule.note}` : ''}
+              </div>
+              <div className="small">{rule.paused ? 'Paused' : `Next: ${upcoming(rule)}`}</div>
+            </div>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: '8px', alignItems: 'flex-end' }}>
+              <span className={rule.type === 'income' ? 'amount-pos' : 'amount-neg'}>
+                {rule.type === 'income' ? '+' : '−'} {formatCurrency(Number(rule.amount || 0), rule.currency || currency)}
+              </span>
+              {canEdit(role) && (
+                <div style={{ display: 'flex', gap: '8px' }}>
+                  <button type="button" className="button btn-outline" onClick={() => togglePause(rule)}>{rule.paused ? 'Resume' : 'Pause'}</button>
+                  {!rule.paused && <button type="button" className="button btn-outline" onClick={() => skipNext(rule)}>Skip</button>}
+                  <button type="button" className="button btn-outline" onClick={() => removeRule(rule)} aria-label="Delete rule">Delete</button>
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {draft && (
+        <div className="foldable-content">
+          <div className="row">
+            <button type="button" className={`button ${draft.type === 'expense' ? '' : 'btn-muted'}`} onClick={() => setDraftField('type', 'expense')}>Expense</button>
+            <button type="button" className={`button ${draft.type === 'income' ? '' : 'btn-muted'}`} onClick={() => setDraftField('type', 'income')}>Income</button>
+          </div>
+          <div className="row">
+            <div className="inline-field">
+              <label htmlFor="rule-category">Category</label>
+              <select id="rule-category" value={draft.category} onChange={(e) => setDraftField('category', e.target.value)}>
+                <CategoryOptions tree={categoryTree} names={categories} />
+              </select>
+            </div>
+            <div className="inline-field">
+              <label htmlFor="rule-amount">Amount</label>
+              <div className="amount-row">
+                <input id="rule-amount" inputMode="decimal" placeholder="0.00" value={draft.amount} onChange={(e) => setDraftField('amount', normalizeAmountString(e.target.value))} />
+                <select value={draft.currency} onChange={(e) => setDraftField('currency', e.target.value)} aria-label="Currency">
+                  {(CURRENCIES.includes(currency) ? CURRENCIES : [currency, ...CURRENCIES]).map((c) => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </div>
+            </div>
+          </div>
+          {accounts.length > 0 && (
+            <div className="inline-field">
+              <label htmlFor="rule-account">Account</label>
+              <select id="rule-account" value={draft.accountId} onChange={(e) => setDraftField('accountId', e.target.value)}>
+                <option value="">No account</option>
+                {accounts.map((a) => <option key={a.id} value={a.id}>{a.name}</option>)}
+              </select>
+            </div>
+          )}
+          <div className="inline-field">
+            <label htmlFor="rule-note">Note (optional)</label>
+            <input id="rule-note" value={draft.note} onChange={(e) => setDraftField('note', e.target.value)} />
+          </div>
+          <div className="row">
+            <div className="inline-field">
+              <label htmlFor="rule-frequency">Repeats</label>
+              <select id="rule-frequency" value={draft.frequency} onChange={(e) => setDraftField('frequency', e.target.value)}>
+                {Object.entries(FREQUENCIES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+            </div>
+            {draft.frequency === 'weekly' && (
+              <div className="inline-field">
+                <label htmlFor="rule-weekday">On</label>
+                <select id="rule-weekday" value={draft.weekday} onChange={(e) => setDraftField('weekday', e.target.value)}>
+                  {WEEKDAYS.map((label, idx) => <option key={label} value={idx}>{label}</option>)}
+                </select>
+              </div>
+            )}
+            {draft.frequency === 'yearly' && (
+              <div className="inline-field">
+                <label htmlFor="rule-month">Month</label>
+                <select id="rule-month" value={draft.month} onChange={(e) => setDraftField('month', e.target.value)}>
+                  {Array.from({ length: 12 }, (_, idx) => <option key={idx} value={idx + 1}>{dayjs().month(idx).format('MMMM')}</option>)}
+                </select>
+              </div>
+            )}
+            {(draft.frequency === 'monthly' || draft.frequency === 'yearly') && (
+              <div className="inline-field">
+                <label htmlFor="rule-day">Day</label>
+                <input id="rule-day" type="number" min="1" max="31" value={draft.dayOfMonth} onChange={(e) => setDraftField('dayOfMonth', e.target.value)} />
+              </div>
+            )}
+          </div>
+          <div className="inline-field">
+            <label htmlFor="rule-start">Starting from</label>
+            <input id="rule-start" type="date" value={draft.startDate} onChange={(e) => setDraftField('startDate', e.target.value)} />
+          </div>
+          {!scheduleProblem(draft) && <p className="small muted">First run: {occurrenceOnOrAfter(scheduleFromDraft(draft), draft.startDate).format('ddd, MMM D YYYY')}</p>}
+        </div>
+      )}
+
+      {canEdit(role) && (
+        draft ? (
+          <div className="row">
+            <button className="button btn-outline" type="button" onClick={() => setDraft(null)}>Cancel</button>
+            <button className="button" type="button" onClick={saveRule} disabled={saving}>{saving ? 'Saving…' : 'Save rule'}</button>
+          </div>
+        ) : (
+          <button className="button btn-outline" type="button" onClick={() => setDraft(blankRule(categories, currency, accounts))}>Add recurring rule</button>
+        )
+      )}
+    </section>
+  )
+}
+
+function CategorySheet({ householdId, categoryTree, category, onClose }) {
+  const { pushToast } = useToast()
+  const isNew = !category
+  const hasChildren = !isNew && categoryTree.some((c) => c.parentId === category.id)
+  const [draft, setDraft] = useState(() => category || makeCategory('', categoryTree))
+  const [mergeInto, setMergeInto] = useState('')
+  const [busy, setBusy] = useState(false)
+  const setField = (key, value) => setDraft((prev) => ({ ...prev, [key]: value }))
+
+  const parents = categoryTree.filter((c) => !c.parentId && c.id !== draft.id)
+  const mergeTargets = orderCategories(categoryTree).filter((c) => c.id !== draft.id && c.parentId !== draft.id)
+  const householdRef = doc(db, 'households', householdId)
+
+  const save = async () => {
+    const name = draft.name.trim()
+    if (!name) {
+      pushToast({ message: 'Enter a category name', variant: 'error' })
+      return
+    }
+    if (categoryTree.some((c) => c.name === name && c.id !== draft.id)) {
+      pushToast({ message: 'Category already exists', variant: 'error' })
+      return
+    }
+    const next = { ...draft, name, parentId: hasChildren ? null : draft.parentId || null }
+    const tree = isNew ? [...categoryTree, next] : categoryTree.map((c) => (c.id === next.id ? next : c))
+    setBusy(true)
+    try {
+      const renamed = !isNew && category.name !== name
+      // Like merge: transactions move first, so a failed rewrite never leaves them under a name the tree no longer has.
+      const count = renamed ? await reassignCategory(householdId, category.name, name) : 0
+      await updateDoc(householdRef, { categories: tree })
+      if (renamed) {
+        await moveCategoryBudgets(householdId, category.name, name)
+        pushToast({ message: `Renamed to ${name} · ${count} updated`, variant: 'success' })
+      } else {
+        pushToast({ message: isNew ? 'Category added' : 'Category saved', variant: 'success' })
+      }
+      onClose?.()
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to save category', variant: 'error' })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const merge = async () => {
+    const target = categoryTree.find((c) => c.id === mergeInto)
+    if (!target) return
+    if (!window.confirm(`Merge "${category.name}" into "${target.name}"? Its transactions, rules and budget move to ${target.name}.`)) return
+    // Children follow into the target's top-level category so nesting stays one level deep.
+    const newParentId = target.parentId || target.id
+    const tree = categoryTree
+      .filter((c) => c.id !== category.id)
+      .map((c) => (c.parentId === category.id ? { ...c, parentId: newParentId } : c))
+    setBusy(true)
+    try {
+      const count = await reassignCategory(householdId, category.name, target.name)
+      await updateDoc(householdRef, { categories: tree })
+      await moveCategoryBudgets(householdId, category.name, target.name)
+      pushToast({ message: `Merged into ${target.name} · ${count} updated`, variant: 'success' })
+      onClose?.()
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to merge categories', variant: 'error' })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const remove = async () => {
+    const note = hasChildren ? ' Its subcategories become top-level categories.' : ''
+    if (!window.confirm(`Remove category "${category.name}"? Existing transactions keep their category.${note}`)) return
+    const tree = categoryTree
+      .filter((c) => c.id !== category.id)
+      .map((c) => (c.parentId === category.id ? { ...c, parentId: null } : c))
+    setBusy(true)
+    try {
+      await updateDoc(householdRef, { categories: tree })
+      await moveCategoryBudgets(householdId, category.name, null)
+      pushToast({ message: 'Category removed', variant: 'success' })
+      onClose?.()
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to remove category', variant: 'error' })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="overlay" onClick={onClose} role="dialog" aria-modal="true" aria-label={isNew ? 'Add category' : 'Edit category'}>
+      <div className="sheet sheet-scroll" onClick={(e) => e.stopPropagation()}>
+        <h3 className="card-title">{isNew ? 'Add category' : 'Edit category'}</h3>
+        <div className="inline-field">
+          <label htmlFor="cat-name">Name</label>
+          <input id="cat-name" value={draft.name} onChange={(e) => setField('name', e.target.value)} placeholder="e.g. Fuel" />
+        </div>
+        <div className="inline-field">
+          <label htmlFor="cat-parent">Parent</label>
+          <select id="cat-parent" value={draft.parentId || ''} onChange={(e) => setField('parentId', e.target.value || null)} disabled={hasChildren}>
+            <option value="">None (top level)</option>
+            {parents.map((c) => <option key={c.id} value={c.id}>{c.icon ? `${c.icon} ` : ''}{c.name}</option>)}
+          </select>
+          {hasChildren && <p className="helper-text">Categories with subcategories stay at the top level.</p>}
+        </div>
+        <div className="inline-field">
+          <label>Icon</label>
+          <div className="quick-chips">
+            <button type="button" className={`quick-chip ${!draft.icon ? 'quick-chip-active' : ''}`} onClick={() => setField('icon', '')}>None</button>
+            {CATEGORY_ICONS.map((icon) => (
+              <button key={icon} type="button" className={`quick-chip ${draft.icon === icon ? 'quick-chip-active' : ''}`} onClick={() => setField('icon', icon)} aria-label={`Icon ${icon}`}>{icon}</button>
+            ))}
+          </div>
+        </div>
+        <div className="inline-field">
+          <label>Colour</label>
+          <div className="quick-chips">
+            {CATEGORY_PALETTE.map((color) => (
+              <button
+                key={color}
+                type="button"
+                className={`color-swatch ${draft.color === color ? 'color-swatch-active' : ''}`}
+                style={{ background: color }}
+                onClick={() => setField('color', color)}
+                aria-label={`Colour ${color}`}
+              />
+            ))}
+          </div>
+        </div>
+        <div className="row">
+          <button className="button btn-outline" type="button" onClick={onClose}>Cancel</button>
+          <button className="button" type="button" onClick={save} disabled={busy}>{busy ? 'Saving…' : 'Save'}</button>
+        </div>
+        {!isNew && (
+          <>
+            <div className="inline-field">
+              <label htmlFor="cat-merge">Merge into</label>
+              <div className="row">
+                <select id="cat-merge" value={mergeInto} onChange={(e) => setMergeInto(e.target.value)}>
+                  <option value="">Choose a category…</option>
+                  {mergeTargets.map((c) => <option key={c.id} value={c.id}>{categoryLabel(categoryTree, c.name)}</option>)}
+                </select>
+                <button className="button btn-outline" type="button" onClick={merge} disabled={busy || !mergeInto}>Merge</button>
+              </div>
+            </div>
+            <button className="button btn-outline" type="button" onClick={remove} disabled={busy}>Remove category</button>
+          </>
+        )}
+      </div>
+    </div>
+  )
+}
+
+function CategoriesSection({ householdId, role, categoryTree }) {
+  const [editing, setEditing] = useState(null)
+
+  return (
+    <section className="app-card">
+      <h3 className="card-title">Categories</h3>
+      <div className="list">
+        {orderCategories(categoryTree).map((cat) => (
+          <div key={cat.id} className={`list-item ${cat.parentId ? 'category-child' : ''}`}>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <span className="color-dot" style={{ background: cat.color }} aria-hidden="true" />
+              <strong>{cat.icon ? `${cat.icon} ` : ''}{cat.name}</strong>
+            </div>
+            {canEdit(role) && <button type="button" className="button btn-outline" onClick={() => setEditing(cat)} aria-label={`Edit ${cat.name}`}>Edit</button>}
+          </div>
+        ))}
+      </div>
+      {canEdit(role) && (
+        <div className="row">
+          <button className="button btn-outline" type="button" onClick={() => setEditing('new')}>Add category</button>
+        </div>
+      )}
+      {editing && (
+        <CategorySheet
+          householdId={householdId}
+          categoryTree={categoryTree}
+          category={editing === 'new' ? null : editing}
+          onClose={() => setEditing(null)}
+        />
+      )}
+    </section>
+  )
+}
+
+function blankCategoryRule(categories) {
+  return { id: '', enabled: true, category: categories[0] || 'Other', conditions: [blankCondition('note')] }
+}
+
+function ConditionRow({ cond, idx, onChange, onRemove }) {
+  const set = (patch) => onChange(idx, { ...cond, ...patch })
+  const numeric = cond.field === 'amount' || cond.field === 'day'
+  return (
+    <div className="condition-row">
+      <select value={cond.field} onChange={(e) => onChange(idx, blankCondition(e.target.value))} aria-label="Field">
+        {Object.entries(RULE_FIELDS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+      <select value={cond.op} onChange={(e) => set({ op: e.target.value })} aria-label="Operator">
+        {Object.entries(RULE_OPERATORS[cond.field]).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+      </select>
+      {cond.field === 'type' && (
+        <select value={cond.value} onChange={(e) => set({ value: e.target.value })} aria-label="Value">
+          <option value="expense">Expense</option>
+          <option value="income">Income</option>
+        </select>
+      )}
+      {cond.field === 'currency' && (
+        <select value={cond.value} onChange={(e) => set({ value: e.target.value })} aria-label="Value">
+          <option value="">Choose…</option>
+          {CURRENCIES.map((c) => <option key={c} value={c}>{c}</option>)}
+        </select>
+      )}
+      {(cond.field === 'note' || numeric) && (
+        <input value={cond.value} onChange={(e) => set({ value: e.target.value })} inputMode={numeric ? 'decimal' : 'text'} placeholder={cond.field === 'note' ? 'e.g. UBER' : 'Value'} aria-label="Value" />
+      )}
+      {numeric && cond.op === 'between' && (
+        <input value={cond.value2} onChange={(e) => set({ value2: e.target.value })} inputMode="decimal" placeholder="and" aria-label="Upper value" />
+      )}
+      <button type="button" className="button btn-outline" onClick={() => onRemove(idx)} aria-label="Remove condition">✕</button>
+    </div>
+  )
+}
+
+function RulesDiffModal({ changes, categoryTree, onCancel, onApply, applying }) {
+  const [selected, setSelected] = useState(() => new Set(changes.map((c) => c.tx.id)))
+  const toggle = (id) => setSelected((prev) => {
+    const next = new Set(prev)
+    if (next.has(id)) next.delete(id)
+    else next.add(id)
+    return next
+  })
+  return (
+    <div className="overlay centered" onClick={onCancel}>
+      <div className="modal-card modal-scroll" onClick={(e) => e.stopPropagation()}>
+        <h3 className="card-title">Re-run rules</h3>
+        {changes.length === 0 ? (
+          <p className="small muted">Every past transaction already matches your rules.</p>
+        ) : (
+          <div className="list">
+            {changes.map(({ tx, from, to, rule }) => (
+              <label key={tx.id} className="list-item">
+                <div>
+                  <strong>{dayjs(tx.date).format('MMM D, YYYY')} · {formatCurrency(Number(tx.amount || 0), tx.currency)}</strong>
+                  <div className="small">{categoryLabel(categoryTree, from) || '—'} → {categoryLabel(categoryTree, to)}</div>
+                  <div className="small muted">{tx.note || 'No note'} · {describeRule(rule)}</div>
+                </div>
+                <input type="checkbox" checked={selected.has(tx.id)} onChange={() => toggle(tx.id)} />
+              </label>
+            ))}
+          </div>
+        )}
+        <div className="row">
+          <button className="button btn-outline" type="button" onClick={onCancel}>Cancel</button>
+          {changes.length > 0 && (
+            <button className="button" type="button" onClick={() => onApply(changes.filter((c) => selected.has(c.tx.id)))} disabled={applying || selected.size === 0}>
+              {applying ? 'Applying…' : `Apply ${selected.size} change${selected.size === 1 ? '' : 's'}`}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
 
-  const onFileSelected = (e) => {
-    const file = e.target.files?.[0]
-    if (!file) return
-    Papa.parse(file, {
-      header: true,
-      skipEmptyLines: true,
-      complete: (results) => {
-        try {
-          const rows = results.data || []
-          if (!rows.length) {
-            pushToast({ message: 'No rows found in CSV', variant: 'error' })
-            return
-          }
-          const normalized = rows.map((raw) => {
-            const get = (key) => raw[key] ?? raw[key?.toLowerCase?.()] ?? raw[key?.toUpperCase?.()]
-            const rawType = (get('type') || '').toString().trim().toLowerCase()
-            const type = rawType === 'income' ? 'income' : 'expense'
-            const amount = parseAmountNumber(get('amount'))
-            const category = (get('category') || 'Other').toString().trim() || 'Other'
-            const dateISO = parseDateToISO(get('date'))
-            const note = (get('note') || '').toString().trim()
-            const valid = Number.isFinite(amount) && amount > 0 && !!dateISO
-            return { type, amount, category, date: dateISO, note, valid }
-          })
-          const newCategories = new Set(normalized.filter((row) => row.category).map((row) => row.category))
-          setCsvPreview({ rows: normalized, total: rows.length, newCategories })
-        } catch (err) {
-          pushToast({ message: err.message || 'Failed to parse CSV', variant: 'error' })
-        }
-      },
-      error: (error) => {
-        pushToast({ message: error.message || 'Failed to parse CSV', variant: 'error' })
-      },
-    })
-  }
+function CategoryRulesSection({ householdId, role, rules, categories, categoryTree }) {
+  const { pushToast } = useToast()
+  const [draft, setDraft] = useState(null)
+  const [diff, setDiff] = useState(null)
+  const [busy, setBusy] = useState(false)
+  const rulesRef = doc(db, 'households', householdId, 'settings', 'rules')
 
-  const confirmImport = async () => {
-    if (!csvPreview) return
-    setImporting(true)
+  const persist = async (next, message) => {
     try {
-      const validRows = csvPreview.rows.filter((row) => row.valid)
-      if (!validRows.length) {
-        pushToast({ message: 'No valid rows to import', variant: 'error' })
-        setImporting(false)
-        return
-      }
-      const batch = writeBatch(db)
-      const colRef = collection(db, 'households', uid, 'transactions')
-      validRows.forEach((row) => {
-        const ref = doc(colRef)
-        batch.set(ref, {
-          type: row.type,
-          amount: row.amount,
-          category: row.category,
-          date: row.date,
-          note: row.note,
-          createdAt: new Date().toISOString(),
-        })
-      })
-      await batch.commit()
-      const catsToAdd = Array.from(csvPreview.newCategories || []).filter((c) => c && !categories.includes(c))
-      if (catsToAdd.length) {
-        await setDoc(doc(db, 'households', uid), {
-          categories: Array.from(new Set([...categories, ...catsToAdd])),
-        }, { merge: true })
-      }
-      pushToast({ message: `Imported ${validRows.length} row${validRows.length === 1 ? '' : 's'}`, variant: 'success' })
-      setCsvPreview(null)
-      fileRef.current.value = ''
+      await setDoc(rulesRef, { rules: next, updatedAt: new Date().toISOString() })
+      if (message) pushToast({ message, variant: 'success' })
+      return true
     } catch (err) {
-      pushToast({ message: err.message || 'Import failed', variant: 'error' })
-    } finally {
-      setImporting(false)
+      pushToast({ message: err.message || 'Failed to save rules', variant: 'error' })
+      return false
     }
   }
 
-  const cancelPreview = () => {
-    setCsvPreview(null)
-    if (fileRef.current) fileRef.current.value = ''
+  const setCondition = (idx, cond) => setDraft((prev) => ({ ...prev, conditions: prev.conditions.map((c, i) => (i === idx ? cond : c)) }))
+  const removeCondition = (idx) => setDraft((prev) => ({ ...prev, conditions: prev.conditions.filter((_, i) => i !== idx) }))
+
+  const saveDraft = async () => {
+    const conditions = draft.conditions.filter((c) => String(c.value ?? '').trim() !== '')
+    if (!conditions.length) {
+      pushToast({ message: 'Add at least one condition with a value', variant: 'error' })
+      return
+    }
+    const problem = conditions.map(conditionProblem).find(Boolean)
+    if (problem) {
+      pushToast({ message: problem, variant: 'error' })
+      return
+    }
+    const rule = { ...draft, id: draft.id || newRuleId(), conditions }
+    const next = draft.id ? rules.map((r) => (r.id === draft.id ? rule : r)) : [...rules, rule]
+    if (await persist(next, draft.id ? 'Rule updated' : 'Rule added')) setDraft(null)
   }
 
-  const onDelete = async (tx) => {
+  const move = (idx, delta) => {
+    const next = [...rules]
+    const [rule] = next.splice(idx, 1)
+    next.splice(idx + delta, 0, rule)
+    persist(next)
+  }
+
+  const toggle = (rule) => persist(rules.map((r) => (r.id === rule.id ? { ...r, enabled: r.enabled === false } : r)))
+
+  const remove = (rule) => {
+    if (!window.confirm(`Delete the rule "${describeRule(rule)}"?`)) return
+    persist(rules.filter((r) => r.id !== rule.id), 'Rule deleted')
+  }
+
+  const preview = async () => {
+    setBusy(true)
     try {
-      await deleteDoc(doc(db, 'households', uid, 'transactions', tx.id))
-      pushToast({
-        message: 'Transaction deleted',
-        variant: 'success',
-        action: {
-          label: 'Undo',
-          onClick: async () => {
-            await setDoc(doc(db, 'households', uid, 'transactions', tx.id), {
-              type: tx.type,
-              amount: tx.amount,
-              category: tx.category,
-              date: tx.date,
-              note: tx.note,
-              createdAt: tx.createdAt || new Date().toISOString(),
-            })
-          },
-        },
+      const snap = await getDocs(collection(db, 'households', householdId, 'transactions'))
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      list.sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+      setDiff(rulesDiff(rules, list))
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to load transactions', variant: 'error' })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const applyDiff = async (changes) => {
+    setBusy(true)
+    try {
+      const stamp = { updatedAt: new Date().toISOString(), updatedBy: auth.currentUser?.uid || null }
+      await commitInChunks(changes, (batch, { tx, to }) => {
+        batch.update(doc(db, 'households', householdId, 'transactions', tx.id), { category: to, ...stamp })
       })
+      pushToast({ message: `Recategorised ${changes.length} transaction${changes.length === 1 ? '' : 's'}`, variant: 'success' })
+      setDiff(null)
     } catch (err) {
-      pushToast({ message: err.message || 'Failed to delete', variant: 'error' })
+      pushToast({ message: err.message || 'Failed to apply rules', variant: 'error' })
+    } finally {
+      setBusy(false)
     }
   }
 
   return (
-    <>
-      <section className="app-card">
-        <div className="filters">
-          <div className="inline-field">
-            <label>Month</label>
-            <select value={monthKey} onChange={(e) => setMonthKey(e.target.value)}>
-              {months.map((m) => <option key={m} value={m}>{m}</option>)}
-            </select>
-          </div>
-          <div className="inline-field">
-            <label>Type</label>
-            <select value={typeFilter} onChange={(e) => setTypeFilter(e.target.value)}>
-              <option>All</option>
-              <option>Income</option>
-              <option>Expense</option>
-            </select>
+    <section className="app-card">
+      <div className="card-header">
+        <h3 className="card-title">Categorisation rules</h3>
+        <span className="small muted">{rules.length} rule{rules.length === 1 ? '' : 's'}</span>
+      </div>
+      {rules.length === 0 && !draft && <p className="small muted">Rules pick a category for imported rows and suggest one while you type, e.g. note contains "UBER" → Transport.</p>}
+      <div className="list">
+        {rules.map((rule, idx) => (
+          <div key={rule.id} className="list-item">
+            <div>
+              <strong style={{ opacity: rule.enabled === false ? 0.5 : 1 }}>{categoryIcon(categoryTree, rule.category) ? `${categoryIcon(categoryTree, rule.category)} ` : ''}{categoryLabel(categoryTree, rule.category)}</strong>
+              <div className="small muted">{describeRule(rule)}{rule.enabled === false ? ' • Off' : ''}</div>
+            </div>
+            {canEdit(role) && (
+              <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                <button type="button" className="button btn-outline" onClick={() => move(idx, -1)} disabled={idx === 0} aria-label="Move up">↑</button>
+                <button type="button" className="button btn-outline" onClick={() => move(idx, 1)} disabled={idx === rules.length - 1} aria-label="Move down">↓</button>
+                <button type="button" className="button btn-outline" onClick={() => toggle(rule)}>{rule.enabled === false ? 'Enable' : 'Disable'}</button>
+                <button type="button" className="button btn-outline" onClick={() => setDraft(rule)}>Edit</button>
+                <button type="button" className="button btn-outline" onClick={() => remove(rule)} aria-label="Delete rule">Delete</button>
+              </div>
+            )}
           </div>
+        ))}
+      </div>
+
+      {draft && (
+        <div className="foldable-content">
+          {draft.conditions.map((cond, idx) => (
+            <ConditionRow key={idx} cond={cond} idx={idx} onChange={setCondition} onRemove={removeCondition} />
+          ))}
+          <button type="button" className="button btn-outline" onClick={() => setDraft((prev) => ({ ...prev, conditions: [...prev.conditions, blankCondition('amount')] }))}>Add condition</button>
           <div className="inline-field">
-            <label>Category</label>
-            <select value={categoryFilter} onChange={(e) => setCategoryFilter(e.target.value)}>
-              <option>All</option>
-              {categories.map((c) => <option key={c}>{c}</option>)}
+            <label htmlFor="catrule-category">Then set category to</label>
+            <select id="catrule-category" value={draft.category} onChange={(e) => setDraft((prev) => ({ ...prev, category: e.target.value }))}>
+              <CategoryOptions tree={categoryTree} names={categories} />
             </select>
           </div>
-          <div className="inline-field">
-            <label>Search</label>
-            <input placeholder="Note or category" value={search} onChange={(e) => setSearch(e.target.value)} />
-          </div>
-        </div>
-        <div className="row">
-          <button className="button btn-outline" type="button" onClick={handleImportClick}>Import CSV</button>
-          <button className="button btn-outline" type="button" onClick={() => {
-            const csv = Papa.unparse(transactions.map((t) => ({
-              type: t.type,
-              amount: t.amount,
-              category: t.category,
-              date: t.date,
-              note: t.note,
-            })))
-            const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
-            const url = URL.createObjectURL(blob)
-            const a = document.createElement('a')
-            a.href = url
-            a.download = `jinofin-${dayjs().format('YYYYMMDD-HHmm')}.csv`
-            a.click()
-            URL.revokeObjectURL(url)
-            const el = fileRef.current; if (el) el.value = ''
-            pushToast({ message: 'Exported CSV', variant: 'success' })
-          }}>Export CSV</button>
-          <input ref={fileRef} type="file" accept=".csv,text/csv" style={{ display: 'none' }} onChange={onFileSelected} />
-        </div>
-      </section>
-
-      <section className="app-card">
-        <div className="stat-grid">
-          <div className="stat-card">
-            <span className="small muted">Income</span>
-            <strong>{formatCurrency(totals.income, currency)}</strong>
-          </div>
-          <div className="stat-card">
-            <span className="small muted">Expenses</span>
-            <strong>{formatCurrency(totals.expense, currency)}</strong>
-          </div>
-          <div className="stat-card">
-            <span className="small muted">Net</span>
-            <strong className={net >= 0 ? 'amount-pos' : 'amount-neg'}>{formatCurrency(net, currency)}</strong>
-          </div>
         </div>
-      </section>
+      )}
 
-      <section className="app-card">
-        <div className="card-header">
-          <h3 className="card-title">Transactions</h3>
-          <span className="small muted">{filtered.length} item{filtered.length === 1 ? '' : 's'}</span>
-        </div>
-        {loading ? (
-          <Skeleton style={{ height: 120 }} />
-        ) : filtered.length === 0 ? (
-          <div className="empty-state">
-            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.4">
-              <path d="M4 7h16v11H4z" />
-              <path d="M9 3h6v4H9z" />
-              <path d="M9 12h6" />
-              <path d="M9 16h6" />
-            </svg>
-            <h3>No transactions yet</h3>
-            <p className="small">Add your first expense or income from the New tab.</p>
+      {canEdit(role) && (
+        draft ? (
+          <div className="row">
+            <button className="button btn-outline" type="button" onClick={() => setDraft(null)}>Cancel</button>
+            <button className="button" type="button" onClick={saveDraft}>Save rule</button>
           </div>
         ) : (
-          <div className="list">
-            {filtered.map((tx) => (
-              <div key={tx.id} className="list-item">
-                <div>
-                  <strong>{tx.category}</strong>
-                  <div className="small muted">{dayjs(tx.date).format('MMM D, YYYY • HH:mm')}</div>
-                  {tx.note && <div className="small">{tx.note}</div>}
-                </div>
-                <div style={{ display: 'flex', gap: '12px', alignItems: 'center' }}>
-                  <div className={tx.type === 'income' ? 'amount-pos' : 'amount-neg'}>
-                    {tx.type === 'income' ? '+' : '−'} {formatCurrency(Number(tx.amount || 0), currency)}
-                  </div>
-                  <button type="button" onClick={() => onDelete(tx)} style={{ background: 'transparent', border: 'none', color: 'inherit', padding: 4 }} aria-label="Delete">
-                    <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="1.6">
-                      <polyline points="3 6 5 6 21 6" />
-                      <path d="M19 6l-1 14a2 2 0 0 1-2 2H8a2 2 0 0 1-2-2L5 6" />
-                      <path d="M10 11v6M14 11v6" />
-                      <path d="M9 6V4a2 2 0 0 1 2-2h2a2 2 0 0 1 2 2v2" />
-                    </svg>
-                  </button>
-                </div>
-              </div>
-            ))}
+          <div className="row">
+            <button className="button btn-outline" type="button" onClick={() => setDraft(blankCategoryRule(categories))}>Add rule</button>
+            <button className="button btn-outline" type="button" onClick={preview} disabled={busy || rules.length === 0}>{busy ? 'Checking…' : 'Re-run on past transactions'}</button>
           </div>
-        )}
-      </section>
+        )
+      )}
+      {diff && <RulesDiffModal changes={diff} categoryTree={categoryTree} onCancel={() => setDiff(null)} onApply={applyDiff} applying={busy} />}
+    </section>
+  )
+}
 
-      {csvPreview && (
-        <div className="overlay centered" onClick={cancelPreview}>
-          <div className="modal-card" onClick={(e) => e.stopPropagation()}>
-            <h3 className="card-title">Import preview</h3>
-            <p className="helper-text">Showing first {Math.min(csvPreview.rows.length, 8)} of {csvPreview.total} rows.</p>
-            <table className="table-preview">
-              <thead>
-                <tr>
-                  <th>Type</th>
-                  <th>Amount</th>
-                  <th>Category</th>
-                  <th>Date</th>
-                  <th>Note</th>
-                  <th>Status</th>
-                </tr>
-              </thead>
-              <tbody>
-                {csvPreview.rows.slice(0, 8).map((row, idx) => (
-                  <tr key={idx}>
-                    <td>{row.type}</td>
-                    <td>{formatCurrency(row.amount, currency)}</td>
-                    <td>{row.category}</td>
-                    <td>{row.date ? dayjs(row.date).format('YYYY-MM-DD HH:mm') : '—'}</td>
-                    <td>{row.note}</td>
-                    <td>{row.valid ? 'Ready' : 'Skipped'}</td>
-                  </tr>
+function BackupSection({ householdId, household, role }) {
+  const { pushToast } = useToast()
+  const fileRef = useRef(null)
+  const [busy, setBusy] = useState(false)
+  const [pending, setPending] = useState(null)
+  const [mode, setMode] = useState('merge')
+  const [progress, setProgress] = useState(null)
+
+  const download = async () => {
+    setBusy(true)
+    try {
+      const backup = await createBackup(householdId, household)
+      const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = backupFileName(household)
+      a.click()
+      URL.revokeObjectURL(url)
+      const count = Object.values(backup.collections).reduce((sum, docs) => sum + docs.length, 0)
+      pushToast({ message: `Backed up ${count} document${count === 1 ? '' : 's'}`, variant: 'success' })
+    } catch (err) {
+      pushToast({ message: err.message || 'Backup failed', variant: 'error' })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  const onFileSelected = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    try {
+      const backup = JSON.parse(await file.text())
+      setPending({ backup, fileName: file.name, ...validateBackup(backup) })
+      setMode('merge')
+    } catch (err) {
+      pushToast({ message: err instanceof SyntaxError ? 'The file is not valid JSON' : err.message || 'Could not read the backup', variant: 'error' })
+    } finally {
+      if (fileRef.current) fileRef.current.value = ''
+    }
+  }
+
+  const restore = async () => {
+    if (mode === 'replace' && !window.confirm('Delete the current data of this household and replace it with the backup? Download a backup first if you may want it back.')) return
+    setBusy(true)
+    setProgress({ done: 0, total: 0 })
+    try {
+      const written = await restoreBackup(householdId, pending.backup, { mode, onProgress: (done, total) => setProgress({ done, total }) })
+      pushToast({ message: `Restored ${written} document${written === 1 ? '' : 's'}`, variant: 'success' })
+      setPending(null)
+    } catch (err) {
+      pushToast({ message: err.message || 'Restore failed', variant: 'error' })
+    } finally {
+      setBusy(false)
+      setProgress(null)
+    }
+  }
+
+  return (
+    <section className="app-card">
+      <h3 className="card-title">Backup and restore</h3>
+      <p className="small muted">A JSON file with every transaction, account, budget, category, rule, recurring item, goal, loan and setting of this household. Members are not included.</p>
+      <div className="row">
+        <button className="button btn-outline" type="button" onClick={download} disabled={busy}>Download backup</button>
+        {isOwner(role) && (
+          <>
+            <button className="button btn-outline" type="button" onClick={() => fileRef.current?.click()} disabled={busy}>Restore from file</button>
+            <input ref={fileRef} type="file" accept=".json,application/json" style={{ display: 'none' }} onChange={onFileSelected} />
+          </>
+        )}
+      </div>
+      {pending && (
+        <div className="overlay centered" onClick={() => !busy && setPending(null)}>
+          <div className="modal-card modal-scroll" onClick={(e) => e.stopPropagation()}>
+            <h3 className="card-title">Restore {pending.fileName}</h3>
+            {pending.backup?.exportedAt && <p className="small muted">Backed up {dayjs(pending.backup.exportedAt).format('MMM D, YYYY HH:mm')}{pending.backup.household?.fields?.name ? ` from ${pending.backup.household.fields.name}` : ''}</p>}
+            {pending.problems.length > 0 ? (
+              <>
+                <p className="small amount-neg">This backup cannot be restored:</p>
+                <ul className="small">
+                  {pending.problems.map((problem) => <li key={problem}>{problem}</li>)}
+                </ul>
+              </>
+            ) : (
+              <>
+                <div className="list">
+                  {Object.entries(pending.counts).map(([name, count]) => (
+                    <div key={name} className="flex-between small"><span>{name}</span><span>{count}</span></div>
+                  ))}
+                </div>
+                {pending.skipped.length > 0 && <p className="helper-text">Not restored (unknown to this version): {pending.skipped.join(', ')}</p>}
+                {Object.entries(RESTORE_MODES).map(([key, label]) => (
+                  <label key={key} className="toggle-row">
+                    <span className="small">{label}</span>
+                    <input type="radio" name="restore-mode" value={key} checked={mode === key} onChange={() => setMode(key)} />
+                  </label>
                 ))}
-              </tbody>
-            </table>
-            <p className="helper-text">{csvPreview.rows.filter((r) => r.valid).length} valid row{csvPreview.rows.filter((r) => r.valid).length === 1 ? '' : 's'} will be imported.</p>
+                {progress && <p className="small muted">Writing {progress.done} of {progress.total}…</p>}
+              </>
+            )}
             <div className="row">
-              <button className="button btn-outline" type="button" onClick={cancelPreview}>Cancel</button>
-              <button className="button" type="button" onClick={confirmImport} disabled={importing}>{importing ? 'Importing…' : 'Import'}</button>
+              <button className="button btn-outline" type="button" onClick={() => setPending(null)} disabled={busy}>Cancel</button>
+              {pending.problems.length === 0 && (
+                <button className="button" type="button" onClick={restore} disabled={busy}>{busy ? 'Restoring…' : 'Restore'}</button>
+              )}
             </div>
           </div>
         </div>
       )}
-    </>
+    </section>
   )
 }
 
-/* ---------------- Analytics ---------------- */
-function AnalyticsTab({ uid, categories, currency, totalBudget, refreshToken }) {
+function RatesSection({ householdId, role, currency, ratesTable }) {
   const { pushToast } = useToast()
-  const [monthKey, setMonthKey] = useState(dayjs().format('YYYY-MM'))
-  const [range, setRange] = useState('this')
-  const [transactions, setTransactions] = useState([])
-  const [catBudgets, setCatBudgets] = useState({})
-  const [showLine, setShowLine] = useState(false)
-  const [showLeft, setShowLeft] = useState(false)
-  const analyticsRef = useRef(null)
-  const [loading, setLoading] = useState(true)
+  const fileRef = useRef(null)
+  const [draft, setDraft] = useState({})
+  const [newCode, setNewCode] = useState('')
+  const [saving, setSaving] = useState(false)
 
   useEffect(() => {
-    if (!uid) return undefined
-    const budgetsRef = doc(db, 'households', uid, 'settings', 'budget')
-    const unsub = onSnapshot(budgetsRef, (snap) => {
-      if (snap.exists()) {
-        const data = snap.data()
-        setCatBudgets(data.categoryBudgets || {})
-      }
+    const table = rebaseRates(ratesTable, currency)
+    setDraft(table?.base === currency ? { ...table.rates } : {})
+  }, [ratesTable, currency])
+
+  const available = CURRENCIES.filter((c) => c !== currency && draft[c] == null)
+
+  const addCurrency = () => {
+    if (!newCode) return
+    setDraft((prev) => ({ ...prev, [newCode]: '' }))
+    setNewCode('')
+  }
+
+  const removeCurrency = (code) => {
+    setDraft((prev) => {
+      const next = { ...prev }
+      delete next[code]
+      return next
     })
-    return () => unsub()
-  }, [uid, refreshToken])
+  }
 
-  useEffect(() => {
-    if (!uid) return undefined
-    setLoading(true)
-    let start
-    let end
-    if (range === 'this') {
-      start = dayjs(monthKey + '-01').startOf('day')
-      end = dayjs(monthKey).endOf('month').endOf('day')
-    } else {
-      end = dayjs().endOf('month').endOf('day')
-      start = dayjs().subtract(5, 'month').startOf('month')
+  const persist = async (rates, message) => {
+    setSaving(true)
+    try {
+      await setDoc(doc(db, 'households', householdId, 'settings', 'rates'), {
+        base: currency,
+        rates,
+        updatedAt: new Date().toISOString(),
+      })
+      pushToast({ message, variant: 'success' })
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to save rates', variant: 'error' })
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const save = () => {
+    const rates = Object.fromEntries(Object.entries(draft)
+      .map(([code, val]) => [code, parseAmountNumber(val)])
+      .filter(([, val]) => Number.isFinite(val) && val > 0))
+    persist(rates, 'Exchange rates saved')
+  }
+
+  const onFileSelected = async (e) => {
+    const file = e.target.files?.[0]
+    if (!file) return
+    try {
+      const parsed = parseRatesFile(await file.text(), currency)
+      const table = rebaseRates(parsed, currency)
+      if (table.base !== currency) throw new Error(`File is based on ${parsed.base} and has no ${currency} rate`)
+      const merged = { ...Object.fromEntries(Object.entries(draft).filter(([, v]) => parseAmountNumber(v) > 0)), ...table.rates }
+      delete merged[currency]
+      await persist(merged, `Imported ${Object.keys(table.rates).length} rate${Object.keys(table.rates).length === 1 ? '' : 's'}`)
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to import rates', variant: 'error' })
+    } finally {
+      if (fileRef.current) fileRef.current.value = ''
     }
-    const qRef = query(
-      collection(db, 'households', uid, 'transactions'),
-      where('date', '>=', start.toISOString()),
-      where('date', '<=', end.toISOString()),
-      orderBy('date', 'desc'),
-    )
-    const unsub = onSnapshot(qRef, (snap) => {
-      const list = []
-      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
-      setTransactions(list)
-      setLoading(false)
-    })
-    return () => unsub()
-  }, [uid, monthKey, range, refreshToken])
+  }
 
-  const totals = useMemo(() => {
-    return transactions.reduce((acc, tx) => {
-      const val = Number(tx.amount || 0)
-      if (tx.type === 'income') acc.income += val
-      if (tx.type === 'expense') acc.expense += val
-      return acc
-    }, { income: 0, expense: 0 })
-  }, [transactions])
+  return (
+    <section className="app-card">
+      <div className="card-header">
+        <h3 className="card-title">Exchange rates</h3>
+        {ratesTable?.updatedAt && <span className="small muted">Updated {dayjs(ratesTable.updatedAt).format('MMM D, YYYY')}</span>}
+      </div>
+      {Object.keys(draft).length === 0 && <p className="small muted">Add a rate for each foreign currency you spend or earn in.</p>}
+      <div className="list">
+        {Object.keys(draft).sort().map((code) => (
+          <div key={code} className="flex-between">
+            <label htmlFor={`rate-${code}`}>1 {currency} =</label>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              <input
+                id={`rate-${code}`}
+                inputMode="decimal"
+                value={draft[code]}
+                onChange={(e) => setDraft((prev) => ({ ...prev, [code]: normalizeAmountString(e.target.value) }))}
+                disabled={!canEdit(role)}
+                style={{ width: '120px' }}
+              />
+              <span style={{ width: '40px' }}>{code}</span>
+              {canEdit(role) && <button type="button" className="button btn-outline" onClick={() => removeCurrency(code)} aria-label={`Remove ${code}`}>Remove</button>}
+            </div>
+          </div>
+        ))}
+      </div>
+      {canEdit(role) && (
+        <>
+          <div className="row">
+            <select value={newCode} onChange={(e) => setNewCode(e.target.value)} aria-label="Currency to add">
+              <option value="">Add currency…</option>
+              {available.map((c) => <option key={c} value={c}>{c}</option>)}
+            </select>
+            <button className="button btn-outline" type="button" onClick={addCurrency} disabled={!newCode}>Add</button>
+          </div>
+          <div className="row">
+            <button className="button btn-outline" type="button" onClick={() => fileRef.current?.click()} disabled={saving}>Import JSON/CSV</button>
+            <button className="button" type="button" onClick={save} disabled={saving}>{saving ? 'Saving…' : 'Save rates'}</button>
+            <input ref={fileRef} type="file" accept=".json,.csv,application/json,text/csv" style={{ display: 'none' }} onChange={onFileSelected} />
+          </div>
+          <p className="helper-text">JSON as {'{ "base": "EUR", "rates": { "USD": 1.08 } }'} or CSV with currency,rate columns.</p>
+        </>
+      )}
+    </section>
+  )
+}
 
-  const expenseByCat = useMemo(() => {
-    const acc = {}
-    let total = 0
-    transactions.forEach((tx) => {
-      if (tx.type !== 'expense') return
-      acc[tx.category] = (acc[tx.category] || 0) + Number(tx.amount || 0)
-      total += Number(tx.amount || 0)
-    })
-    return { acc, total }
-  }, [transactions])
+function HouseholdSection({ householdId, household, role, onSwitchHousehold }) {
+  const { pushToast } = useToast()
+  const user = auth.currentUser
+  const [name, setName] = useState(household?.name || '')
+  const [inviteRole, setInviteRole] = useState('editor')
+  const [invite, setInvite] = useState(null)
+  const [joinCode, setJoinCode] = useState('')
+  const [busy, setBusy] = useState(false)
 
-  const byMonth = useMemo(() => {
-    const acc = {}
-    transactions.forEach((tx) => {
-      const key = dayjs(tx.date).format('YYYY-MM')
-      if (!acc[key]) acc[key] = { income: 0, expense: 0 }
-      acc[key][tx.type] += Number(tx.amount || 0)
-    })
-    const labels = Object.keys(acc).sort()
-    return {
-      labels,
-      income: labels.map((l) => acc[l].income),
-      expense: labels.map((l) => acc[l].expense),
+  useEffect(() => { setName(household?.name || '') }, [household?.name])
+  useEffect(() => { setInvite(null) }, [householdId])
+
+  const members = Object.entries(household?.members || {})
+    .sort(([, a], [, b]) => (a.role === 'owner' ? -1 : b.role === 'owner' ? 1 : (a.name || a.email || '').localeCompare(b.name || b.email || '')))
+
+  const run = async (fn, success) => {
+    setBusy(true)
+    try {
+      const result = await fn()
+      if (success) pushToast({ message: success, variant: 'success' })
+      return result
+    } catch (err) {
+      pushToast({ message: err.message || 'Household update failed', variant: 'error' })
+      return null
+    } finally {
+      setBusy(false)
     }
-  }, [transactions])
+  }
 
-  const expensesThisMonthByCat = useMemo(() => {
-    const map = {}
-    transactions.forEach((tx) => {
-      if (tx.type !== 'expense') return
-      if (dayjs(tx.date).format('YYYY-MM') !== monthKey) return
-      map[tx.category] = (map[tx.category] || 0) + Number(tx.amount || 0)
-    })
-    return map
-  }, [transactions, monthKey])
+  const saveName = () => run(() => setDoc(doc(db, 'households', householdId), { name: name.trim() || 'Household' }, { merge: true }), 'Household renamed')
 
-  const leftByCat = useMemo(() => {
-    const result = {}
-    const catSet = new Set([...Object.keys(catBudgets || {}), ...categories])
-    catSet.forEach((cat) => {
-      const budget = Number((catBudgets || {})[cat] || 0)
-      if (budget <= 0) return
-      const spent = Number(expensesThisMonthByCat[cat] || 0)
-      result[cat] = budget - spent
-    })
-    return result
-  }, [catBudgets, expensesThisMonthByCat, categories])
+  const generateInvite = async () => {
+    const result = await run(() => createInvite(householdId, inviteRole, user))
+    if (result) setInvite({ ...result, role: inviteRole })
+  }
 
-  const doughnutData = useMemo(() => {
-    const labels = Object.keys(expenseByCat.acc)
-    return {
-      labels,
-      datasets: [
-        {
-          data: Object.values(expenseByCat.acc),
-          backgroundColor: labels.map((_, idx) => ['#2563eb', '#22c55e', '#ef4444', '#eab308', '#06b6d4', '#a855f7', '#f97316', '#14b8a6'][idx % 8]),
-          borderWidth: 0,
-        },
-      ],
+  const copyInvite = async () => {
+    try {
+      await navigator.clipboard.writeText(invite.code)
+      pushToast({ message: 'Invite code copied', variant: 'success' })
+    } catch {
+      pushToast({ message: 'Copy failed — share the code manually', variant: 'error' })
     }
-  }, [expenseByCat])
+  }
 
-  const doughnutOptions = useMemo(() => ({
-    plugins: {
-      tooltip: {
-        callbacks: {
-          label: (ctx) => {
-            const value = ctx.raw || 0
-            const pct = expenseByCat.total ? ((value / expenseByCat.total) * 100).toFixed(1) : 0
-            return `${ctx.label}: ${formatCurrency(value, currency)} • ${pct}%`
-          },
-        },
-      },
-      legend: { position: 'bottom' },
-    },
-    maintainAspectRatio: false,
-  }), [expenseByCat, currency])
+  const join = async () => {
+    const hid = await run(() => redeemInvite(joinCode, user), 'Joined household')
+    if (hid) {
+      setJoinCode('')
+      onSwitchHousehold?.(hid)
+    }
+  }
 
-  const exportCSV = () => {
-    const csv = Papa.unparse(transactions.map((t) => ({ type: t.type, amount: t.amount, category: t.category, date: t.date, note: t.note })))
-    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' })
-    const url = URL.createObjectURL(blob)
-    const a = document.createElement('a')
-    a.href = url
-    a.download = `jinofin-analytics-${dayjs().format('YYYYMMDD-HHmm')}.csv`
-    a.click()
-    URL.revokeObjectURL(url)
-    pushToast({ message: 'Exported CSV', variant: 'success' })
+  const createNew = async () => {
+    const label = window.prompt('Name for the new household')?.trim()
+    if (!label) return
+    const hid = await run(() => createHousehold(user, { name: label, categories: normalizeCategories(DEFAULT_CATEGORIES), currency: household?.currency || 'EUR' }), 'Household created')
+    if (hid) onSwitchHousehold?.(hid)
   }
 
-  const exportPDF = async () => {
-    if (!analyticsRef.current) return
-    const node = analyticsRef.current
-    const canvas = await html2canvas(node, { scale: 2 })
-    const imgData = canvas.toDataURL('image/png')
-    const pdf = new jsPDF('p', 'mm', 'a4')
-    const pageWidth = pdf.internal.pageSize.getWidth()
-    const pageHeight = pdf.internal.pageSize.getHeight()
-    const ratio = Math.min(pageWidth / canvas.width, pageHeight / canvas.height)
-    const w = canvas.width * ratio
-    const h = canvas.height * ratio
-    pdf.addImage(imgData, 'PNG', (pageWidth - w) / 2, 10, w, h)
-    pdf.save(`jinofin-analytics-${dayjs().format('YYYYMMDD-HHmm')}.pdf`)
-    pushToast({ message: 'Exported PDF', variant: 'success' })
+  const changeRole = (memberId, nextRole) => run(() => setMemberRole(householdId, memberId, nextRole), 'Role updated')
+
+  const remove = (memberId) => {
+    const leaving = memberId === user?.uid
+    const prompt = leaving ? 'Leave this household? You will lose access to its ledger.' : `Remove ${memberLabel(household, memberId)} from this household?`
+    if (!window.confirm(prompt)) return
+    run(() => removeMember(householdId, memberId), leaving ? 'Left household' : 'Member removed').then(() => {
+      if (leaving) onSwitchHousehold?.(user.uid)
+    })
   }
 
   return (
-    <>
-      <section className="app-card">
-        <div className="badge-row">
-          {Array.from({ length: 6 }, (_, idx) => dayjs().subtract(idx, 'month').format('YYYY-MM')).map((m) => (
-            <button key={m} type="button" className={`badge ${m === monthKey ? 'active' : ''}`} onClick={() => setMonthKey(m)}>{m}</button>
-          ))}
-        </div>
+    <section className="app-card">
+      <div className="card-header">
+        <h3 className="card-title">Household</h3>
+        <span className="small muted">{ROLE_LABELS[role] || 'Member'}</span>
+      </div>
+      <div className="inline-field">
+        <label>Name</label>
         <div className="row">
-          <button className={`button ${range === 'this' ? '' : 'btn-outline'}`} type="button" onClick={() => setRange('this')}>This month</button>
-          <button className={`button ${range === 'last' ? '' : 'btn-outline'}`} type="button" onClick={() => setRange('last')}>Last 6 months</button>
-        </div>
-      </section>
-
-      <section className="app-card" ref={analyticsRef}>
-        <div className="card-header">
-          <h3 className="card-title">Spending insights</h3>
-          <span className="small muted">{transactions.length} records</span>
+          <input value={name} onChange={(e) => setName(e.target.value)} disabled={!isOwner(role)} />
+          {isOwner(role) && <button className="button btn-outline" type="button" onClick={saveName} disabled={busy}>Rename</button>}
         </div>
-        {loading ? (
-          <Skeleton style={{ height: 220 }} />
-        ) : expenseByCat.total === 0 ? (
-          <p className="small muted">No expenses in the selected range yet.</p>
-        ) : (
-          <Suspense fallback={<Skeleton style={{ height: 220 }} />}>
-            <div className="chart-shell">
-              <DoughnutChart data={doughnutData} options={doughnutOptions} />
-            </div>
-          </Suspense>
-        )}
+      </div>
 
-        <div className="row" style={{ marginTop: 16 }}>
-          <div className="inline-field" style={{ flex: 1 }}>
-            <label>Income vs expense</label>
-            <button className="button btn-outline" type="button" onClick={() => setShowLine((v) => !v)}>{showLine ? 'Hide' : 'Show'}</button>
-          </div>
-        </div>
-        {showLine && (
-          <Suspense fallback={<Skeleton style={{ height: 200, marginTop: 12 }} />}>
-            <div style={{ height: 220, marginTop: 12 }}>
-              <LineChart data={{
-                labels: byMonth.labels,
-                datasets: [
-                  { label: 'Income', data: byMonth.income, borderColor: '#22c55e', backgroundColor: 'rgba(34,197,94,0.2)', tension: 0.35, fill: false },
-                  { label: 'Expense', data: byMonth.expense, borderColor: '#ef4444', backgroundColor: 'rgba(239,68,68,0.2)', tension: 0.35, fill: false },
-                ],
-              }} options={{ maintainAspectRatio: false, plugins: { legend: { position: 'bottom' } } }} />
+      <div className="list">
+        {members.map(([memberId, member]) => (
+          <div key={memberId} className="list-item">
+            <div>
+              <strong>{member.name || member.email || 'Member'}{memberId === user?.uid ? ' (you)' : ''}</strong>
+              {member.email && <div className="small muted">{member.email}</div>}
             </div>
-          </Suspense>
-        )}
-
-        <details className="foldable" open={showLeft} style={{ marginTop: 16 }}>
-          <summary className="toggle-row" onClick={(e) => { e.preventDefault(); setShowLeft((v) => !v) }}>
-            <span>Left to spend this month</span>
-            <span className="small muted">{formatCurrency(Object.values(leftByCat).reduce((acc, v) => acc + v, 0), currency)}</span>
-          </summary>
-          {showLeft && (
-            <div className="foldable-content">
-              {Object.keys(leftByCat).length === 0 ? (
-                <p className="small muted">Set category budgets in Settings to track remaining spend.</p>
+            <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+              {isOwner(role) && memberId !== user?.uid ? (
+                <>
+                  <select value={member.role} onChange={(e) => changeRole(memberId, e.target.value)} disabled={busy} aria-label={`Role for ${member.name || member.email}`} style={{ width: '120px' }}>
+                    {Object.entries(ROLE_LABELS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                  <button type="button" className="button btn-outline" onClick={() => remove(memberId)} disabled={busy}>Remove</button>
+                </>
               ) : (
-                Object.entries(leftByCat).sort(([a], [b]) => a.localeCompare(b)).map(([cat, left]) => (
-                  <div key={cat} className="bar-row">
-                    <span>{cat}</span>
-                    <div className="bar">
-                      <div className="fill" style={{ width: `${Math.max(0, Math.min(100, (left / (catBudgets[cat] || 1)) * 100))}%` }} />
-                    </div>
-                    <span className={left >= 0 ? 'amount-pos' : 'amount-neg'}>{formatCurrency(left, currency)}</span>
-                  </div>
-                ))
+                <span className="small muted">{ROLE_LABELS[member.role] || member.role}</span>
+              )}
+              {memberId === user?.uid && !isOwner(role) && (
+                <button type="button" className="button btn-outline" onClick={() => remove(memberId)} disabled={busy}>Leave</button>
               )}
             </div>
-          )}
-        </details>
-      </section>
-
-      <section className="app-card">
-        <div className="stat-grid">
-          <div className="stat-card">
-            <span className="small muted">Income</span>
-            <strong>{formatCurrency(totals.income, currency)}</strong>
-          </div>
-          <div className="stat-card">
-            <span className="small muted">Expenses</span>
-            <strong>{formatCurrency(totals.expense, currency)}</strong>
-          </div>
-          <div className="stat-card">
-            <span className="small muted">Net</span>
-            <strong className={totals.income - totals.expense >= 0 ? 'amount-pos' : 'amount-neg'}>{formatCurrency(totals.income - totals.expense, currency)}</strong>
           </div>
-          <div className="stat-card">
-            <span className="small muted">Budget</span>
-            <strong>{formatCurrency(totalBudget || 0, currency)}</strong>
+        ))}
+      </div>
+
+      {isOwner(role) && (
+        <div className="inline-field">
+          <label>Invite a member</label>
+          <div className="row">
+            <select value={inviteRole} onChange={(e) => setInviteRole(e.target.value)}>
+              <option value="editor">Editor — can add and edit</option>
+              <option value="viewer">Viewer — read only</option>
+            </select>
+            <button className="button btn-outline" type="button" onClick={generateInvite} disabled={busy}>Create invite code</button>
           </div>
+          {invite && (
+            <div className="flex-between">
+              <span><strong className="invite-code">{invite.code}</strong> <span className="small muted">{ROLE_LABELS[invite.role]} • expires {dayjs(invite.expiresAt).format('MMM D')}</span></span>
+              <button className="button btn-outline" type="button" onClick={copyInvite}>Copy</button>
+            </div>
+          )}
         </div>
-        <div className="row" style={{ marginTop: 16 }}>
-          <button className="button" type="button" onClick={exportCSV}>Export CSV</button>
-          <button className="button btn-outline" type="button" onClick={exportPDF}>Export PDF</button>
+      )}
+
+      <div className="inline-field">
+        <label>Join with a code</label>
+        <div className="row">
+          <input value={joinCode} onChange={(e) => setJoinCode(e.target.value.toUpperCase())} placeholder="ABCD2345" autoCapitalize="characters" />
+          <button className="button btn-outline" type="button" onClick={join} disabled={busy || !joinCode.trim()}>Join</button>
         </div>
-      </section>
-    </>
+      </div>
+      <button className="button btn-outline" type="button" onClick={createNew} disabled={busy}>Create another household</button>
+    </section>
   )
 }
 
-/* ---------------- Settings ---------------- */
-function SettingsTab({ uid, currency, setCurrency, categories, setCategories, totalBudget, setTotalBudget, refreshToken }) {
+function SettingsTab({ householdId, household, role, onSwitchHousehold, currency, setCurrency, ratesTable, categories, categoryTree, accounts, budgets, rules, totalBudget, setTotalBudget, refreshToken }) {
   const { pushToast } = useToast()
   const [theme, setTheme] = useLocalStorageState('theme', 'dark')
   const [localCurrency, setLocalCurrency] = useState(currency)
-  const [localCategories, setLocalCategories] = useState(categories)
+  // 'default' edits the template in settings/budget; a YYYY-MM key edits that month's own document.
+  const [budgetScope, setBudgetScope] = useState('default')
   const [catBudgets, setCatBudgets] = useState({})
+  const [localTotal, setLocalTotal] = useState(totalBudget)
+  const [periods, setPeriods] = useState({})
+  const [rollover, setRollover] = useState({})
   const [displayName, setDisplayName] = useState(auth.currentUser?.displayName || '')
   const [email, setEmail] = useState(auth.currentUser?.email || '')
   const [currentPw, setCurrentPw] = useState('')
@@ -1120,63 +5041,96 @@ function SettingsTab({ uid, currency, setCurrency, categories, setCategories, to
   }, [theme])
 
   useEffect(() => { setLocalCurrency(currency) }, [currency])
-  useEffect(() => { setLocalCategories(categories) }, [categories])
 
   useEffect(() => {
-    if (!uid) return undefined
-    const budgetsRef = doc(db, 'households', uid, 'settings', 'budget')
-    const unsub = onSnapshot(budgetsRef, (snap) => {
-      if (snap.exists()) {
-        const data = snap.data()
-        setCatBudgets(data.categoryBudgets || {})
-        if (data.totalBudget != null) setTotalBudget(data.totalBudget)
-        if (data.currency) setLocalCurrency(data.currency)
-      }
-    })
-    return () => unsub()
-  }, [uid, refreshToken, setTotalBudget])
-
-  const addCategory = () => {
-    const name = window.prompt('New category name')?.trim()
-    if (!name) return
-    if (localCategories.includes(name)) {
-      pushToast({ message: 'Category already exists', variant: 'error' })
-      return
+    const { settings, months } = budgets
+    if (settings?.currency) setLocalCurrency(settings.currency)
+    setPeriods(settings?.periods || {})
+    setRollover(settings?.rollover || {})
+    if (budgetScope === 'default') {
+      setCatBudgets(settings?.categoryBudgets || {})
+      setLocalTotal(Number(settings?.totalBudget ?? totalBudget))
+    } else {
+      setCatBudgets(categoryBudgetsFor(budgetScope, settings, months))
+      setLocalTotal(totalBudgetFor(budgetScope, settings, months, totalBudget))
     }
-    setLocalCategories((prev) => [...prev, name])
-    setCatBudgets((prev) => ({ ...prev, [name]: 0 }))
-  }
+  }, [budgets, budgetScope, totalBudget])
+
+  const scopeOptions = useMemo(() => {
+    const upcoming = [0, 1].map((n) => dayjs().add(n, 'month').format('YYYY-MM'))
+    return Array.from(new Set([...upcoming, ...Object.keys(budgets.months)])).sort()
+  }, [budgets.months])
 
   const setCatBudget = (cat, value) => {
     setCatBudgets((prev) => ({ ...prev, [cat]: Number(value) || 0 }))
   }
 
-  const removeCategory = (cat) => {
-    if (!window.confirm(`Remove category "${cat}"? Existing transactions keep their category.`)) return
-    setLocalCategories((prev) => prev.filter((c) => c !== cat))
-    setCatBudgets((prev) => {
+  const setPeriod = (cat, period) => {
+    setPeriods((prev) => ({ ...prev, [cat]: period }))
+    // A rollover start is a period start, so restart it in the new period.
+    setRollover((prev) => (prev[cat] ? { ...prev, [cat]: periodRange(period, dayjs()).start.format('YYYY-MM-DD') } : prev))
+  }
+
+  const toggleRollover = (cat, enabled) => {
+    setRollover((prev) => {
       const next = { ...prev }
-      delete next[cat]
+      if (enabled) next[cat] = periodRange(periods[cat] || 'monthly', dayjs()).start.format('YYYY-MM-DD')
+      else delete next[cat]
       return next
     })
   }
 
+  const resetMonth = async () => {
+    if (!window.confirm(`Use the default budgets for ${budgetScope} again?`)) return
+    try {
+      await deleteDoc(doc(db, 'households', householdId, 'budgets', budgetScope))
+      pushToast({ message: `${budgetScope} now follows the default budgets`, variant: 'success' })
+    } catch (err) {
+      pushToast({ message: err.message || 'Failed to reset month', variant: 'error' })
+    }
+  }
+
+  // Budgets of a parent's subcategories, summed so the parent row shows the roll-up.
+  const childBudgetTotal = (cat) => childrenOf(categoryTree, cat).reduce((sum, child) => sum + Number(catBudgets[child.name] || 0), 0)
+
   const saveMain = async () => {
     setSavingMain(true)
     try {
       const cleanedBudgets = Object.fromEntries(Object.entries(catBudgets).filter(([, val]) => Number(val) > 0).map(([k, v]) => [k, Number(v)]))
-      await setDoc(doc(db, 'households', uid), {
-        currency: localCurrency,
-        categories: localCategories,
-        totalBudget,
-      }, { merge: true })
-      await setDoc(doc(db, 'households', uid, 'settings', 'budget'), {
-        totalBudget,
-        categoryBudgets: cleanedBudgets,
-        currency: localCurrency,
-      }, { merge: true })
+      const cleanedPeriods = Object.fromEntries(Object.entries(periods).filter(([, val]) => val !== 'monthly'))
+      const budgetRef = doc(db, 'households', householdId, 'settings', 'budget')
+      // Entries without a currency are in the old base; pin that down before the base moves.
+      if (localCurrency !== currency) await stampMissingCurrency(householdId, currency)
+      if (budgetScope === 'default') {
+        await setDoc(doc(db, 'households', householdId), {
+          currency: localCurrency,
+          totalBudget: localTotal,
+        }, { merge: true })
+        // mergeFields replaces these maps outright so cleared budgets and rollovers disappear.
+        await setDoc(budgetRef, {
+          totalBudget: localTotal,
+          categoryBudgets: cleanedBudgets,
+          periods: cleanedPeriods,
+          rollover,
+          currency: localCurrency,
+        }, { mergeFields: ['totalBudget', 'categoryBudgets', 'periods', 'rollover', 'currency'] })
+        setTotalBudget(localTotal)
+      } else {
+        await setDoc(doc(db, 'households', householdId), { currency: localCurrency }, { merge: true })
+        await setDoc(budgetRef, { periods: cleanedPeriods, rollover, currency: localCurrency }, { mergeFields: ['periods', 'rollover', 'currency'] })
+        await setDoc(doc(db, 'households', householdId, 'budgets', budgetScope), {
+          totalBudget: localTotal,
+          categoryBudgets: cleanedBudgets,
+          updatedAt: new Date().toISOString(),
+        })
+      }
+      if (ratesTable?.base && ratesTable.base !== localCurrency) {
+        await setDoc(doc(db, 'households', householdId, 'settings', 'rates'), {
+          ...rebaseRates(ratesTable, localCurrency),
+          updatedAt: new Date().toISOString(),
+        })
+      }
       setCurrency(localCurrency)
-      setCategories(localCategories)
       pushToast({ message: 'Settings saved', variant: 'success' })
     } catch (err) {
       pushToast({ message: err.message || 'Failed to save settings', variant: 'error' })
@@ -1226,43 +5180,76 @@ function SettingsTab({ uid, currency, setCurrency, categories, setCategories, to
         </div>
       </section>
 
+      <HouseholdSection householdId={householdId} household={household} role={role} onSwitchHousehold={onSwitchHousehold} />
+
       <section className="app-card">
         <h3 className="card-title">Currency</h3>
         <select value={localCurrency} onChange={(e) => setLocalCurrency(e.target.value)}>
-          <option value="EUR">EUR</option>
-          <option value="USD">USD</option>
-          <option value="GBP">GBP</option>
-          <option value="EGP">EGP</option>
-          <option value="AED">AED</option>
+          {(CURRENCIES.includes(localCurrency) ? CURRENCIES : [localCurrency, ...CURRENCIES]).map((c) => <option key={c} value={c}>{c}</option>)}
         </select>
+        <p className="small muted">Base currency for totals, budgets and charts. Transactions in other currencies are converted using the rates below.</p>
       </section>
 
+      <RatesSection householdId={householdId} role={role} currency={currency} ratesTable={ratesTable} />
+
       <section className="app-card">
         <h3 className="card-title">Budgets</h3>
+        <div className="inline-field">
+          <label htmlFor="budget-scope">Applies to</label>
+          <select id="budget-scope" value={budgetScope} onChange={(e) => setBudgetScope(e.target.value)}>
+            <option value="default">Every month (default)</option>
+            {scopeOptions.map((m) => <option key={m} value={m}>{dayjs(`${m}-01`).format('MMMM YYYY')}{budgets.months[m] ? ' · custom' : ''}</option>)}
+          </select>
+        </div>
         <div className="inline-field">
           <label>Total monthly budget</label>
-          <input type="number" value={totalBudget} onChange={(e) => setTotalBudget(Number(e.target.value) || 0)} />
+          <input type="number" value={localTotal} onChange={(e) => setLocalTotal(Number(e.target.value) || 0)} />
         </div>
         <div className="list">
-          {localCategories.map((cat) => (
-            <div key={cat} className="list-item">
-              <div>
-                <strong>{cat}</strong>
-                <div className="small muted">{formatCurrency(catBudgets[cat] || 0, localCurrency)}</div>
-              </div>
-              <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
-                <input type="number" value={catBudgets[cat] ?? ''} onChange={(e) => setCatBudget(cat, e.target.value)} placeholder="0" style={{ width: '120px' }} />
-                <button type="button" className="button btn-outline" onClick={() => removeCategory(cat)} aria-label={`Remove ${cat}`}>Remove</button>
+          {categories.map((cat) => {
+            const childTotal = childBudgetTotal(cat)
+            return (
+              <div key={cat} className={`list-item ${findCategory(categoryTree, cat)?.parentId ? 'category-child' : ''}`}>
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                  <span className="color-dot" style={{ background: categoryColor(categoryTree, cat) }} aria-hidden="true" />
+                  <div>
+                    <strong>{categoryIcon(categoryTree, cat) ? `${categoryIcon(categoryTree, cat)} ` : ''}{cat}</strong>
+                    <div className="small muted">
+                      {formatCurrency(catBudgets[cat] || 0, localCurrency)}
+                      {periods[cat] === 'weekly' && ' per week'}
+                      {periods[cat] === 'yearly' && ' per year'}
+                      {childTotal > 0 && ` · ${formatCurrency(Number(catBudgets[cat] || 0) + childTotal, localCurrency)} with subcategories`}
+                    </div>
+                  </div>
+                </div>
+                <div style={{ display: 'flex', gap: '8px', alignItems: 'center', flexWrap: 'wrap', justifyContent: 'flex-end' }}>
+                  <select value={periods[cat] || 'monthly'} onChange={(e) => setPeriod(cat, e.target.value)} aria-label={`Budget period for ${cat}`}>
+                    {Object.entries(BUDGET_PERIODS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                  <input type="number" value={catBudgets[cat] ?? ''} onChange={(e) => setCatBudget(cat, e.target.value)} placeholder="0" style={{ width: '100px' }} aria-label={`Budget for ${cat}`} />
+                  <label className="small" title="Carry leftover or overspend into the next period">
+                    <input type="checkbox" checked={Boolean(rollover[cat])} onChange={(e) => toggleRollover(cat, e.target.checked)} /> Roll over
+                  </label>
+                </div>
               </div>
-            </div>
-          ))}
+            )
+          })}
         </div>
         <div className="row">
-          <button className="button btn-outline" type="button" onClick={addCategory}>Add category</button>
-          <button className="button" type="button" onClick={saveMain} disabled={savingMain}>{savingMain ? 'Saving…' : 'Save budgets'}</button>
+          {budgetScope !== 'default' && budgets.months[budgetScope] && (
+            <button className="button btn-outline" type="button" onClick={resetMonth} disabled={!canEdit(role)}>Use default</button>
+          )}
+          <button className="button" type="button" onClick={saveMain} disabled={savingMain || !canEdit(role)}>{savingMain ? 'Saving…' : 'Save budgets'}</button>
         </div>
       </section>
 
+      <CategoriesSection householdId={householdId} role={role} categoryTree={categoryTree} />
+      <CategoryRulesSection householdId={householdId} role={role} rules={rules} categories={categories} categoryTree={categoryTree} />
+
+      <RecurringSection householdId={householdId} role={role} categories={categories} categoryTree={categoryTree} accounts={accounts} currency={currency} refreshToken={refreshToken} />
+
+      <BackupSection householdId={householdId} household={household} role={role} />
+
       <section className="app-card">
         <h3 className="card-title">Account</h3>
         <div className="inline-field">
@@ -1297,28 +5284,106 @@ export default function App() {
   const [showSignUp, setShowSignUp] = useState(false)
   const [showHelp, setShowHelp] = useState(false)
   const [tab, setTab] = useState('New')
+  const [drill, setDrill] = useState(null)
   const [currency, setCurrency] = useState('EUR')
-  const [categories, setCategories] = useState(DEFAULT_CATEGORIES)
+  const [categoryTree, setCategoryTree] = useState(() => normalizeCategories(DEFAULT_CATEGORIES))
   const [totalBudget, setTotalBudget] = useState(2000)
   const [refreshToken, setRefreshToken] = useState(0)
+  const [household, setHousehold] = useState(null)
+  const [storedHouseholdId, setStoredHouseholdId] = useLocalStorageState('householdId', null)
+  const { households } = useHouseholds(user)
+  const [ratesTable, setRatesTable] = useState(null)
+  const [accounts, setAccounts] = useState([])
+
+  const householdId = useMemo(() => {
+    if (!user) return null
+    if (storedHouseholdId && households.some((h) => h.id === storedHouseholdId)) return storedHouseholdId
+    return households[0]?.id || user.uid
+  }, [user, storedHouseholdId, households])
+
+  const role = roleOf(household, user?.uid)
+  const toBase = useMemo(() => makeConverter(ratesTable, currency), [ratesTable, currency])
+  const budgets = useBudgets(householdId, refreshToken)
+  const rules = useRules(householdId, refreshToken)
+  const monthTotalBudget = totalBudgetFor(dayjs().format('YYYY-MM'), budgets.settings, budgets.months, totalBudget)
+
+  const activeAccounts = useMemo(() => accounts.filter((a) => !a.archived), [accounts])
+  const accountTransactions = useAccountTransactions(householdId, accounts.length > 0 && (tab === 'Accounts' || tab === 'Analytics'), refreshToken)
+  const categories = useMemo(() => orderCategories(categoryTree).map((c) => c.name), [categoryTree])
+
+  const openTab = useCallback((next) => {
+    setDrill(null)
+    setTab(next)
+  }, [])
+  const drillDown = useCallback((filter) => {
+    setDrill(filter)
+    setTab('Overview')
+  }, [])
 
   useEffect(() => {
-    if (!user) return undefined
-    const unsub = onSnapshot(doc(db, 'households', user.uid), (snap) => {
+    if (!householdId) return undefined
+    const unsub = onSnapshot(collection(db, 'households', householdId, 'accounts'), (snap) => {
+      const list = []
+      snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+      list.sort((a, b) => (a.name || '').localeCompare(b.name || ''))
+      setAccounts(list)
+    })
+    return () => unsub()
+  }, [householdId, refreshToken])
+
+  useEffect(() => {
+    if (!householdId) return undefined
+    const unsub = onSnapshot(doc(db, 'households', householdId, 'settings', 'rates'), (snap) => {
+      setRatesTable(snap.exists() ? snap.data() : null)
+    })
+    return () => unsub()
+  }, [householdId])
+
+  useEffect(() => {
+    if (!householdId) return undefined
+    const unsub = onSnapshot(doc(db, 'households', householdId), (snap) => {
       if (snap.exists()) {
         const data = snap.data()
+        setHousehold({ id: snap.id, ...data })
         setCurrency(data.currency || 'EUR')
         if (Array.isArray(data.categories) && data.categories.length) {
-          setCategories(data.categories)
+          setCategoryTree(normalizeCategories(data.categories))
         } else {
-          setCategories(DEFAULT_CATEGORIES)
+          setCategoryTree(normalizeCategories(DEFAULT_CATEGORIES))
         }
         if (data.totalBudget != null) setTotalBudget(data.totalBudget)
+      } else {
+        setHousehold({ id: snap.id })
       }
     })
     return () => unsub()
+  }, [householdId])
+
+  useEffect(() => {
+    // One-time upgrade of the legacy string list so category ids and colours become stable.
+    if (!householdId || !canEdit(role) || !isLegacyCategoryList(household?.categories)) return
+    setDoc(doc(db, 'households', householdId), { categories: normalizeCategories(household.categories) }, { merge: true })
+      .catch((err) => console.error('Category migration failed', err))
+  }, [householdId, role, household?.categories])
+
+  useEffect(() => {
+    if (!user) return undefined
+    // Receipts picked while offline (or before a reload) upload once there is a connection.
+    const flush = () => flushUploads().catch((err) => console.error('Receipt upload failed', err))
+    flush()
+    window.addEventListener('online', flush)
+    return () => window.removeEventListener('online', flush)
   }, [user])
 
+  useEffect(() => {
+    if (!user || !householdId || !canEdit(role)) return
+    materializeDueRecurring(householdId, user.uid)
+      .then((count) => {
+        if (count) pushToast({ message: `Added ${count} recurring transaction${count === 1 ? '' : 's'}`, variant: 'success' })
+      })
+      .catch((err) => console.error('Recurring materialization failed', err))
+  }, [user, householdId, role, pushToast])
+
   const handleRefresh = useCallback(() => {
     if (!user) return
     setRefreshToken((token) => token + 1)
@@ -1348,54 +5413,92 @@ export default function App() {
     )
   }
 
-  const budgetsDocRef = doc(db, 'households', user.uid, 'settings', 'budget')
-
   return (
     <div className="app-shell">
-      <Header currency={currency} />
+      <Header currency={currency} households={households} householdId={householdId} onSwitchHousehold={setStoredHouseholdId} />
       <main className="app-content" ref={containerRef}>
         <div className={`pull-refresh-hint ${hintVisible ? 'visible' : ''}`}>Release to refresh</div>
         {tab === 'New' && (
           <NewTab
-            uid={user.uid}
+            householdId={householdId}
+            role={role}
             categories={categories}
+            categoryTree={categoryTree}
+            accounts={activeAccounts}
             currency={currency}
-            totalBudget={totalBudget}
-            budgetsDocRef={budgetsDocRef}
+            toBase={toBase}
+            budgets={budgets}
+            rules={rules}
+            totalBudget={monthTotalBudget}
             refreshToken={refreshToken}
           />
         )}
         {tab === 'Overview' && (
           <OverviewTab
-            uid={user.uid}
+            householdId={householdId}
+            household={household}
+            role={role}
             categories={categories}
+            categoryTree={categoryTree}
+            accounts={accounts}
             currency={currency}
+            toBase={toBase}
+            rules={rules}
+            drill={drill}
             refreshToken={refreshToken}
           />
         )}
+        {tab === 'Accounts' && (
+          <AccountsTab
+            householdId={householdId}
+            role={role}
+            accounts={accounts}
+            accountTransactions={accountTransactions}
+            currency={currency}
+            ratesTable={ratesTable}
+            toBase={toBase}
+          />
+        )}
         {tab === 'Analytics' && (
           <AnalyticsTab
-            uid={user.uid}
+            householdId={householdId}
+            role={role}
             categories={categories}
+            categoryTree={categoryTree}
+            accounts={accounts}
+            accountTransactions={accountTransactions}
             currency={currency}
+            ratesTable={ratesTable}
+            toBase={toBase}
+            budgets={budgets}
             totalBudget={totalBudget}
+            householdName={household?.name}
+            fiscalStartMonth={household?.fiscalYearStart || 1}
+            onDrill={drillDown}
             refreshToken={refreshToken}
           />
         )}
         {tab === 'Settings' && (
           <SettingsTab
-            uid={user.uid}
+            householdId={householdId}
+            household={household}
+            role={role}
+            onSwitchHousehold={setStoredHouseholdId}
             currency={currency}
             setCurrency={setCurrency}
+            ratesTable={ratesTable}
             categories={categories}
-            setCategories={setCategories}
+            categoryTree={categoryTree}
+            accounts={accounts}
+            budgets={budgets}
+            rules={rules}
             totalBudget={totalBudget}
             setTotalBudget={setTotalBudget}
             refreshToken={refreshToken}
           />
         )}
       </main>
-      <Navbar tab={tab} setTab={setTab} />
+      <Navbar tab={tab} setTab={openTab} />
     </div>
   )
 }
@@ -0,0 +1,149 @@
+import React, { useMemo } from 'react'
+import dayjs from 'dayjs'
+
+// Small SVG charts that Chart.js has no element for. Loaded lazily from App.jsx like the
+// Chart.js wrappers, so none of this is in the main bundle.
+
+const CELL = 12
+const GAP = 2
+
+/**
+ * Calendar heatmap, one column per week and one row per weekday. `values` maps YYYY-MM-DD to an
+ * amount; clicking a day calls `onSelect(isoDate)`.
+ */
+export function CalendarHeatmap({ values, start, end, format = String, onSelect }) {
+  const { weeks, months, max } = useMemo(() => {
+    const first = dayjs(start).startOf('day')
+    const last = dayjs(end).startOf('day')
+    const cols = []
+    const labels = []
+    let cursor = first.subtract(first.day(), 'day')
+    while (!cursor.isAfter(last)) {
+      const col = Array.from({ length: 7 }, (_, idx) => {
+        const day = cursor.add(idx, 'day')
+        return day.isBefore(first) || day.isAfter(last) ? null : day.format('YYYY-MM-DD')
+      })
+      const firstOfMonth = col.find((iso) => iso && iso.endsWith('-01'))
+      if (firstOfMonth || cols.length === 0) labels.push({ col: cols.length, label: dayjs(firstOfMonth || col.find(Boolean)).format('MMM') })
+      cols.push(col)
+      cursor = cursor.add(7, 'day')
+    }
+    return { weeks: cols, months: labels, max: Math.max(0, ...Object.values(values)) }
+  }, [values, start, end])
+
+  const width = weeks.length * (CELL + GAP) + 20
+  const height = 7 * (CELL + GAP) + 16
+  return (
+    <div className="chart-scroll">
+      <svg width={width} height={height} role="img" aria-label="Daily spending heatmap">
+        {months.map(({ col, label }) => (
+          <text key={`${col}-${label}`} x={20 + col * (CELL + GAP)} y={10} className="chart-label">{label}</text>
+        ))}
+        {['S', 'M', 'T', 'W', 'T', 'F', 'S'].map((d, idx) => idx % 2 === 1 && (
+          <text key={idx} x={0} y={16 + idx * (CELL + GAP) + CELL - 2} className="chart-label">{d}</text>
+        ))}
+        {weeks.map((col, x) => col.map((iso, y) => {
+          if (!iso) return null
+          const value = values[iso] || 0
+          return (
+            <rect
+              key={iso}
+              x={20 + x * (CELL + GAP)}
+              y={16 + y * (CELL + GAP)}
+              width={CELL}
+              height={CELL}
+              rx={2}
+              className={value ? 'heat-cell' : 'heat-cell heat-empty'}
+              style={value ? { fillOpacity: 0.15 + 0.85 * (value / (max || 1)) } : undefined}
+              onClick={() => onSelect?.(iso)}
+            >
+              <title>{`${dayjs(iso).format('ddd, MMM D YYYY')}: ${format(value)}`}</title>
+            </rect>
+          )
+        }))}
+      </svg>
+    </div>
+  )
+}
+
+const NODE = 12
+const PAD = 6
+
+function stack(nodes, scale, top = 0) {
+  let y = top
+  return nodes.map((node) => {
+    const h = Math.max(1, node.value * scale)
+    const placed = { ...node, y, h }
+    y += h + PAD
+    return placed
+  })
+}
+
+function band(x1, a0, a1, x2, b0, b1) {
+  const mid = (x1 + x2) / 2
+  return `M${x1},${a0} C${mid},${a0} ${mid},${b0} ${x2},${b0} L${x2},${b1} C${mid},${b1} ${mid},${a1} ${x1},${a1} Z`
+}
+
+/**
+ * Sankey-style flow: `sources` (left) pour into one middle node that pours into `targets` (right).
+ * Each node is `{ id, label, value, color }`; both sides should add up to the same total.
+ * Clicking a node or its band calls `onSelect(node, side)`.
+ */
+export function SankeyFlow({ sources, targets, middleLabel, format = String, onSelect }) {
+  const width = 600
+  const rows = Math.max(sources.length, targets.length)
+  const height = Math.max(180, rows * 28)
+  const total = Math.max(sources.reduce((s, n) => s + n.value, 0), targets.reduce((s, n) => s + n.value, 0))
+  const scale = total ? (height - PAD * (rows - 1)) / total : 0
+  const left = stack(sources, scale, (height - (sources.reduce((s, n) => s + n.value, 0) * scale + PAD * (sources.length - 1))) / 2)
+  const right = stack(targets, scale, (height - (targets.reduce((s, n) => s + n.value, 0) * scale + PAD * (targets.length - 1))) / 2)
+  const midTop = (height - total * scale) / 2
+  const midX = width / 2 - NODE / 2
+
+  let inY = midTop
+  let outY = midTop
+  return (
+    <svg viewBox={`0 0 ${width} ${height}`} width="100%" role="img" aria-label="Income to spending flow">
+      {left.map((node) => {
+        const h = node.value * scale
+        const path = band(NODE, node.y, node.y + h, midX, inY, inY + h)
+        inY += h
+        return <path key={`in-${node.id}`} d={path} className="flow-band" style={{ fill: node.color }} onClick={() => onSelect?.(node, 'source')}><title>{`${node.label}: ${format(node.value)}`}</title></path>
+      })}
+      {right.map((node) => {
+        const h = node.value * scale
+        const path = band(midX + NODE, outY, outY + h, width - NODE, node.y, node.y + h)
+        outY += h
+        return <path key={`out-${node.id}`} d={path} className="flow-band" style={{ fill: node.color }} onClick={() => onSelect?.(node, 'target')}><title>{`${node.label}: ${format(node.value)}`}</title></path>
+      })}
+      <rect x={midX} y={midTop} width={NODE} height={total * scale} className="flow-node" />
+      <text x={width / 2} y={Math.max(10, midTop - 4)} textAnchor="middle" className="chart-label">{middleLabel}</text>
+      {left.map((node) => (
+        <g key={`ln-${node.id}`} onClick={() => onSelect?.(node, 'source')}>
+          <rect x={0} y={node.y} width={NODE} height={node.h} style={{ fill: node.color }} />
+          <text x={NODE + 4} y={node.y + node.h / 2 + 4} className="chart-label">{node.label} · {format(node.value)}</text>
+        </g>
+      ))}
+      {right.map((node) => (
+        <g key={`rn-${node.id}`} onClick={() => onSelect?.(node, 'target')}>
+          <rect x={width - NODE} y={node.y} width={NODE} height={node.h} style={{ fill: node.color }} />
+          <text x={width - NODE - 4} y={node.y + node.h / 2 + 4} textAnchor="end" className="chart-label">{node.label} · {format(node.value)}</text>
+        </g>
+      ))}
+    </svg>
+  )
+}
+
+/** Tiny trend line for a series of numbers, newest last. */
+export function Sparkline({ values, color = 'currentColor', width = 100, height = 28 }) {
+  const max = Math.max(...values, 0)
+  const min = Math.min(...values, 0)
+  const span = max - min || 1
+  const step = values.length > 1 ? width / (values.length - 1) : 0
+  const points = values.map((v, idx) => `${(idx * step).toFixed(1)},${(height - 2 - ((v - min) / span) * (height - 4)).toFixed(1)}`).join(' ')
+  return (
+    <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`} aria-hidden="true">
+      <polyline points={points} fill="none" stroke={color} strokeWidth="2" strokeLinejoin="round" strokeLinecap="round" />
+    </svg>
+  )
+}
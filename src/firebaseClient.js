@@ -1,11 +1,19 @@
 import { initializeApp } from 'firebase/app'
 import { getAuth } from 'firebase/auth'
 import { enableIndexedDbPersistence, getFirestore } from 'firebase/firestore'
+import { connectStorageEmulator, getStorage } from 'firebase/storage'
 import { firebaseConfig } from './firebaseConfig'
 
 const app = initializeApp(firebaseConfig)
 const auth = getAuth(app)
 const db = getFirestore(app)
+const storage = getStorage(app)
+
+// Set VITE_STORAGE_EMULATOR=localhost:9199 to upload receipts to the local Storage emulator.
+if (import.meta.env.VITE_STORAGE_EMULATOR) {
+  const [host, port] = import.meta.env.VITE_STORAGE_EMULATOR.split(':')
+  connectStorageEmulator(storage, host, Number(port))
+}
 
 enableIndexedDbPersistence(db).catch((err) => {
   if (err.code === 'failed-precondition') {
@@ -17,4 +25,4 @@ enableIndexedDbPersistence(db).catch((err) => {
   }
 })
 
-export { app, auth, db }
+export { app, auth, db, storage }
@@ -0,0 +1,70 @@
+import dayjs from 'dayjs'
+
+import { convertAmount } from './currency.js'
+
+export const ACCOUNT_KINDS = {
+  cash: 'Cash',
+  bank: 'Bank',
+  card: 'Card',
+  savings: 'Savings',
+}
+
+export function isTransfer(tx) {
+  return tx?.type === 'transfer'
+}
+
+/** Income and expense only — transfers move money between accounts and never count as either. */
+export function isCashFlow(tx) {
+  return tx?.type === 'income' || tx?.type === 'expense'
+}
+
+function inAccountCurrency(tx, account, ratesTable, baseCurrency) {
+  // Without a rate the amount is left out rather than counted at face value.
+  return convertAmount(tx.amount, tx.currency || baseCurrency, account.currency || baseCurrency, ratesTable) ?? 0
+}
+
+/** Signed change a transaction makes to one account's balance, in that account's currency. */
+export function accountDelta(tx, account, ratesTable, baseCurrency) {
+  const touchesFrom = tx.accountId === account.id
+  const touchesTo = isTransfer(tx) && tx.toAccountId === account.id
+  if (!touchesFrom && !touchesTo) return 0
+  const value = inAccountCurrency(tx, account, ratesTable, baseCurrency)
+  if (isTransfer(tx)) return (touchesTo ? value : 0) - (touchesFrom ? value : 0)
+  return tx.type === 'income' ? value : -value
+}
+
+export function currentBalances(accounts, transactions, ratesTable, baseCurrency) {
+  const balances = {}
+  accounts.forEach((account) => {
+    balances[account.id] = Number(account.openingBalance || 0)
+  })
+  transactions.forEach((tx) => {
+    accounts.forEach((account) => {
+      balances[account.id] += accountDelta(tx, account, ratesTable, baseCurrency)
+    })
+  })
+  return balances
+}
+
+/**
+ * Month-end balance per account for the last `months` months (current month included).
+ * Transactions before the window are folded into the starting point.
+ */
+export function balanceSeries(accounts, transactions, ratesTable, baseCurrency, months = 12) {
+  const labels = Array.from({ length: months }, (_, idx) => dayjs().subtract(months - 1 - idx, 'month').format('YYYY-MM'))
+  const sorted = [...transactions].sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+  const series = {}
+  accounts.forEach((account) => {
+    let running = Number(account.openingBalance || 0)
+    let cursor = 0
+    series[account.id] = labels.map((label) => {
+      const monthEnd = dayjs(label).endOf('month').toISOString()
+      while (cursor < sorted.length && sorted[cursor].date <= monthEnd) {
+        running += accountDelta(sorted[cursor], account, ratesTable, baseCurrency)
+        cursor += 1
+      }
+      return Math.round(running * 100) / 100
+    })
+  })
+  return { labels, series }
+}
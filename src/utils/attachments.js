@@ -0,0 +1,212 @@
+import { deleteField, doc, getDoc, updateDoc } from 'firebase/firestore'
+import { deleteObject, getDownloadURL, ref as storageRef, uploadBytes } from 'firebase/storage'
+
+import { db, storage } from '../firebaseClient'
+
+// Receipts live on the transaction as `attachments: { [id]: { name, type, size, thumb, path, addedAt, url? } }`.
+// `thumb` is a small inline JPEG so lists can show it offline; the file itself waits in an
+// IndexedDB queue until it has been uploaded to Storage at `path`, which is when `url` appears.
+
+export const ATTACHMENT_ACCEPT = 'image/*,application/pdf'
+export const MAX_ATTACHMENTS = 5
+const MAX_FILE_BYTES = 10 * 1024 * 1024
+const IMAGE_MAX_SIDE = 1600
+const IMAGE_QUALITY = 0.8
+const THUMB_SIDE = 160
+
+const QUEUE_DB = 'jinofin-attachments'
+const QUEUE_STORE = 'uploads'
+
+let queuePromise = null
+function openQueue() {
+  if (!queuePromise) {
+    queuePromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(QUEUE_DB, 1)
+      req.onupgradeneeded = () => req.result.createObjectStore(QUEUE_STORE, { keyPath: 'id' })
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+  }
+  return queuePromise
+}
+
+/** Runs `fn(store)` in one IndexedDB transaction and resolves with the result of its request. */
+async function withQueue(mode, fn) {
+  const idb = await openQueue()
+  return new Promise((resolve, reject) => {
+    const tx = idb.transaction(QUEUE_STORE, mode)
+    const req = fn(tx.objectStore(QUEUE_STORE))
+    tx.oncomplete = () => resolve(req?.result)
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+export function newAttachmentId() {
+  return `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`
+}
+
+function scaledCanvas(bitmap, maxSide) {
+  const scale = Math.min(1, maxSide / Math.max(bitmap.width, bitmap.height))
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale))
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale))
+  const ctx = canvas.getContext('2d')
+  // JPEG has no transparency; PNG screenshots would otherwise turn black.
+  ctx.fillStyle = '#fff'
+  ctx.fillRect(0, 0, canvas.width, canvas.height)
+  ctx.drawImage(bitmap, 0, 0, canvas.width, canvas.height)
+  return canvas
+}
+
+const toBlob = (canvas, quality) => new Promise((resolve) => canvas.toBlob(resolve, 'image/jpeg', quality))
+
+/**
+ * Compresses a picked file for upload: images are scaled down and re-encoded as JPEG with a
+ * thumbnail, PDFs pass through unchanged. Resolves with `{ id, blob, meta }`; throws for other
+ * types or files over the size limit.
+ */
+export async function prepareAttachment(file) {
+  const isPdf = file.type === 'application/pdf'
+  if (!isPdf && !file.type.startsWith('image/')) throw new Error(`${file.name} is not an image or PDF`)
+  let blob = file
+  let thumb = null
+  let name = file.name
+  if (!isPdf) {
+    // Formats the browser cannot decode (e.g. HEIC on most desktops) are kept as they are.
+    const bitmap = await createImageBitmap(file).catch(() => null)
+    if (bitmap) {
+      const compressed = await toBlob(scaledCanvas(bitmap, IMAGE_MAX_SIDE), IMAGE_QUALITY)
+      if (compressed && compressed.size < file.size) {
+        blob = compressed
+        name = `${file.name.replace(/\.[^.]+$/, '')}.jpg`
+      }
+      thumb = scaledCanvas(bitmap, THUMB_SIDE).toDataURL('image/jpeg', 0.6)
+      bitmap.close?.()
+    }
+  }
+  if (blob.size > MAX_FILE_BYTES) throw new Error(`${file.name} is larger than ${MAX_FILE_BYTES / 1024 / 1024} MB`)
+  return { id: newAttachmentId(), blob, meta: { name, type: blob.type || file.type, size: blob.size, thumb } }
+}
+
+/**
+ * Queues prepared attachments for `txId` and returns the `attachments` map entries to store on the
+ * transaction. Nothing is uploaded here; call `flushUploads` afterwards.
+ */
+export async function queueAttachments(householdId, txId, prepared) {
+  const entries = {}
+  const addedAt = new Date().toISOString()
+  await withQueue('readwrite', (store) => {
+    prepared.forEach(({ id, blob, meta }) => {
+      const path = `households/${householdId}/receipts/${txId}/${id}-${meta.name.replace(/[^\w.-]+/g, '_')}`
+      entries[id] = { ...meta, path, addedAt }
+      store.put({ id, householdId, txId, path, blob, type: meta.type })
+    })
+  })
+  return entries
+}
+
+/** The local copy of an attachment that has not been uploaded yet, or null. */
+export async function queuedBlob(id) {
+  const item = await withQueue('readonly', (store) => store.get(id))
+  return item?.blob || null
+}
+
+let flushing = null
+let flushAgain = false
+
+async function uploadQueued() {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) return 0
+  const items = await withQueue('readonly', (store) => store.getAll())
+  let uploaded = 0
+  for (const item of items) {
+    try {
+      const fileRef = storageRef(storage, item.path)
+      await uploadBytes(fileRef, item.blob, { contentType: item.type })
+      const url = await getDownloadURL(fileRef)
+      const txRef = doc(db, 'households', item.householdId, 'transactions', item.txId)
+      await updateDoc(txRef, { [`attachments.${item.id}.url`]: url }).catch(async (err) => {
+        // The transaction was deleted while the file waited; do not leave the upload behind.
+        if (err.code !== 'not-found') throw err
+        await deleteObject(fileRef).catch(() => {})
+      })
+      await withQueue('readwrite', (store) => store.delete(item.id))
+      uploaded += 1
+    } catch (err) {
+      console.info('Attachment upload deferred', item.path, err.code || err.message)
+    }
+  }
+  return uploaded
+}
+
+/**
+ * Uploads every queued attachment and records its download URL on the transaction. Safe to call
+ * often: it runs one flush at a time, and a call during a flush makes it read the queue once more,
+ * so receipts queued meanwhile are not missed. Items that fail stay queued for the next call.
+ * Resolves with the number uploaded.
+ */
+export function flushUploads() {
+  if (flushing) {
+    flushAgain = true
+    return flushing
+  }
+  flushing = (async () => {
+    let uploaded = 0
+    do {
+      flushAgain = false
+      uploaded += await uploadQueued()
+    } while (flushAgain)
+    return uploaded
+  })().finally(() => {
+    flushing = null
+  })
+  return flushing
+}
+
+// How long deleted transactions can be brought back; their files are kept until then.
+export const UNDO_WINDOW_MS = 6000
+
+async function deleteReceiptFiles(householdId, transactions) {
+  for (const tx of transactions) {
+    // Brought back in the meantime (e.g. by Undo on another device): keep the files.
+    const snap = await getDoc(doc(db, 'households', householdId, 'transactions', tx.id))
+    if (snap.exists()) continue
+    for (const [id, attachment] of Object.entries(tx.attachments)) {
+      await withQueue('readwrite', (store) => store.delete(id))
+      await deleteObject(storageRef(storage, attachment.path)).catch((err) => {
+        if (err.code !== 'storage/object-not-found') throw err
+      })
+    }
+  }
+}
+
+/**
+ * Deletes the stored receipts of deleted `transactions` once the Undo window has passed. Returns a
+ * function that cancels the cleanup, for Undo to call.
+ */
+export function scheduleReceiptCleanup(householdId, transactions) {
+  const withFiles = transactions.filter((tx) => Object.keys(tx.attachments || {}).length)
+  if (!withFiles.length) return () => {}
+  const timer = setTimeout(() => {
+    deleteReceiptFiles(householdId, withFiles).catch((err) => console.error('Receipt cleanup failed', err))
+  }, UNDO_WINDOW_MS)
+  return () => clearTimeout(timer)
+}
+
+/** Removes one attachment from a transaction, its queued copy and, once uploaded, the stored file. */
+export async function removeAttachment(householdId, txId, id, attachment) {
+  await withQueue('readwrite', (store) => store.delete(id))
+  if (attachment?.url) {
+    await deleteObject(storageRef(storage, attachment.path)).catch((err) => {
+      if (err.code !== 'storage/object-not-found') throw err
+    })
+  }
+  // Offline, Firestore queues this like any other edit, so callers should not wait on it.
+  return updateDoc(doc(db, 'households', householdId, 'transactions', txId), { [`attachments.${id}`]: deleteField() })
+}
+
+/** A URL to open an attachment with: the uploaded file, or the queued local copy. */
+export async function attachmentUrl(id, attachment) {
+  if (attachment.url) return attachment.url
+  const blob = await queuedBlob(id)
+  return blob ? URL.createObjectURL(blob) : null
+}
@@ -0,0 +1,173 @@
+import dayjs from 'dayjs'
+import { collection, doc, getDocs, setDoc, Timestamp } from 'firebase/firestore'
+
+import { db } from '../firebaseClient'
+import { commitInChunks } from './batch.js'
+
+// A backup is one JSON file:
+// `{ format, version, exportedAt, household: { id, fields }, collections: { name: [{ id, data }] } }`.
+// It holds every subcollection below and the household's own settings fields, but never its
+// members, so restoring into another household does not change who has access.
+
+export const BACKUP_FORMAT = 'jinofin-backup'
+export const BACKUP_VERSION = 1
+
+// Every subcollection of `households/{hid}`. New entities only need to be added here.
+export const BACKUP_COLLECTIONS = [
+  'transactions',
+  'accounts',
+  'budgets',
+  'settings',
+  'recurring',
+  'goals',
+  'loans',
+  'planned',
+  'importProfiles',
+  'savedFilters',
+]
+
+export const BACKUP_HOUSEHOLD_FIELDS = ['name', 'currency', 'categories', 'fiscalYearStart']
+
+export const RESTORE_MODES = {
+  merge: 'Merge: add documents from the backup, overwrite ones with the same id and keep the rest',
+  replace: 'Replace: also delete current documents the backup does not have, so the household matches it exactly',
+}
+
+const TRANSACTION_TYPES = ['income', 'expense', 'transfer']
+// More problems than this are summarised; the file is clearly not a good backup.
+const MAX_PROBLEMS = 10
+
+// Timestamps are the only non-JSON Firestore value we store; they round-trip as tagged ISO strings.
+function encode(value) {
+  if (value instanceof Timestamp) return { __type: 'timestamp', value: value.toDate().toISOString() }
+  if (Array.isArray(value)) return value.map(encode)
+  if (value && typeof value === 'object') return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encode(v)]))
+  return value
+}
+
+function decode(value) {
+  if (Array.isArray(value)) return value.map(decode)
+  if (value && typeof value === 'object') {
+    if (value.__type === 'timestamp') return Timestamp.fromDate(new Date(value.value))
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decode(v)]))
+  }
+  return value
+}
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value)
+
+/** Reads the whole household into a backup object, ready for `JSON.stringify`. */
+export async function createBackup(householdId, household) {
+  const collections = {}
+  for (const name of BACKUP_COLLECTIONS) {
+    const snap = await getDocs(collection(db, 'households', householdId, name))
+    collections[name] = []
+    snap.forEach((docSnap) => collections[name].push({ id: docSnap.id, data: encode(docSnap.data()) }))
+  }
+  const fields = Object.fromEntries(BACKUP_HOUSEHOLD_FIELDS.filter((key) => household?.[key] !== undefined).map((key) => [key, encode(household[key])]))
+  return {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    exportedAt: new Date().toISOString(),
+    household: { id: householdId, fields },
+    collections,
+  }
+}
+
+export function backupFileName(household) {
+  const slug = String(household?.name || 'household').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'household'
+  return `jinofin-backup-${slug}-${dayjs().format('YYYYMMDD-HHmm')}.json`
+}
+
+function transactionProblem(data) {
+  if (!TRANSACTION_TYPES.includes(data.type)) return `unknown type "${data.type}"`
+  if (!Number.isFinite(Number(data.amount))) return 'amount is not a number'
+  if (typeof data.date !== 'string' || !dayjs(data.date).isValid()) return 'date is missing or invalid'
+  return null
+}
+
+/**
+ * Checks a parsed backup file. Returns `{ problems, skipped, counts }`: `problems` block the restore,
+ * `skipped` lists collections this version does not know (left out of the restore), `counts` are
+ * documents per known collection.
+ */
+export function validateBackup(backup) {
+  const problems = []
+  const skipped = []
+  const counts = {}
+  const add = (message) => {
+    if (problems.length < MAX_PROBLEMS) problems.push(message)
+    else if (problems.length === MAX_PROBLEMS) problems.push('…and more')
+  }
+  if (!isObject(backup) || backup.format !== BACKUP_FORMAT) {
+    return { problems: ['This is not a Jinofin backup file'], skipped, counts }
+  }
+  if (!Number.isInteger(backup.version) || backup.version < 1) add('The backup has no valid version')
+  else if (backup.version > BACKUP_VERSION) add(`The backup was made by a newer version of the app (format ${backup.version}); update the app first`)
+  if (backup.household !== undefined && !isObject(backup.household?.fields)) add('The household settings are malformed')
+  if (!isObject(backup.collections)) {
+    add('The backup has no collections')
+    return { problems, skipped, counts }
+  }
+  Object.entries(backup.collections).forEach(([name, docs]) => {
+    if (!BACKUP_COLLECTIONS.includes(name)) {
+      skipped.push(name)
+      return
+    }
+    if (!Array.isArray(docs)) {
+      add(`${name} is not a list`)
+      return
+    }
+    const seen = new Set()
+    docs.forEach((entry, idx) => {
+      if (!isObject(entry) || typeof entry.id !== 'string' || !entry.id || entry.id.includes('/') || !isObject(entry.data)) {
+        add(`${name} #${idx + 1} needs an id and a data object`)
+        return
+      }
+      if (seen.has(entry.id)) add(`${name} has the id ${entry.id} twice`)
+      seen.add(entry.id)
+      const problem = name === 'transactions' ? transactionProblem(entry.data) : null
+      if (problem) add(`Transaction ${entry.id}: ${problem}`)
+    })
+    counts[name] = docs.length
+  })
+  return { problems, skipped, counts }
+}
+
+/**
+ * Writes a validated backup into `householdId`. In `replace` mode, documents of the backed-up
+ * collections that the backup does not contain are deleted afterwards, so a restore that fails
+ * halfway never leaves the household emptier than before. Writes are chunked under the batch
+ * limit; `onProgress(done, total)` reports after each chunk. Resolves with the number of documents written.
+ */
+export async function restoreBackup(householdId, backup, { mode = 'merge', onProgress } = {}) {
+  const names = BACKUP_COLLECTIONS.filter((name) => Array.isArray(backup.collections[name]))
+  const writes = names.flatMap((name) => backup.collections[name].map((entry) => ({
+    ref: doc(db, 'households', householdId, name, entry.id),
+    data: decode(entry.data),
+  })))
+  const deletes = []
+  if (mode === 'replace') {
+    for (const name of names) {
+      const keep = new Set(backup.collections[name].map((entry) => entry.id))
+      const snap = await getDocs(collection(db, 'households', householdId, name))
+      snap.forEach((docSnap) => {
+        if (!keep.has(docSnap.id)) deletes.push(docSnap.ref)
+      })
+    }
+  }
+  const total = writes.length + deletes.length
+  let done = 0
+  const progress = (count) => {
+    done += count
+    onProgress?.(done, total)
+  }
+  await commitInChunks(writes, (batch, { ref, data }) => batch.set(ref, data), undefined, progress)
+  await commitInChunks(deletes, (batch, ref) => batch.delete(ref), undefined, progress)
+  const fields = backup.household?.fields
+  if (fields && Object.keys(fields).length) {
+    const allowed = Object.fromEntries(Object.entries(fields).filter(([key]) => BACKUP_HOUSEHOLD_FIELDS.includes(key)))
+    await setDoc(doc(db, 'households', householdId), decode(allowed), { merge: true })
+  }
+  return writes.length
+}
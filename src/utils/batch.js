@@ -0,0 +1,21 @@
+import { writeBatch } from 'firebase/firestore'
+
+import { db } from '../firebaseClient'
+
+// Firestore rejects batches above 500 writes; stay a little under to leave room for follow-up writes.
+export const BATCH_LIMIT = 450
+
+/**
+ * Applies `apply(batch, item)` for every item, committing a new batch every `size` items.
+ * `onCommit(count)` is called after each batch. Resolves with the number of items written.
+ */
+export async function commitInChunks(items, apply, size = BATCH_LIMIT, onCommit) {
+  for (let i = 0; i < items.length; i += size) {
+    const batch = writeBatch(db)
+    const chunk = items.slice(i, i + size)
+    chunk.forEach((item) => apply(batch, item))
+    await batch.commit()
+    onCommit?.(chunk.length)
+  }
+  return items.length
+}
@@ -0,0 +1,152 @@
+import dayjs from 'dayjs'
+import { collection, doc, getDoc, getDocs } from 'firebase/firestore'
+
+import { db } from '../firebaseClient'
+import { commitInChunks } from './batch.js'
+import { amountForCategory } from './splits.js'
+
+// `settings/budget` is the template every month starts from and also holds per-category
+// `periods` ({ [category]: 'weekly' | 'monthly' | 'yearly' }) and `rollover`
+// ({ [category]: 'YYYY-MM-DD' }, the first period whose leftover carries forward).
+// `budgets/{YYYY-MM}` documents override the template for a single month.
+
+export const BUDGET_PERIODS = {
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  yearly: 'Yearly',
+}
+
+const PERIOD_UNIT = { weekly: 'week', monthly: 'month', yearly: 'year' }
+
+// Safety net so a very old rollover start cannot stall the UI.
+const MAX_PERIODS = 520
+
+export function periodOf(settings, category) {
+  return PERIOD_UNIT[settings?.periods?.[category]] ? settings.periods[category] : 'monthly'
+}
+
+/** The weekly, monthly or yearly period containing `date`, as dayjs bounds. */
+export function periodRange(period, date) {
+  const unit = PERIOD_UNIT[period] || 'month'
+  const start = dayjs(date).startOf(unit)
+  return { start, end: start.endOf(unit) }
+}
+
+/** Budget for the period starting at `start`; the month's own document wins over the template. */
+export function budgetAmount(category, start, settings, months) {
+  const own = months?.[dayjs(start).format('YYYY-MM')]?.categoryBudgets?.[category]
+  return Number(own ?? settings?.categoryBudgets?.[category] ?? 0)
+}
+
+export function categoryBudgetsFor(monthKey, settings, months) {
+  return { ...(settings?.categoryBudgets || {}), ...(months?.[monthKey]?.categoryBudgets || {}) }
+}
+
+export function totalBudgetFor(monthKey, settings, months, fallback = 0) {
+  return Number(months?.[monthKey]?.totalBudget ?? settings?.totalBudget ?? fallback)
+}
+
+function spentBetween(transactions, category, { start, end }, toBase) {
+  const from = start.toISOString()
+  const to = end.toISOString()
+  return transactions.reduce((sum, tx) => (
+    tx.type === 'expense' && tx.date >= from && tx.date <= to ? sum + amountForCategory(tx, category, toBase) : sum
+  ), 0)
+}
+
+/**
+ * Where `category` stands in the period containing `date`. With rollover on, every earlier period
+ * since the rollover start adds its leftover (negative when overspent) to `carry`.
+ * `transactions` must reach back to `historyStart`.
+ */
+export function budgetStatus(category, date, { settings, months, transactions, toBase }) {
+  const period = periodOf(settings, category)
+  const current = periodRange(period, date)
+  const budget = budgetAmount(category, current.start, settings, months)
+  let carry = 0
+  const since = settings?.rollover?.[category]
+  if (since) {
+    let cursor = periodRange(period, since)
+    for (let i = 0; i < MAX_PERIODS && cursor.start.isBefore(current.start); i += 1) {
+      carry += budgetAmount(category, cursor.start, settings, months) - spentBetween(transactions, category, cursor, toBase)
+      cursor = periodRange(period, cursor.end.add(1, 'day'))
+    }
+  }
+  const spent = spentBetween(transactions, category, current, toBase)
+  const available = budget + carry
+  return { period, start: current.start, end: current.end, budget, carry, available, spent, left: available - spent }
+}
+
+/** Earliest date whose transactions `budgetStatus` needs for these categories. */
+export function historyStart(settings, categories, date) {
+  let earliest = dayjs(date).startOf('month')
+  categories.forEach((category) => {
+    const period = periodOf(settings, category)
+    const candidates = [periodRange(period, date).start]
+    if (settings?.rollover?.[category]) candidates.push(periodRange(period, settings.rollover[category]).start)
+    candidates.forEach((d) => { if (d.isBefore(earliest)) earliest = d })
+  })
+  return earliest
+}
+
+/** What a category's envelope receives in `monthKey`, whatever its period. */
+function assignedInMonth(category, monthKey, settings, months) {
+  const period = periodOf(settings, category)
+  const month = dayjs(`${monthKey}-01`)
+  if (period === 'yearly') return budgetAmount(category, month.startOf('year'), settings, months) / 12
+  if (period === 'monthly') return budgetAmount(category, month, settings, months)
+  let total = 0
+  // Weeks are funded by the month they start in.
+  for (let week = periodRange('weekly', month).start; week.isBefore(month.endOf('month')); week = week.add(1, 'week')) {
+    if (week.month() === month.month()) total += budgetAmount(category, week, settings, months)
+  }
+  return total
+}
+
+/** Income received in `monthKey` minus everything assigned to envelopes for that month. */
+export function readyToAssign(monthKey, { settings, months, transactions, toBase }) {
+  const { start, end } = periodRange('monthly', `${monthKey}-01`)
+  const from = start.toISOString()
+  const to = end.toISOString()
+  const income = transactions.reduce((sum, tx) => (tx.type === 'income' && tx.date >= from && tx.date <= to ? sum + toBase(tx) : sum), 0)
+  const assigned = Object.keys(categoryBudgetsFor(monthKey, settings, months))
+    .reduce((sum, category) => sum + assignedInMonth(category, monthKey, settings, months), 0)
+  return { income, assigned, ready: income - assigned }
+}
+
+function movedKeys(map, from, to, combine) {
+  if (!map || map[from] == null) return null
+  const next = { ...map }
+  if (to) next[to] = map[to] == null ? map[from] : combine(map[to], map[from])
+  delete next[from]
+  return next
+}
+
+/**
+ * Moves a category's budgets, period and rollover from `from` to `to` in the template and every
+ * month document; amounts add up when `to` already has a budget. A null `to` drops them.
+ */
+export async function moveCategoryBudgets(householdId, from, to) {
+  const sum = (a, b) => Number(a || 0) + Number(b || 0)
+  const keep = (a) => a
+  const updates = []
+  const settingsSnap = await getDoc(doc(db, 'households', householdId, 'settings', 'budget'))
+  if (settingsSnap.exists()) {
+    const data = settingsSnap.data()
+    const update = {}
+    const budgets = movedKeys(data.categoryBudgets, from, to, sum)
+    const periods = movedKeys(data.periods, from, to, keep)
+    const rollover = movedKeys(data.rollover, from, to, keep)
+    if (budgets) update.categoryBudgets = budgets
+    if (periods) update.periods = periods
+    if (rollover) update.rollover = rollover
+    if (Object.keys(update).length) updates.push({ ref: settingsSnap.ref, update })
+  }
+  const monthsSnap = await getDocs(collection(db, 'households', householdId, 'budgets'))
+  monthsSnap.forEach((docSnap) => {
+    const budgets = movedKeys(docSnap.data().categoryBudgets, from, to, sum)
+    if (budgets) updates.push({ ref: doc(db, 'households', householdId, 'budgets', docSnap.id), update: { categoryBudgets: budgets } })
+  })
+  await commitInChunks(updates, (batch, item) => batch.update(item.ref, item.update))
+  return updates.length
+}
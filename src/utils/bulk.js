@@ -0,0 +1,76 @@
+import dayjs from 'dayjs'
+import { deleteField, doc } from 'firebase/firestore'
+
+import { auth, db } from '../firebaseClient'
+import { commitInChunks } from './batch.js'
+import { isTransfer } from './accounts.js'
+import { isSplit } from './splits.js'
+import { restoredAuthor } from './households.js'
+
+// Batch edits for a selection of transactions. Each action turns the selection into
+// `[{ tx, update }]`, leaving out transactions it would not change. The same list both applies
+// the change and undoes it, because `tx` still holds the values from before.
+
+const txRef = (householdId, id) => doc(db, 'households', householdId, 'transactions', id)
+
+/** Moves transactions to `category`. Splits collapse into the one category; transfers are skipped. */
+export function recategorize(transactions, category) {
+  return transactions
+    .filter((tx) => !isTransfer(tx) && (tx.category !== category || isSplit(tx)))
+    .map((tx) => ({ tx, update: { category, ...(isSplit(tx) ? { splits: deleteField() } : {}) } }))
+}
+
+export function addTag(transactions, tag) {
+  return transactions
+    .filter((tx) => !(tx.tags || []).includes(tag))
+    .map((tx) => ({ tx, update: { tags: [...(tx.tags || []), tag] } }))
+}
+
+export function removeTag(transactions, tag) {
+  return transactions
+    .filter((tx) => (tx.tags || []).includes(tag))
+    .map((tx) => {
+      const rest = tx.tags.filter((t) => t !== tag)
+      return { tx, update: { tags: rest.length ? rest : deleteField() } }
+    })
+}
+
+/** Moves transactions to `day` (YYYY-MM-DD), keeping each one's time of day. */
+export function moveToDate(transactions, day) {
+  const target = dayjs(day)
+  return transactions
+    .map((tx) => {
+      const current = dayjs(tx.date)
+      return { tx, date: target.hour(current.hour()).minute(current.minute()).second(current.second()).millisecond(current.millisecond()) }
+    })
+    .filter(({ tx, date }) => !date.isSame(dayjs(tx.date)))
+    .map(({ tx, date }) => ({ tx, update: { date: date.toISOString() } }))
+}
+
+/** Writes `changes` in chunked batches; resolves with the number of transactions changed. */
+export function applyChanges(householdId, changes) {
+  const stamp = { updatedAt: new Date().toISOString(), updatedBy: auth.currentUser?.uid || null }
+  return commitInChunks(changes, (batch, { tx, update }) => batch.update(txRef(householdId, tx.id), { ...update, ...stamp }))
+}
+
+/** Puts every field `changes` touched back to its value from before. */
+export function revertChanges(householdId, changes) {
+  return commitInChunks(changes, (batch, { tx, update }) => batch.update(txRef(householdId, tx.id), {
+    ...Object.fromEntries(Object.keys(update).map((key) => [key, tx[key] ?? deleteField()])),
+    updatedAt: tx.updatedAt ?? deleteField(),
+    updatedBy: tx.updatedBy ?? deleteField(),
+  }))
+}
+
+export function deleteTransactions(householdId, transactions) {
+  return commitInChunks(transactions, (batch, tx) => batch.delete(txRef(householdId, tx.id)))
+}
+
+/** Writes deleted transactions back under their old ids; `role` decides who they are credited to. */
+export function restoreTransactions(householdId, transactions, role) {
+  return commitInChunks(transactions, (batch, { id, ...data }) => batch.set(txRef(householdId, id), {
+    ...data,
+    createdAt: data.createdAt || new Date().toISOString(),
+    createdBy: restoredAuthor(data.createdBy, role),
+  }))
+}
@@ -0,0 +1,151 @@
+import { collection, doc, getDoc, getDocs } from 'firebase/firestore'
+
+import { db } from '../firebaseClient'
+import { commitInChunks } from './batch.js'
+import { isSplit } from './splits.js'
+
+export const CATEGORY_PALETTE = ['#2563eb', '#22c55e', '#ef4444', '#eab308', '#06b6d4', '#a855f7', '#f97316', '#14b8a6', '#ec4899', '#84cc16', '#6366f1', '#f43f5e']
+
+export const CATEGORY_ICONS = ['🛒', '🍽️', '🚗', '⛽', '🏠', '💡', '🛍️', '💊', '🎬', '✈️', '🎓', '🐾', '👶', '🎁', '💼', '💰', '📱', '🏋️', '☕', '🧾']
+
+const DEFAULT_ICONS = {
+  Groceries: '🛒',
+  Dining: '🍽️',
+  Transport: '🚗',
+  Rent: '🏠',
+  Utilities: '💡',
+  Shopping: '🛍️',
+  Health: '💊',
+  Other: '🧾',
+}
+
+function slug(name) {
+  return String(name).toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'category'
+}
+
+export function newCategoryId(name) {
+  return `${slug(name)}-${Math.random().toString(36).slice(2, 7)}`
+}
+
+export function makeCategory(name, existing = [], extra = {}) {
+  return {
+    id: newCategoryId(name),
+    name,
+    parentId: null,
+    icon: DEFAULT_ICONS[name] || '',
+    color: CATEGORY_PALETTE[existing.length % CATEGORY_PALETTE.length],
+    ...extra,
+  }
+}
+
+/**
+ * Accepts the household `categories` field in either the legacy string-array form or the object
+ * form and returns objects. Legacy entries get slug ids so repeated reads agree until written back.
+ */
+export function normalizeCategories(raw) {
+  if (!Array.isArray(raw)) return []
+  const seen = new Set()
+  const list = []
+  raw.forEach((entry, idx) => {
+    const item = typeof entry === 'string'
+      ? { id: `cat-${slug(entry)}`, name: entry, parentId: null, icon: DEFAULT_ICONS[entry] || '', color: CATEGORY_PALETTE[idx % CATEGORY_PALETTE.length] }
+      : { parentId: null, icon: '', color: CATEGORY_PALETTE[idx % CATEGORY_PALETTE.length], ...entry }
+    if (!item.name || seen.has(item.name)) return
+    seen.add(item.name)
+    list.push(item)
+  })
+  const ids = new Set(list.map((c) => c.id))
+  // Only one level of nesting; orphans and grandchildren are lifted to the top level.
+  return list.map((c) => {
+    const parent = list.find((p) => p.id === c.parentId)
+    return ids.has(c.parentId) && parent && !parent.parentId ? c : { ...c, parentId: null }
+  })
+}
+
+export function isLegacyCategoryList(raw) {
+  return Array.isArray(raw) && raw.some((entry) => typeof entry === 'string')
+}
+
+/** Parents in stored order, each followed by its children. */
+export function orderCategories(list) {
+  const ordered = []
+  list.filter((c) => !c.parentId).forEach((parent) => {
+    ordered.push(parent)
+    list.filter((c) => c.parentId === parent.id).forEach((child) => ordered.push(child))
+  })
+  return ordered
+}
+
+export function findCategory(list, name) {
+  return list.find((c) => c.name === name) || null
+}
+
+export function categoryLabel(list, name) {
+  const cat = findCategory(list, name)
+  if (!cat?.parentId) return name
+  const parent = list.find((p) => p.id === cat.parentId)
+  return parent ? `${parent.name} › ${cat.name}` : name
+}
+
+/** Name of the top-level category `name` rolls up into. */
+export function parentName(list, name) {
+  const cat = findCategory(list, name)
+  if (!cat?.parentId) return name
+  return list.find((p) => p.id === cat.parentId)?.name || name
+}
+
+export function childrenOf(list, name) {
+  const cat = findCategory(list, name)
+  return cat ? list.filter((c) => c.parentId === cat.id) : []
+}
+
+export function categoryColor(list, name, fallbackIdx = 0) {
+  return findCategory(list, name)?.color || CATEGORY_PALETTE[fallbackIdx % CATEGORY_PALETTE.length]
+}
+
+export function categoryIcon(list, name) {
+  return findCategory(list, name)?.icon || ''
+}
+
+/** Re-keys a `{ [category]: number }` map by parent category, summing children into parents. */
+export function rollupByParent(list, map) {
+  const result = {}
+  Object.entries(map).forEach(([name, value]) => {
+    const key = parentName(list, name)
+    result[key] = (result[key] || 0) + Number(value || 0)
+  })
+  return result
+}
+
+function rewriteTransaction(tx, from, to) {
+  const update = {}
+  if (tx.category === from) update.category = to
+  if (isSplit(tx) && tx.splits.some((line) => line.category === from)) {
+    update.splits = tx.splits.map((line) => (line.category === from ? { ...line, category: to } : line))
+  }
+  return Object.keys(update).length ? update : null
+}
+
+/**
+ * Moves every transaction, recurring rule and category goal from category `from` to `to`, chunked
+ * under the batch limit. Split lines are rewritten too, which is why this scans rather than queries
+ * by category. Categorisation rules that targeted `from` follow along. Resolves with the number of documents updated.
+ */
+export async function reassignCategory(householdId, from, to) {
+  const updates = []
+  const rulesRef = doc(db, 'households', householdId, 'settings', 'rules')
+  const rulesSnap = await getDoc(rulesRef)
+  const rules = rulesSnap.exists() ? rulesSnap.data().rules || [] : []
+  if (rules.some((rule) => rule.category === from)) {
+    updates.push({ ref: rulesRef, update: { rules: rules.map((rule) => (rule.category === from ? { ...rule, category: to } : rule)) } })
+  }
+  for (const name of ['transactions', 'recurring', 'goals']) {
+    const snap = await getDocs(collection(db, 'households', householdId, name))
+    snap.forEach((docSnap) => {
+      const update = rewriteTransaction(docSnap.data(), from, to)
+      if (update) updates.push({ ref: doc(db, 'households', householdId, name, docSnap.id), update })
+    })
+  }
+  await commitInChunks(updates, (batch, item) => batch.update(item.ref, item.update))
+  return updates.length
+}
@@ -0,0 +1,248 @@
+import dayjs from 'dayjs'
+import customParseFormat from 'dayjs/plugin/customParseFormat'
+import Papa from 'papaparse'
+
+import { isSplit, lineItems, primaryCategory } from './splits.js'
+import { formatTag, normalizePayee, parseTags } from './tags.js'
+
+dayjs.extend(customParseFormat)
+
+/**
+ * Flattens transactions into CSV rows. Split transactions become one row per line, tied together
+ * by a shared `split` column so they can be re-imported as a single transaction.
+ */
+export function transactionsToCsvRows(transactions, baseCurrency) {
+  const rows = []
+  transactions.forEach((t) => {
+    const split = isSplit(t) ? t.id || `${t.date}-${t.amount}` : ''
+    lineItems(t).forEach((line) => {
+      rows.push({
+        type: t.type,
+        amount: line.amount,
+        currency: t.currency || baseCurrency,
+        category: line.category,
+        date: t.date,
+        payee: t.payee || '',
+        note: t.note,
+        tags: (t.tags || []).map(formatTag).join(' '),
+        split,
+      })
+    })
+  })
+  return rows
+}
+
+/** Merges parsed rows sharing a `split` key into one row with `splits`; other rows pass through. */
+export function groupSplitRows(rows) {
+  const result = []
+  const groups = new Map()
+  rows.forEach((row) => {
+    if (!row.split) {
+      result.push(row)
+      return
+    }
+    const group = groups.get(row.split)
+    if (!group) {
+      const entry = { ...row, splits: [{ category: row.category, amount: row.amount }] }
+      groups.set(row.split, entry)
+      result.push(entry)
+      return
+    }
+    group.splits.push({ category: row.category, amount: row.amount })
+    group.amount = Math.round((group.amount + row.amount) * 100) / 100
+    group.valid = group.valid && row.valid
+  })
+  result.forEach((row) => {
+    if (!row.splits) return
+    delete row.split
+    if (row.splits.length < 2) {
+      delete row.splits
+      return
+    }
+    row.category = primaryCategory(row.splits)
+  })
+  return result
+}
+
+export const CSV_DATE_FORMATS = ['YYYY-MM-DD', 'YYYY/MM/DD', 'DD/MM/YYYY', 'MM/DD/YYYY', 'DD.MM.YYYY', 'DD-MM-YYYY', 'YYYY-MM-DD HH:mm', 'YYYY-MM-DDTHH:mm', 'DD.MM.YY', 'MM/DD/YY']
+
+export const CSV_FIELDS = {
+  date: 'Date',
+  amount: 'Amount',
+  debit: 'Debit (money out)',
+  credit: 'Credit (money in)',
+  type: 'Type',
+  category: 'Category',
+  payee: 'Payee / merchant',
+  note: 'Note / description',
+  tags: 'Tags',
+  currency: 'Currency',
+  split: 'Split group',
+}
+
+/**
+ * How amounts become income or expense:
+ * - `typed`: an amount column plus a type column ("income"/"expense", "credit"/"debit", "CR"/"DR");
+ * - `signed`: one signed amount column, negative meaning `negative`;
+ * - `columns`: separate debit and credit columns.
+ */
+export const AMOUNT_MODES = {
+  typed: 'Amount + type column',
+  signed: 'Signed amount',
+  columns: 'Separate debit / credit columns',
+}
+
+const HEADER_HINTS = {
+  date: ['date', 'booking date', 'buchungstag', 'transaction date', 'posted', 'value date', 'datum', 'valuta'],
+  amount: ['amount', 'betrag', 'value', 'sum', 'montant', 'importe'],
+  debit: ['debit', 'withdrawal', 'money out', 'paid out', 'soll', 'out'],
+  credit: ['credit', 'deposit', 'money in', 'paid in', 'haben', 'in'],
+  type: ['type', 'dr/cr', 'cr/dr', 'direction'],
+  category: ['category', 'kategorie'],
+  payee: ['payee', 'merchant', 'counterparty', 'beneficiary', 'empfänger', 'auftraggeber/empfänger'],
+  note: ['note', 'description', 'memo', 'details', 'verwendungszweck', 'reference', 'narrative', 'name'],
+  tags: ['tags', 'labels'],
+  currency: ['currency', 'ccy', 'währung', 'waehrung'],
+  split: ['split'],
+}
+
+function normalizeHeader(header) {
+  return String(header || '').trim().toLowerCase()
+}
+
+/** Stable fingerprint of a header row, used to recognise a bank's export next time. */
+export function headerSignature(headers) {
+  return headers.map(normalizeHeader).filter(Boolean).join('|')
+}
+
+/** Best-effort starting mapping for an unknown header row. */
+export function guessMapping(headers) {
+  const columns = {}
+  const taken = new Set()
+  Object.entries(HEADER_HINTS).forEach(([field, hints]) => {
+    const exact = headers.find((h) => !taken.has(h) && hints.includes(normalizeHeader(h)))
+    const partial = exact || headers.find((h) => !taken.has(h) && hints.some((hint) => hint.length > 3 && normalizeHeader(h).includes(hint)))
+    if (partial) {
+      columns[field] = partial
+      taken.add(partial)
+    }
+  })
+  const amountMode = !columns.amount && columns.debit && columns.credit ? 'columns' : columns.type ? 'typed' : 'signed'
+  return { columns, amountMode, negative: 'expense', dateFormat: 'auto', decimal: 'auto', delimiter: '' }
+}
+
+/**
+ * Saved profile whose header row matches exactly, or failing that, the first one whose mapped
+ * columns are all present.
+ */
+export function detectProfile(profiles, headers) {
+  const signature = headerSignature(headers)
+  const exact = profiles.find((p) => p.signature === signature)
+  if (exact) return exact
+  const present = new Set(headers)
+  return profiles.find((p) => Object.values(p.mapping?.columns || {}).filter(Boolean).every((col) => present.has(col))) || null
+}
+
+export function parseCsvText(text, delimiter = '') {
+  const results = Papa.parse(text, { header: true, skipEmptyLines: true, delimiter })
+  return { headers: (results.meta.fields || []).filter(Boolean), rows: results.data || [], delimiter: results.meta.delimiter }
+}
+
+/**
+ * Parses an amount in the chosen decimal style (`.` or `,`; `auto` guesses from the last separator).
+ * Understands currency symbols, thousands separators, "(12.00)" and trailing-minus negatives.
+ */
+export function parseCsvAmount(raw, decimal = 'auto') {
+  let v = String(raw ?? '').trim()
+  if (!v) return NaN
+  let negative = false
+  if (/^\(.*\)$/.test(v)) {
+    negative = true
+    v = v.slice(1, -1)
+  }
+  if (/-$/.test(v)) {
+    negative = true
+    v = v.slice(0, -1)
+  }
+  v = v.replace(/[^0-9,.-]/g, '')
+  let style = decimal
+  if (style === 'auto') {
+    const lastComma = v.lastIndexOf(',')
+    const lastDot = v.lastIndexOf('.')
+    // A lone comma followed by exactly three digits is a thousands separator ("1,234").
+    style = lastComma > lastDot && !/^-?\d{1,3}(,\d{3})+$/.test(v) ? ',' : '.'
+  }
+  v = style === ',' ? v.replace(/\./g, '').replace(',', '.') : v.replace(/,/g, '')
+  const num = parseFloat(v)
+  if (!Number.isFinite(num)) return NaN
+  return negative ? -Math.abs(num) : num
+}
+
+/** ISO date for `val` in `format`; `auto` tries every known format, then dayjs' own parser. */
+export function parseCsvDate(val, format = 'auto') {
+  if (!val && val !== 0) return null
+  const text = String(val).trim()
+  const formats = format === 'auto' ? CSV_DATE_FORMATS : [format]
+  for (const fmt of formats) {
+    const d = dayjs(text, fmt, true)
+    if (d.isValid()) return d.toISOString()
+  }
+  if (format !== 'auto') return null
+  const d2 = dayjs(text)
+  return d2.isValid() ? d2.toISOString() : null
+}
+
+function typeFromText(raw) {
+  const value = normalizeHeader(raw)
+  if (['income', 'credit', 'cr', 'c', 'in', 'deposit'].includes(value)) return 'income'
+  if (['expense', 'debit', 'dr', 'd', 'out', 'withdrawal', 'payment'].includes(value)) return 'expense'
+  return null
+}
+
+/**
+ * Turns raw CSV records into import-preview rows using `mapping`. Rows that cannot be read keep
+ * `valid: false` and an `error` explaining why, instead of being guessed.
+ */
+export function applyCsvMapping(records, mapping, baseCurrency) {
+  const { columns = {}, amountMode = 'signed', negative = 'expense', dateFormat = 'auto', decimal = 'auto' } = mapping
+  const cell = (raw, field) => (columns[field] ? String(raw[columns[field]] ?? '').trim() : '')
+  const rows = records.map((raw) => {
+    let type = null
+    let amount = NaN
+    if (amountMode === 'columns') {
+      const debit = parseCsvAmount(cell(raw, 'debit'), decimal)
+      const credit = parseCsvAmount(cell(raw, 'credit'), decimal)
+      if (Number.isFinite(debit) && debit !== 0) {
+        type = 'expense'
+        amount = Math.abs(debit)
+      } else if (Number.isFinite(credit) && credit !== 0) {
+        type = 'income'
+        amount = Math.abs(credit)
+      }
+    } else {
+      const value = parseCsvAmount(cell(raw, 'amount'), decimal)
+      amount = Math.abs(value)
+      if (amountMode === 'typed') type = typeFromText(cell(raw, 'type'))
+      else if (Number.isFinite(value)) type = value < 0 ? negative : (negative === 'expense' ? 'income' : 'expense')
+    }
+    const date = parseCsvDate(cell(raw, 'date'), dateFormat)
+    let error = ''
+    if (!type) error = amountMode === 'typed' ? `Unknown type "${cell(raw, 'type')}"` : 'No amount'
+    else if (!Number.isFinite(amount) || amount <= 0) error = 'No amount'
+    else if (!date) error = 'Unreadable date'
+    return {
+      type: type || 'expense',
+      amount,
+      currency: cell(raw, 'currency').toUpperCase() || baseCurrency,
+      category: cell(raw, 'category') || 'Other',
+      date,
+      payee: normalizePayee(cell(raw, 'payee')),
+      note: cell(raw, 'note'),
+      tags: parseTags(cell(raw, 'tags')),
+      split: cell(raw, 'split'),
+      valid: !error,
+      error,
+    }
+  })
+  return groupSplitRows(rows)
+}
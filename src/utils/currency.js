@@ -0,0 +1,126 @@
+import Papa from 'papaparse'
+import { collection, doc, getDocs } from 'firebase/firestore'
+
+import { db } from '../firebaseClient'
+import { commitInChunks } from './batch.js'
+
+export const CURRENCIES = [
+  'EUR', 'USD', 'GBP', 'EGP', 'AED', 'SAR', 'CHF', 'JPY', 'CNY', 'CAD', 'AUD', 'NZD',
+  'SEK', 'NOK', 'DKK', 'PLN', 'CZK', 'HUF', 'TRY', 'INR', 'ZAR', 'MXN', 'BRL', 'SGD',
+  'HKD', 'KRW', 'THB', 'MAD', 'QAR', 'KWD',
+]
+
+export function currencySymbol(curr) {
+  try {
+    const parts = new Intl.NumberFormat(undefined, { style: 'currency', currency: curr || 'EUR', currencyDisplay: 'narrowSymbol' }).formatToParts(0)
+    return parts.find((p) => p.type === 'currency')?.value || curr
+  } catch {
+    return curr || '€'
+  }
+}
+
+export function isCurrencyCode(code) {
+  return /^[A-Z]{3}$/.test(String(code || ''))
+}
+
+/**
+ * `table` follows the usual `{ base, rates }` shape where `rates[code]` is how many units of
+ * `code` one unit of `base` buys. Returns null when either side has no rate.
+ */
+export function convertAmount(amount, from, to, table) {
+  const value = Number(amount || 0)
+  if (!from || from === to) return value
+  const base = table?.base
+  const rates = { ...(table?.rates || {}), ...(base ? { [base]: 1 } : {}) }
+  const fromRate = Number(rates[from])
+  const toRate = Number(rates[to])
+  if (!(fromRate > 0) || !(toRate > 0)) return null
+  return (value / fromRate) * toRate
+}
+
+/**
+ * Builds `toBase(tx)` for a household. Transactions without a currency are in the base currency;
+ * changing the base stamps the old one onto them first (see `stampMissingCurrency`). Amounts with
+ * no known rate count as 0, so totals leave them out; `unconvertedCurrencies` names them for a warning.
+ */
+export function makeConverter(table, baseCurrency) {
+  const toBase = (tx) => convertAmount(tx?.amount, tx?.currency || baseCurrency, baseCurrency, table) ?? 0
+  toBase.hasRate = (code) => !code || code === baseCurrency || convertAmount(1, code, baseCurrency, table) != null
+  toBase.base = baseCurrency
+  return toBase
+}
+
+/** Currencies in `items` that `toBase` cannot convert, i.e. amounts missing from totals. */
+export function unconvertedCurrencies(items, toBase) {
+  return Array.from(new Set(items.filter((item) => !toBase.hasRate(item.currency)).map((item) => item.currency))).sort()
+}
+
+// Collections whose documents carry an amount in their own `currency`.
+const CURRENCY_COLLECTIONS = ['transactions', 'recurring', 'accounts', 'planned']
+
+/**
+ * Writes `currency` onto every document that has none, so entries saved in the old base currency
+ * keep their meaning when the base changes. Resolves with the number of documents updated.
+ */
+export async function stampMissingCurrency(householdId, currency) {
+  const refs = []
+  for (const name of CURRENCY_COLLECTIONS) {
+    const snap = await getDocs(collection(db, 'households', householdId, name))
+    snap.forEach((docSnap) => {
+      if (!docSnap.data().currency) refs.push(doc(db, 'households', householdId, name, docSnap.id))
+    })
+  }
+  await commitInChunks(refs, (batch, ref) => batch.update(ref, { currency }))
+  return refs.length
+}
+
+function cleanRates(raw) {
+  const rates = {}
+  Object.entries(raw || {}).forEach(([code, value]) => {
+    const key = String(code).trim().toUpperCase()
+    const num = Number(String(value).replace(',', '.'))
+    if (isCurrencyCode(key) && num > 0) rates[key] = num
+  })
+  return rates
+}
+
+/**
+ * Parses a rates file. Accepts JSON (`{ base, rates }` or a bare `{ USD: 1.08 }` map) and CSV with
+ * `currency,rate` columns. `fallbackBase` is used when the file does not name its base.
+ */
+export function parseRatesFile(text, fallbackBase) {
+  const trimmed = String(text || '').trim()
+  if (!trimmed) throw new Error('Rates file is empty')
+  if (trimmed.startsWith('{')) {
+    const data = JSON.parse(trimmed)
+    const base = isCurrencyCode(data.base) ? data.base : fallbackBase
+    const rates = cleanRates(data.rates && typeof data.rates === 'object' ? data.rates : data)
+    if (!Object.keys(rates).length) throw new Error('No rates found in JSON')
+    return { base, rates }
+  }
+  const { data } = Papa.parse(trimmed, { header: true, skipEmptyLines: true })
+  const raw = {}
+  let base = fallbackBase
+  data.forEach((row) => {
+    const get = (key) => row[key] ?? row[key.toUpperCase()] ?? row[key[0].toUpperCase() + key.slice(1)]
+    const code = get('currency') ?? get('code')
+    if (code) raw[code] = get('rate')
+    if (isCurrencyCode(get('base'))) base = get('base')
+  })
+  const rates = cleanRates(raw)
+  if (!Object.keys(rates).length) throw new Error('CSV needs "currency" and "rate" columns')
+  return { base, rates }
+}
+
+/** Re-expresses a rates table relative to a new base currency. */
+export function rebaseRates(table, newBase) {
+  if (!table?.base || table.base === newBase) return table
+  const rates = {}
+  const all = { ...table.rates, [table.base]: 1 }
+  const pivot = Number(all[newBase])
+  if (!(pivot > 0)) return table
+  Object.entries(all).forEach(([code, rate]) => {
+    if (code !== newBase) rates[code] = rate / pivot
+  })
+  return { base: newBase, rates }
+}
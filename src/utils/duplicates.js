@@ -0,0 +1,75 @@
+import dayjs from 'dayjs'
+import { collection, getDocs, orderBy, query, where } from 'firebase/firestore'
+
+import { db } from '../firebaseClient'
+
+// Same type, currency and amount are required; date distance, category and note similarity then
+// decide how likely the two records are the same payment.
+export const DUPLICATE_WINDOW_DAYS = 3
+export const DUPLICATE_THRESHOLD = 0.6
+
+const AMOUNT_TOLERANCE = 0.005
+
+function tokens(note) {
+  return new Set(String(note || '').toLowerCase().split(/[^a-z0-9]+/).filter((t) => t.length > 1))
+}
+
+/** Jaccard overlap of note words; two empty notes count as a neutral 0.5. */
+function noteSimilarity(a, b) {
+  const left = tokens(a)
+  const right = tokens(b)
+  if (!left.size && !right.size) return 0.5
+  if (!left.size || !right.size) return 0
+  let shared = 0
+  left.forEach((t) => { if (right.has(t)) shared += 1 })
+  return shared / (left.size + right.size - shared)
+}
+
+/** 0 when the two cannot be the same payment, up to 1 for an exact copy. */
+export function duplicateScore(candidate, existing, baseCurrency) {
+  if (candidate.type !== existing.type) return 0
+  if ((candidate.currency || baseCurrency) !== (existing.currency || baseCurrency)) return 0
+  if (Math.abs(Number(candidate.amount) - Number(existing.amount)) > AMOUNT_TOLERANCE) return 0
+  const days = Math.abs(dayjs(candidate.date).startOf('day').diff(dayjs(existing.date).startOf('day'), 'day'))
+  if (!(days <= DUPLICATE_WINDOW_DAYS)) return 0
+  const dateScore = 1 - days / (DUPLICATE_WINDOW_DAYS + 1)
+  const categoryScore = candidate.category && candidate.category === existing.category ? 1 : 0
+  return 0.45 * dateScore + 0.2 * categoryScore + 0.35 * noteSimilarity(candidate.note, existing.note)
+}
+
+/** Best-scoring existing transaction at or above the threshold, as `{ tx, score }`, or null. */
+export function findDuplicate(candidate, existing, baseCurrency) {
+  let best = null
+  existing.forEach((tx) => {
+    if (tx.id && tx.id === candidate.id) return
+    const score = duplicateScore(candidate, tx, baseCurrency)
+    if (score >= DUPLICATE_THRESHOLD && (!best || score > best.score)) best = { tx, score }
+  })
+  return best
+}
+
+/** Transactions dated within the duplicate window around any of `dates` (ISO strings). */
+export async function loadDuplicateCandidates(householdId, dates) {
+  const sorted = dates.filter(Boolean).sort()
+  if (!sorted.length) return []
+  const qRef = query(
+    collection(db, 'households', householdId, 'transactions'),
+    where('date', '>=', dayjs(sorted[0]).subtract(DUPLICATE_WINDOW_DAYS, 'day').startOf('day').toISOString()),
+    where('date', '<=', dayjs(sorted[sorted.length - 1]).add(DUPLICATE_WINDOW_DAYS, 'day').endOf('day').toISOString()),
+    orderBy('date', 'desc'),
+  )
+  const snap = await getDocs(qRef)
+  const list = []
+  snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+  return list
+}
+
+/** Fields a merge copies from an imported row onto the existing transaction it duplicates. */
+export function mergeFields(row, existing, accountId) {
+  const update = {}
+  if (row.bankId && !existing.bankId) update.bankId = row.bankId
+  if (row.note && !existing.note) update.note = row.note
+  if (accountId && !existing.accountId) update.accountId = accountId
+  if (existing.category === 'Other' && row.category && row.category !== 'Other') update.category = row.category
+  return update
+}
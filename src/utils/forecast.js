@@ -0,0 +1,74 @@
+import dayjs from 'dayjs'
+
+import { occurrencesUntil } from './recurring.js'
+import { isCashFlow } from './accounts.js'
+import { addToCategoryTotals } from './splits.js'
+
+// The forecast adds three things month by month: recurring rules (exact dates), the average
+// per-category spend and income that is not recurring ("discretionary"), and one-off planned
+// items from `households/{hid}/planned` (`{ date, type, amount, currency?, category, note }`).
+
+export const FORECAST_HORIZONS = [3, 6, 12]
+export const AVERAGE_MONTHS = 6
+
+/** Start of the window the discretionary averages are taken from: the last full months. */
+export function averagesStart(today = dayjs()) {
+  return today.subtract(AVERAGE_MONTHS, 'month').startOf('month')
+}
+
+/**
+ * Average monthly income and expense per category over the last `AVERAGE_MONTHS` full months,
+ * leaving out materialized recurring transactions (the rules forecast those themselves).
+ */
+export function discretionaryAverages(transactions, toBase, today = dayjs()) {
+  const start = averagesStart(today)
+  const end = today.startOf('month')
+  const totals = { income: {}, expense: {} }
+  transactions.forEach((tx) => {
+    if (!isCashFlow(tx) || tx.recurringId) return
+    const date = dayjs(tx.date)
+    if (date.isBefore(start) || !date.isBefore(end)) return
+    addToCategoryTotals(totals[tx.type], tx, toBase)
+  })
+  const perMonth = (map) => Object.fromEntries(Object.entries(map).map(([cat, sum]) => [cat, sum / AVERAGE_MONTHS]))
+  return { income: perMonth(totals.income), expense: perMonth(totals.expense) }
+}
+
+const sum = (map) => Object.values(map).reduce((acc, v) => acc + v, 0)
+
+/**
+ * Month-end projection for the rest of this month plus `months` more:
+ * `{ rows: [{ month, income, expense, net, balance }], low }` where `low` is the row with the
+ * lowest balance. The current month only counts what is still ahead (averages pro rata).
+ */
+export function buildForecast({ startBalance = 0, months, recurring = [], averages, planned = [], toBase, today = dayjs() }) {
+  const avgIncome = sum(averages.income)
+  const avgExpense = sum(averages.expense)
+  const rows = []
+  let balance = startBalance
+  for (let i = 0; i <= months; i += 1) {
+    const monthStart = today.add(i, 'month').startOf('month')
+    const from = i === 0 ? today.add(1, 'day').startOf('day') : monthStart
+    const to = monthStart.endOf('month')
+    const share = i === 0 ? (to.diff(from, 'day') + 1) / monthStart.daysInMonth() : 1
+    let income = avgIncome * share
+    let expense = avgExpense * share
+    recurring.forEach((rule) => {
+      if (rule.paused || !rule.nextRun || !isCashFlow(rule)) return
+      const count = occurrencesUntil(rule, to).filter((d) => !dayjs(d).isBefore(from)).length
+      const value = count * toBase({ amount: Number(rule.amount || 0), currency: rule.currency })
+      if (rule.type === 'income') income += value
+      else expense += value
+    })
+    planned.forEach((item) => {
+      const date = dayjs(item.date)
+      if (date.isBefore(from) || date.isAfter(to)) return
+      if (item.type === 'income') income += toBase(item)
+      else expense += toBase(item)
+    })
+    balance += income - expense
+    rows.push({ month: monthStart.format('YYYY-MM'), income, expense, net: income - expense, balance })
+  }
+  const low = rows.reduce((min, row) => (!min || row.balance < min.balance ? row : min), null)
+  return { rows, low }
+}
@@ -0,0 +1,79 @@
+import dayjs from 'dayjs'
+
+import { convertAmount } from './currency.js'
+import { accountDelta } from './accounts.js'
+import { amountForCategory } from './splits.js'
+
+// A goal lives in `households/{hid}/goals` as `{ name, targetAmount, deadline, startDate }` plus
+// either `category` (money spent into that category counts as saved, e.g. "Savings") or `accountId`
+// (the account's balance is what has been saved). Amounts are in the household currency.
+
+const DAYS_PER_MONTH = 30.44
+
+export function goalLink(goal) {
+  if (goal.accountId) return { kind: 'account', value: goal.accountId }
+  return { kind: 'category', value: goal.category || '' }
+}
+
+/** Contribution a transaction makes toward a goal, in base currency (negative for withdrawals). */
+function contribution(goal, tx, { account, ratesTable, baseCurrency, toBase }) {
+  if (goal.accountId) {
+    if (!account) return 0
+    const delta = accountDelta(tx, account, ratesTable, baseCurrency)
+    return convertAmount(delta, account.currency || baseCurrency, baseCurrency, ratesTable) ?? 0
+  }
+  if (tx.type !== 'expense' && tx.type !== 'income') return 0
+  const value = amountForCategory(tx, goal.category, toBase)
+  return tx.type === 'expense' ? value : -value
+}
+
+/**
+ * Progress toward `goal` as of `today`:
+ * `{ saved, remaining, pct, monthsLeft, requiredMonthly, pace, projected, onTrack }`.
+ * `pace` is the average saved per month since the goal started, `projected` the date the target
+ * is reached at that pace (null when the pace is not positive).
+ */
+export function goalProgress(goal, { transactions, accounts = [], ratesTable, baseCurrency, toBase, today = dayjs() }) {
+  const account = goal.accountId ? accounts.find((a) => a.id === goal.accountId) : null
+  const start = dayjs(goal.startDate || goal.createdAt || today)
+  const ctx = { account, ratesTable, baseCurrency, toBase }
+  let saved = 0
+  let sinceStart = 0
+  if (account) {
+    const opening = Number(account.openingBalance || 0)
+    saved = convertAmount(opening, account.currency || baseCurrency, baseCurrency, ratesTable) ?? 0
+  }
+  transactions.forEach((tx) => {
+    const value = contribution(goal, tx, ctx)
+    if (!value) return
+    const inWindow = !dayjs(tx.date).isBefore(start, 'day')
+    if (account || inWindow) saved += value
+    if (inWindow) sinceStart += value
+  })
+  const target = Number(goal.targetAmount || 0)
+  const remaining = Math.max(0, target - saved)
+  const deadline = goal.deadline ? dayjs(goal.deadline).endOf('day') : null
+  const monthsLeft = deadline ? Math.max(0, deadline.diff(today, 'day') / DAYS_PER_MONTH) : null
+  const elapsed = Math.max(1, today.diff(start, 'day')) / DAYS_PER_MONTH
+  const pace = sinceStart / Math.max(elapsed, 1)
+  const requiredMonthly = remaining === 0 ? 0 : monthsLeft == null ? null : remaining / Math.max(monthsLeft, 1)
+  const projected = remaining === 0 ? today : pace > 0 ? today.add(Math.ceil((remaining / pace) * DAYS_PER_MONTH), 'day') : null
+  return {
+    saved,
+    remaining,
+    pct: target > 0 ? Math.min(100, Math.max(0, (saved / target) * 100)) : 0,
+    monthsLeft,
+    requiredMonthly,
+    pace,
+    projected,
+    onTrack: remaining === 0 || Boolean(projected && (!deadline || !projected.isAfter(deadline))),
+  }
+}
+
+/** Earliest day a category goal among `goals` needs transactions from; null when there is none. Account goals use account balances instead. */
+export function goalsHistoryStart(goals) {
+  return goals.filter((goal) => !goal.accountId).reduce((earliest, goal) => {
+    const start = dayjs(goal.startDate || goal.createdAt)
+    return !earliest || start.isBefore(earliest) ? start : earliest
+  }, null)?.startOf('day') || null
+}
@@ -0,0 +1,148 @@
+import {
+  arrayRemove,
+  arrayUnion,
+  collection,
+  deleteDoc,
+  deleteField,
+  doc,
+  getDoc,
+  setDoc,
+  updateDoc,
+} from 'firebase/firestore'
+
+import { auth, db } from '../firebaseClient'
+
+export const ROLES = ['owner', 'editor', 'viewer']
+
+export const ROLE_LABELS = {
+  owner: 'Owner',
+  editor: 'Editor',
+  viewer: 'Viewer',
+}
+
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'
+const INVITE_TTL_DAYS = 7
+
+export function canEdit(role) {
+  return role === 'owner' || role === 'editor'
+}
+
+export function isOwner(role) {
+  return role === 'owner'
+}
+
+export function roleOf(household, uid) {
+  if (!household || !uid) return null
+  const role = household.members?.[uid]?.role
+  if (role) return role
+  // Households created before memberships existed are keyed by their owner's uid.
+  return household.id === uid ? 'owner' : null
+}
+
+/**
+ * The `createdBy` to write when a deleted document comes back. The Firestore rules let only owners
+ * write another member's uid, so anyone else's restore is credited to themselves.
+ */
+export function restoredAuthor(createdBy, role) {
+  const uid = auth.currentUser?.uid || null
+  return createdBy && (createdBy === uid || isOwner(role)) ? createdBy : uid
+}
+
+export function memberLabel(household, uid) {
+  const member = household?.members?.[uid]
+  return member?.name || member?.email || 'Member'
+}
+
+function memberEntry(user, role, extra = {}) {
+  return {
+    role,
+    name: user.displayName || '',
+    email: user.email || '',
+    joinedAt: new Date().toISOString(),
+    ...extra,
+  }
+}
+
+export function ownerFields(user) {
+  return {
+    ownerId: user.uid,
+    memberIds: [user.uid],
+    members: { [user.uid]: memberEntry(user, 'owner') },
+  }
+}
+
+/** Adds membership fields to a legacy `households/{uid}` document. */
+export async function ensureLegacyMembership(user) {
+  const ref = doc(db, 'households', user.uid)
+  const snap = await getDoc(ref)
+  if (!snap.exists() || Array.isArray(snap.data().memberIds)) return
+  await setDoc(ref, ownerFields(user), { merge: true })
+}
+
+export async function createHousehold(user, { name, currency = 'EUR', categories, totalBudget = 2000 }) {
+  const ref = doc(collection(db, 'households'))
+  await setDoc(ref, {
+    name: name || 'Household',
+    currency,
+    categories,
+    totalBudget,
+    ...ownerFields(user),
+  })
+  await setDoc(doc(db, 'households', ref.id, 'settings', 'budget'), {
+    totalBudget,
+    categoryBudgets: {},
+    currency,
+  })
+  return ref.id
+}
+
+function randomCode(length = 8) {
+  const bytes = new Uint8Array(length)
+  crypto.getRandomValues(bytes)
+  return Array.from(bytes, (b) => INVITE_ALPHABET[b % INVITE_ALPHABET.length]).join('')
+}
+
+export async function createInvite(householdId, role, user) {
+  if (!ROLES.includes(role) || role === 'owner') throw new Error('Invites can only grant editor or viewer access')
+  const code = randomCode()
+  const expiresAt = new Date(Date.now() + INVITE_TTL_DAYS * 24 * 60 * 60 * 1000)
+  await setDoc(doc(db, 'invites', code), {
+    householdId,
+    role,
+    createdBy: user.uid,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+  })
+  return { code, expiresAt }
+}
+
+export async function revokeInvite(code) {
+  await deleteDoc(doc(db, 'invites', code))
+}
+
+export async function redeemInvite(rawCode, user) {
+  const code = String(rawCode || '').trim().toUpperCase()
+  if (!code) throw new Error('Enter an invite code')
+  const snap = await getDoc(doc(db, 'invites', code))
+  if (!snap.exists()) throw new Error('Invite code not found')
+  const invite = snap.data()
+  const expiresAt = invite.expiresAt?.toDate?.() ?? new Date(invite.expiresAt)
+  if (expiresAt.getTime() < Date.now()) throw new Error('Invite code has expired')
+  await updateDoc(doc(db, 'households', invite.householdId), {
+    [`members.${user.uid}`]: memberEntry(user, invite.role, { invite: code }),
+    memberIds: arrayUnion(user.uid),
+  })
+  return invite.householdId
+}
+
+export async function setMemberRole(householdId, uid, role) {
+  if (!ROLES.includes(role)) throw new Error(`Unknown role "${role}"`)
+  await updateDoc(doc(db, 'households', householdId), { [`members.${uid}.role`]: role })
+}
+
+export async function removeMember(householdId, uid) {
+  await updateDoc(doc(db, 'households', householdId), {
+    [`members.${uid}`]: deleteField(),
+    memberIds: arrayRemove(uid),
+  })
+}
@@ -0,0 +1,60 @@
+import { parseStatementAmount, statementRow } from './statement.js'
+
+// ISO 20022 CAMT.053 bank-to-customer statements. Elements are matched by local name so every
+// schema version (camt.053.001.02 … .08) and namespace prefix works.
+
+function children(el, name) {
+  return Array.from(el?.children || []).filter((child) => child.localName === name)
+}
+
+/** First descendant along a `/`-separated path of local names, or null. */
+function find(el, path) {
+  return path.split('/').reduce((node, name) => (node ? children(node, name)[0] || null : null), el)
+}
+
+function text(el, path) {
+  return find(el, path)?.textContent?.trim() || ''
+}
+
+export const camtImporter = {
+  id: 'camt053',
+  label: 'CAMT.053 (ISO 20022)',
+  extensions: ['xml'],
+  detect: (content) => /<(?:\w+:)?BkToCstmrStmt[\s>]/.test(content),
+  parse(content, fallbackCurrency) {
+    const xml = new DOMParser().parseFromString(content, 'application/xml')
+    if (xml.getElementsByTagName('parsererror').length) throw new Error('Statement is not valid XML')
+    const rows = []
+    Array.from(xml.getElementsByTagNameNS('*', 'Stmt')).forEach((stmt) => {
+      const account = text(stmt, 'Acct/Id/IBAN') || text(stmt, 'Acct/Id/Othr/Id')
+      const stmtCurrency = text(stmt, 'Acct/Ccy') || fallbackCurrency
+      children(stmt, 'Ntry').forEach((entry, idx) => {
+        // Statuses other than booked (pending, information) are not final and would be re-sent.
+        const status = text(entry, 'Sts/Cd') || text(entry, 'Sts')
+        if (status && status !== 'BOOK') return
+        const amountEl = find(entry, 'Amt')
+        const sign = text(entry, 'CdtDbtInd') === 'DBIT' ? -1 : 1
+        const details = find(entry, 'NtryDtls/TxDtls')
+        const debit = sign < 0
+        const counterparty = text(details, debit ? 'RltdPties/Cdtr/Nm' : 'RltdPties/Dbtr/Nm')
+          || text(details, debit ? 'RltdPties/Cdtr/Pty/Nm' : 'RltdPties/Dbtr/Pty/Nm')
+        const remittance = children(find(details, 'RmtInf'), 'Ustrd').map((el) => el.textContent.trim()).join(' ')
+        const bankId = text(entry, 'AcctSvcrRef')
+          || text(details, 'Refs/AcctSvcrRef')
+          || text(entry, 'NtryRef')
+          || text(details, 'Refs/EndToEndId')
+          // No reference at all: the statement id plus position is still stable across re-imports.
+          || `${text(stmt, 'Id')}#${idx}`
+        rows.push(statementRow({
+          amount: sign * parseStatementAmount(amountEl?.textContent),
+          currency: amountEl?.getAttribute('Ccy') || stmtCurrency,
+          date: text(entry, 'BookgDt/Dt') || text(entry, 'BookgDt/DtTm') || text(entry, 'ValDt/Dt'),
+          note: [counterparty, remittance || text(entry, 'AddtlNtryInf')].filter(Boolean).join(' · '),
+          bankId,
+          account,
+        }))
+      })
+    })
+    return rows
+  },
+}
@@ -0,0 +1,52 @@
+import { collection, getDocs, query, where } from 'firebase/firestore'
+
+import { db } from '../../firebaseClient'
+import { camtImporter } from './camt.js'
+import { mt940Importer } from './mt940.js'
+import { ofxImporter } from './ofx.js'
+
+/**
+ * Bank statement importers. Each one is `{ id, label, extensions, detect(text), parse(text, currency) }`
+ * where `parse` returns import-preview rows carrying a `bankId`. Add a format by appending here.
+ */
+export const STATEMENT_IMPORTERS = [ofxImporter, camtImporter, mt940Importer]
+
+export const STATEMENT_ACCEPT = STATEMENT_IMPORTERS.flatMap((imp) => imp.extensions.map((ext) => `.${ext}`)).join(',')
+
+/** Picks an importer by content first, then by file extension; null means "treat as CSV". */
+export function detectImporter(text, fileName = '') {
+  const byContent = STATEMENT_IMPORTERS.find((imp) => imp.detect(text))
+  if (byContent) return byContent
+  const ext = fileName.split('.').pop().toLowerCase()
+  return STATEMENT_IMPORTERS.find((imp) => imp.id !== 'mt940' && imp.extensions.includes(ext)) || null
+}
+
+/**
+ * Firestore id for an imported transaction. Deterministic, so importing the same statement line
+ * twice targets the same document (same idea as recurring occurrence ids).
+ */
+export function importedTransactionId(bankId) {
+  const raw = String(bankId)
+  // FNV-1a keeps ids distinct when sanitising maps different references to the same text.
+  let hash = 0x811c9dc5
+  for (let i = 0; i < raw.length; i += 1) {
+    hash ^= raw.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193) >>> 0
+  }
+  return `bank_${raw.replace(/[^A-Za-z0-9_-]/g, '_').slice(0, 120)}_${hash.toString(36)}`
+}
+
+// Firestore caps `in` filters at 30 values.
+const IN_LIMIT = 30
+
+/** Resolves with the subset of `bankIds` already stored on a transaction in the household. */
+export async function findImportedBankIds(householdId, bankIds) {
+  const unique = Array.from(new Set(bankIds.filter(Boolean)))
+  const found = new Set()
+  for (let i = 0; i < unique.length; i += IN_LIMIT) {
+    const qRef = query(collection(db, 'households', householdId, 'transactions'), where('bankId', 'in', unique.slice(i, i + IN_LIMIT)))
+    const snap = await getDocs(qRef)
+    snap.forEach((docSnap) => found.add(docSnap.data().bankId))
+  }
+  return found
+}
@@ -0,0 +1,80 @@
+import dayjs from 'dayjs'
+
+import { parseStatementAmount, statementRow } from './statement.js'
+
+// SWIFT MT940. Each `:61:` statement line may be followed by a `:86:` information block that
+// belongs to it; continuation lines (not starting with a tag) extend the previous field.
+
+const LINE_61 = /^(\d{6})(\d{4})?(RC|RD|C|D)([A-Z])?(\d+,\d*)([NSF][A-Z0-9]{3})([^/\n]*?)(?:\/\/([^\n]*))?(?:\n([\s\S]*))?$/
+
+function fields(content) {
+  const list = []
+  content.replace(/\r\n?/g, '\n').split('\n').forEach((line) => {
+    const tag = line.match(/^:(\d{2}[A-Z]?):(.*)$/)
+    if (tag) list.push({ tag: tag[1], value: tag[2] })
+    else if (list.length && line.trim() && !/^-\}?$/.test(line.trim())) list[list.length - 1].value += `\n${line}`
+  })
+  return list
+}
+
+function parseDate(yymmdd) {
+  return dayjs(`20${yymmdd.slice(0, 2)}-${yymmdd.slice(2, 4)}-${yymmdd.slice(4, 6)}`)
+}
+
+/** `:86:` is often structured as `?20…?21…` subfields (German banks); join their text. */
+function information(raw) {
+  const value = (raw || '').replace(/\n/g, '')
+  if (!value.includes('?')) return value
+  return value.split(/\?\d{2}/).slice(1).filter(Boolean).join(' ')
+}
+
+export const mt940Importer = {
+  id: 'mt940',
+  label: 'MT940',
+  extensions: ['sta', 'mt940', '940', 'txt'],
+  detect: (content) => /(^|\n):20:/.test(content) && /(^|\n):61:/.test(content),
+  parse(content, fallbackCurrency) {
+    const rows = []
+    let account = ''
+    let reference = ''
+    let currency = fallbackCurrency
+    let index = 0
+    let last = null
+    fields(content).forEach(({ tag, value }) => {
+      if (tag === '20') {
+        reference = value.trim()
+        index = 0
+      } else if (tag === '25') {
+        account = value.trim()
+      } else if (tag === '60F' || tag === '60M') {
+        currency = value.trim().slice(7, 10) || currency
+      } else if (tag === '61') {
+        const match = value.match(LINE_61)
+        if (!match) {
+          rows.push(statementRow({ amount: NaN, currency, date: null, note: value, bankId: null, account }))
+          last = null
+          return
+        }
+        const [, valueDate, , mark, , amount, , customerRef, bankRef, supplementary] = match
+        const sign = mark === 'D' || mark === 'RC' ? -1 : 1
+        const ownRef = customerRef?.trim()
+        const ref = bankRef?.trim() || (ownRef && ownRef !== 'NONREF' ? `${valueDate}:${amount}:${ownRef}` : '')
+        last = statementRow({
+          amount: sign * parseStatementAmount(amount),
+          currency,
+          date: parseDate(valueDate),
+          note: (supplementary || '').trim(),
+          // Fall back to statement reference + position, which a re-sent statement repeats.
+          bankId: ref || `${reference}#${index}`,
+          account,
+        })
+        index += 1
+        rows.push(last)
+      } else if (tag === '86' && last) {
+        last.note = [information(value), last.note].filter(Boolean).join(' · ').replace(/\s+/g, ' ').trim()
+        last = null
+      }
+    })
+    return rows
+  },
+}
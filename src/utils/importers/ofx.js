@@ -0,0 +1,47 @@
+import dayjs from 'dayjs'
+
+import { parseStatementAmount, statementRow } from './statement.js'
+
+// OFX 1.x is SGML where leaf elements are often left unclosed, so fields are read with a
+// tolerant regex rather than an XML parser. QFX is OFX with extra Intuit tags and parses the same.
+
+function field(block, tag) {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'))
+  return match ? match[1].trim().replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&') : ''
+}
+
+function parseOfxDate(raw) {
+  const match = String(raw).match(/^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?/)
+  if (!match) return null
+  const [, y, m, d, hh = '00', mm = '00', ss = '00'] = match
+  return dayjs(`${y}-${m}-${d}T${hh}:${mm}:${ss}`)
+}
+
+export const ofxImporter = {
+  id: 'ofx',
+  label: 'OFX / QFX',
+  extensions: ['ofx', 'qfx'],
+  detect: (text) => /<OFX>/i.test(text) || /OFXHEADER/i.test(text),
+  parse(text, fallbackCurrency) {
+    const rows = []
+    const statements = text.match(/<(?:STMTRS|CCSTMTRS)>[\s\S]*?<\/(?:STMTRS|CCSTMTRS)>/gi) || [text]
+    statements.forEach((stmt) => {
+      const currency = field(stmt, 'CURDEF').toUpperCase() || fallbackCurrency
+      const account = field(stmt, 'ACCTID')
+      const blocks = stmt.match(/<STMTTRN>[\s\S]*?(?:<\/STMTTRN>|(?=<STMTTRN>)|(?=<\/BANKTRANLIST>))/gi) || []
+      blocks.forEach((block) => {
+        const name = field(block, 'NAME')
+        const memo = field(block, 'MEMO')
+        rows.push(statementRow({
+          amount: parseStatementAmount(field(block, 'TRNAMT')),
+          currency: field(block, 'CURSYM').toUpperCase() || currency,
+          date: parseOfxDate(field(block, 'DTPOSTED')),
+          note: [name, memo && memo !== name ? memo : ''].filter(Boolean).join(' · '),
+          bankId: field(block, 'FITID'),
+          account,
+        }))
+      })
+    })
+    return rows
+  },
+}
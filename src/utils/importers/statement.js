@@ -0,0 +1,33 @@
+import dayjs from 'dayjs'
+
+/**
+ * Builds an import-preview row from one signed statement line. Negative amounts are money leaving
+ * the account. `bankId` is the bank's own transaction reference, prefixed with the account so two
+ * accounts reusing the same reference never collide.
+ */
+export function statementRow({ amount, currency, date, note, bankId, account }) {
+  const value = Number(amount)
+  const parsed = dayjs(date)
+  return {
+    type: value < 0 ? 'expense' : 'income',
+    amount: Math.abs(value),
+    currency,
+    category: 'Other',
+    date: parsed.isValid() ? parsed.toISOString() : null,
+    note: (note || '').replace(/\s+/g, ' ').trim(),
+    bankId: bankId ? `${account || 'acct'}:${bankId}` : null,
+    valid: Number.isFinite(value) && value !== 0 && parsed.isValid() && Boolean(bankId),
+  }
+}
+
+/**
+ * Parses "1234,56" / "1.234,56" / "1,234.56" / "-12.50" into a number. When both separators
+ * appear, the last one is the decimal separator; one that repeats ("1.234.567") groups thousands.
+ */
+export function parseStatementAmount(raw) {
+  let v = String(raw ?? '').trim().replace(/\s/g, '')
+  const decimal = v[Math.max(v.lastIndexOf(','), v.lastIndexOf('.'))]
+  if (v.includes(',') && v.includes('.')) v = v.replace(decimal === ',' ? /\./g : /,/g, '')
+  else if (decimal && v.split(decimal).length > 2) v = v.split(decimal).join('')
+  return Number(v.replace(',', '.'))
+}
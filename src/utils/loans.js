@@ -0,0 +1,143 @@
+import dayjs from 'dayjs'
+import { collection, doc, getDoc, getDocs, query, where } from 'firebase/firestore'
+
+import { db } from '../firebaseClient'
+import { commitInChunks } from './batch.js'
+
+// A loan lives in `households/{hid}/loans` as
+// `{ name, principal, annualRate, termMonths, payment?, paymentDay, startDate }`; `payment` is set
+// for revolving debt such as a credit card, otherwise the annuity payment follows from the term.
+// Repayments are ordinary expense transactions carrying `loan: { id, principal, interest }`, so the
+// outstanding balance is the principal minus every linked repayment's principal part.
+
+export const MAX_SCHEDULE_MONTHS = 600
+
+const round = (value) => Math.round(value * 100) / 100
+
+function monthlyRate(loan) {
+  return Number(loan.annualRate || 0) / 100 / 12
+}
+
+/** Fixed monthly payment that clears `principal` over `termMonths` at `annualRate` percent. */
+export function annuityPayment(principal, annualRate, termMonths) {
+  const rate = Number(annualRate || 0) / 100 / 12
+  const n = Number(termMonths || 0)
+  if (!(principal > 0) || !(n > 0)) return 0
+  if (!rate) return round(principal / n)
+  return round((principal * rate) / (1 - (1 + rate) ** -n))
+}
+
+export function loanPayment(loan) {
+  return Number(loan.payment) > 0 ? Number(loan.payment) : annuityPayment(Number(loan.principal), loan.annualRate, loan.termMonths)
+}
+
+/** The payment date for the month of `date`, clamped to short months. */
+function paymentDate(loan, date) {
+  const month = dayjs(date).startOf('month')
+  return month.date(Math.min(Number(loan.paymentDay) || 1, month.daysInMonth()))
+}
+
+/** Splits a repayment of `amount` against `balance` into interest (one month's worth) and principal. */
+export function splitRepayment(loan, balance, amount) {
+  const interest = round(Math.min(Math.max(balance, 0) * monthlyRate(loan), amount))
+  const principal = round(Math.min(amount - interest, Math.max(balance, 0)))
+  return { principal, interest: round(amount - principal) }
+}
+
+/** Repayments of `loan` among `transactions`, oldest first. */
+export function loanRepayments(loan, transactions) {
+  return transactions
+    .filter((tx) => tx.loan?.id === loan.id)
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+}
+
+export function outstandingBalance(loan, repayments) {
+  return round(Math.max(0, repayments.reduce((balance, tx) => balance - Number(tx.loan?.principal || 0), Number(loan.principal || 0))))
+}
+
+/**
+ * Month-by-month schedule from `balance`, first payment on or after `from`:
+ * `[{ n, date, payment, interest, principal, balance }]`. `extra` is added to every payment.
+ */
+export function amortizationSchedule(loan, { balance = Number(loan.principal || 0), from = loan.startDate, extra = 0 } = {}) {
+  const rows = []
+  const payment = loanPayment(loan) + Math.max(0, Number(extra) || 0)
+  let remaining = balance
+  let date = paymentDate(loan, from)
+  if (date.isBefore(dayjs(from), 'day')) date = paymentDate(loan, dayjs(from).add(1, 'month'))
+  for (let n = 1; remaining > 0.005 && n <= MAX_SCHEDULE_MONTHS; n += 1) {
+    const interest = round(remaining * monthlyRate(loan))
+    // A payment that does not even cover the interest never pays the loan off.
+    if (payment <= interest) break
+    const principal = round(Math.min(payment - interest, remaining))
+    remaining = round(remaining - principal)
+    rows.push({ n, date, payment: round(principal + interest), interest, principal, balance: remaining })
+    date = paymentDate(loan, date.add(1, 'month'))
+  }
+  return rows
+}
+
+/**
+ * Where the loan stands today and where it is heading:
+ * `{ balance, paidPrincipal, paidInterest, payment, schedule, payoff, remainingInterest }`.
+ * `payoff` is null when the payment cannot clear the balance.
+ */
+export function loanSummary(loan, repayments, { extra = 0, today = dayjs() } = {}) {
+  const balance = outstandingBalance(loan, repayments)
+  const last = repayments[repayments.length - 1]
+  // Project from the month after the latest repayment, or from the loan start if that is later.
+  const after = last ? dayjs(last.date).add(1, 'month').startOf('month') : dayjs(loan.startDate)
+  const from = after.isAfter(today) ? after : today
+  const schedule = amortizationSchedule(loan, { balance, from, extra })
+  const cleared = balance <= 0.005 || schedule[schedule.length - 1]?.balance <= 0.005
+  return {
+    balance,
+    paidPrincipal: round(repayments.reduce((sum, tx) => sum + Number(tx.loan?.principal || 0), 0)),
+    paidInterest: round(repayments.reduce((sum, tx) => sum + Number(tx.loan?.interest || 0), 0)),
+    payment: loanPayment(loan) + Math.max(0, Number(extra) || 0),
+    schedule,
+    payoff: balance <= 0.005 ? today : cleared ? schedule[schedule.length - 1].date : null,
+    remainingInterest: round(schedule.reduce((sum, row) => sum + row.interest, 0)),
+  }
+}
+
+/**
+ * Replays every repayment of `loan` oldest first from the full principal, so an edited or
+ * back-dated payment also moves the split of each later one. Returns the repayments whose stored
+ * split changes, as `[{ tx, loan: { id, principal, interest } }]`. Amounts go through `toBase` when given.
+ */
+export function replayRepayments(loan, repayments, toBase) {
+  let balance = Number(loan.principal || 0)
+  return [...repayments]
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+    .map((tx) => {
+      const split = splitRepayment(loan, balance, toBase ? toBase(tx) : Number(tx.amount || 0))
+      balance = round(balance - split.principal)
+      return { tx, loan: { id: loan.id, ...split } }
+    })
+    .filter(({ tx, loan: fields }) => tx.loan?.principal !== fields.principal || tx.loan?.interest !== fields.interest)
+}
+
+/**
+ * Loan fields for linking `transactions` as repayments alongside the `repayments` already linked.
+ * Includes earlier links whose split moves because a new payment is older than they are.
+ */
+export function linkRepayments(loan, repayments, transactions, toBase) {
+  return replayRepayments(loan, [...repayments, ...transactions.map((tx) => ({ ...tx, loan: null }))], toBase)
+}
+
+/** Ids of the loans that `transactions` repay, each once. */
+export function linkedLoanIds(transactions) {
+  return Array.from(new Set(transactions.map((tx) => tx.loan?.id).filter(Boolean)))
+}
+
+/** Loads a loan and its repayments and rewrites the splits that `replayRepayments` changes. */
+export async function replayLoan(householdId, loanId, toBase) {
+  const loanSnap = await getDoc(doc(db, 'households', householdId, 'loans', loanId))
+  if (!loanSnap.exists()) return 0
+  const snap = await getDocs(query(collection(db, 'households', householdId, 'transactions'), where('loan.id', '==', loanId)))
+  const repayments = snap.docs.map((docSnap) => ({ id: docSnap.id, ...docSnap.data() }))
+  const changes = replayRepayments({ id: loanId, ...loanSnap.data() }, repayments, toBase)
+  await commitInChunks(changes, (batch, { tx, loan }) => batch.update(doc(db, 'households', householdId, 'transactions', tx.id), { loan }))
+  return changes.length
+}
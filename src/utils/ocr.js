@@ -0,0 +1,54 @@
+import { createWorker, OEM } from 'tesseract.js'
+import workerUrl from 'tesseract.js/dist/worker.min.js?url'
+import coreUrl from 'tesseract.js-core/tesseract-core-simd-lstm.wasm.js?url'
+import englishUrl from '@tesseract.js-data/eng/4.0.0_best_int/eng.traineddata.gz?url'
+
+import { parseReceiptText } from './receipts.js'
+
+// Receipt OCR runs entirely in the browser: the Tesseract worker, its WASM core and the English
+// model are bundled assets served by the app, so no image or text ever leaves the device.
+// Loaded on demand from the New tab; nothing here is in the main bundle.
+
+let workerPromise = null
+let progressListener = null
+
+async function getWorker() {
+  if (!workerPromise) {
+    workerPromise = (async () => {
+      const response = await fetch(englishUrl)
+      if (!response.ok) throw new Error('Could not load the OCR model')
+      const data = new Uint8Array(await response.arrayBuffer())
+      return createWorker([{ code: 'eng', data }], OEM.LSTM_ONLY, {
+        workerPath: workerUrl,
+        corePath: coreUrl,
+        // A blob worker could not resolve the bundled paths.
+        workerBlobURL: false,
+        // The model is passed in directly, so Tesseract's own IndexedDB cache would only duplicate it.
+        cacheMethod: 'none',
+        logger: (message) => progressListener?.(message),
+      })
+    })().catch((err) => {
+      workerPromise = null
+      throw err
+    })
+  }
+  return workerPromise
+}
+
+/**
+ * Reads a receipt photo and returns `{ amount, date, merchant, currency }` as parsed by
+ * `parseReceiptText`. `onProgress(fraction)` follows model loading and recognition.
+ */
+export async function scanReceipt(image, { currencies, onProgress } = {}) {
+  progressListener = (message) => {
+    if (typeof message.progress === 'number') onProgress?.(message.status === 'recognizing text' ? 0.3 + message.progress * 0.7 : message.progress * 0.3)
+  }
+  try {
+    const worker = await getWorker()
+    const { data } = await worker.recognize(image, {}, { text: true, blocks: true })
+    const lines = (data.blocks || []).flatMap((block) => block.paragraphs.flatMap((paragraph) => paragraph.lines))
+    return parseReceiptText(lines.length ? lines : data.text.split('\n').map((text) => ({ text, confidence: data.confidence })), { currencies })
+  } finally {
+    progressListener = null
+  }
+}
@@ -0,0 +1,109 @@
+import dayjs from 'dayjs'
+
+// A range is described by `{ preset, month?, start?, end? }` and resolved to concrete dayjs bounds
+// on demand, so "year to date" or "this fiscal year" stay current without being re-saved.
+
+export const RANGE_PRESETS = {
+  month: 'Month',
+  last6: 'Last 6 months',
+  quarter: 'Quarter',
+  ytd: 'Year to date',
+  fiscal: 'Fiscal year',
+  all: 'All time',
+  custom: 'Custom',
+}
+
+export const COMPARE_MODES = {
+  off: 'No comparison',
+  previous: 'Previous period',
+  lastYear: 'Same period last year',
+}
+
+// Transactions never predate this; used as the lower bound for "all time" queries.
+const EPOCH = dayjs('2000-01-01')
+
+function fiscalStart(date, startMonth) {
+  const month = Math.min(12, Math.max(1, Number(startMonth) || 1)) - 1
+  const candidate = date.month(month).startOf('month')
+  return candidate.isAfter(date) ? candidate.subtract(1, 'year') : candidate
+}
+
+/**
+ * Concrete bounds for a range spec: `{ start, end, label, unit }`. `unit` (month, quarter, year or
+ * null) tells `comparisonRange` how to step back; `month` anchors month and quarter presets.
+ */
+export function resolveRange(spec, { fiscalStartMonth = 1, today = dayjs() } = {}) {
+  const anchor = spec.month ? dayjs(`${spec.month}-01`) : today
+  switch (spec.preset) {
+    case 'last6':
+      return { start: today.subtract(5, 'month').startOf('month'), end: today.endOf('month'), label: 'Last 6 months', unit: null }
+    case 'quarter': {
+      const start = anchor.month(Math.floor(anchor.month() / 3) * 3).startOf('month')
+      return { start, end: start.add(2, 'month').endOf('month'), label: `Q${Math.floor(start.month() / 3) + 1} ${start.year()}`, unit: 'quarter' }
+    }
+    case 'ytd':
+      return { start: today.startOf('year'), end: today.endOf('day'), label: `${today.year()} to date`, unit: null }
+    case 'fiscal': {
+      const start = fiscalStart(anchor, fiscalStartMonth)
+      const end = start.add(1, 'year').subtract(1, 'day').endOf('day')
+      const label = start.month() === 0 ? `FY ${start.year()}` : `FY ${start.year()}/${String(end.year()).slice(2)}`
+      return { start, end, label, unit: 'year' }
+    }
+    case 'all':
+      return { start: EPOCH, end: today.add(10, 'year').endOf('year'), label: 'All time', unit: null }
+    case 'custom': {
+      const start = dayjs(spec.start || today).startOf('day')
+      const end = dayjs(spec.end || today).endOf('day')
+      const [from, to] = end.isBefore(start) ? [end.startOf('day'), start.endOf('day')] : [start, end]
+      return { start: from, end: to, label: `${from.format('MMM D, YYYY')} – ${to.format('MMM D, YYYY')}`, unit: null }
+    }
+    default: {
+      const start = anchor.startOf('month')
+      return { start, end: start.endOf('month'), label: start.format('MMMM YYYY'), unit: 'month' }
+    }
+  }
+}
+
+/** ISO bounds for a Firestore `date` range query. */
+export function rangeISO(range) {
+  return { start: range.start.toISOString(), end: range.end.toISOString() }
+}
+
+/**
+ * The range to compare `range` with: the same span a year earlier, or the one just before it
+ * (the previous month, quarter or fiscal year; for other ranges the same number of days before).
+ * Null for "all time".
+ */
+export function comparisonRange(spec, range, mode, today = dayjs()) {
+  if (mode === 'off' || spec.preset === 'all') return null
+  // Partial periods (this month so far, year to date) compare against the same number of days.
+  const end = range.end.isAfter(today) ? today.endOf('day') : range.end
+  if (mode === 'lastYear') {
+    return { start: range.start.subtract(1, 'year'), end: end.subtract(1, 'year'), label: `${range.label} last year` }
+  }
+  if (range.unit === 'month' || range.unit === 'quarter' || range.unit === 'year') {
+    const step = range.unit === 'quarter' ? [3, 'month'] : [1, range.unit]
+    const start = range.start.subtract(...step)
+    const fullEnd = range.start.subtract(1, 'day').endOf('day')
+    const partialEnd = start.add(end.diff(range.start, 'day'), 'day').endOf('day')
+    return { start, end: partialEnd.isBefore(fullEnd) ? partialEnd : fullEnd, label: `the previous ${range.unit}` }
+  }
+  const days = end.startOf('day').diff(range.start, 'day') + 1
+  return { start: range.start.subtract(days, 'day'), end: range.start.subtract(1, 'day').endOf('day'), label: `the previous ${days} days` }
+}
+
+/**
+ * Per-category change between two `{ category: total }` maps, largest absolute change first:
+ * `[{ category, current, previous, delta, pct }]`. `pct` is null when there was nothing before.
+ */
+export function categoryDeltas(current, previous) {
+  const names = Array.from(new Set([...Object.keys(current), ...Object.keys(previous)]))
+  return names
+    .map((category) => {
+      const now = current[category] || 0
+      const before = previous[category] || 0
+      return { category, current: now, previous: before, delta: now - before, pct: before ? ((now - before) / before) * 100 : null }
+    })
+    .filter((row) => Math.abs(row.delta) >= 0.005 || row.current)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+}
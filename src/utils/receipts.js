@@ -0,0 +1,122 @@
+import dayjs from 'dayjs'
+import customParseFormat from 'dayjs/plugin/customParseFormat'
+
+import { normalizeAmountString } from './format.js'
+import { parseCsvDate } from './csv.js'
+
+dayjs.extend(customParseFormat)
+
+// Turns OCR output from a receipt photo into form fields. Every field comes back as
+// `{ value, confidence }` (confidence 0–1) or null when nothing plausible was found, so the form
+// can ask for a second look at the shaky ones.
+
+export const LOW_CONFIDENCE = 0.6
+
+const TOTAL_WORDS = /\b(total|grand total|amount due|balance due|to pay|amount|summe|gesamt|betrag|zu zahlen|totale|montant|importe|totaal)\b/i
+const NOT_TOTAL_WORDS = /\b(sub\s?total|subtotal|zwischensumme|tax|vat|mwst|tip|change|tendered|rückgeld|discount|savings)\b/i
+const AMOUNT = /-?\d{1,3}(?:[.,'\s]\d{3})*[.,]\d{2}(?!\d)|-?\d+[.,]\d{2}(?!\d)/g
+const NUMERIC_DATE = /\b(\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{2,4})\b/
+const WORDY_DATE = /\b(\d{1,2}\s+[A-Za-z]{3,9}\.?\s+\d{4}|[A-Za-z]{3,9}\.?\s+\d{1,2},?\s+\d{4})\b/
+const TIME = /\b([01]?\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?\b/
+const NOT_MERCHANT_WORDS = /\b(receipt|invoice|rechnung|quittung|tel|phone|fax|www|http|vat|tax|date|time|cashier|table|order)\b/i
+
+const CURRENCY_SYMBOLS = { '€': 'EUR', '£': 'GBP', '$': 'USD', '¥': 'JPY', '₹': 'INR', '₺': 'TRY', 'zł': 'PLN', 'kr': 'SEK', 'Fr.': 'CHF' }
+
+/** "1.234,56", "1,234.56" or "12.50" as a plain decimal string for the amount field. */
+export function receiptAmount(text) {
+  const trimmed = text.replace(/[\s']/g, '')
+  const decimal = trimmed[trimmed.length - 3]
+  const digits = trimmed.slice(0, -3).replace(/[.,]/g, '')
+  return normalizeAmountString(`${digits}${decimal === ',' || decimal === '.' ? '.' : ''}${trimmed.slice(-2)}`)
+}
+
+const wordConfidence = (line) => (Number.isFinite(line.confidence) ? Math.max(0, Math.min(1, line.confidence / 100)) : 0.5)
+
+function findTotal(lines) {
+  // The last "total" line wins: receipts list subtotals and taxes above the amount actually paid.
+  for (let i = lines.length - 1; i >= 0; i -= 1) {
+    const line = lines[i]
+    if (!TOTAL_WORDS.test(line.text) || NOT_TOTAL_WORDS.test(line.text)) continue
+    // The amount is usually on the same line, sometimes on the next one.
+    const own = line.text.match(AMOUNT)
+    const next = !own && lines[i + 1]?.text.match(AMOUNT)
+    const found = own || next
+    if (found) return { value: receiptAmount(found[found.length - 1]), confidence: wordConfidence(own ? line : lines[i + 1]) }
+  }
+  // No labelled total: the largest amount on the receipt is the best guess, but only a guess.
+  const amounts = lines.flatMap((line) => (line.text.match(AMOUNT) || []).map((text) => ({ value: receiptAmount(text), line })))
+  const largest = amounts.reduce((best, item) => (!best || Number(item.value) > Number(best.value) ? item : best), null)
+  return largest ? { value: largest.value, confidence: Math.min(0.5, wordConfidence(largest.line)) } : null
+}
+
+/** Reads a numeric date day first, falling back to month first when that is the only sensible reading. */
+function numericDate(raw, today) {
+  const parts = raw.split(/[-/.]/).map((part) => part.padStart(2, '0'))
+  const slashed = parts.join('/')
+  if (parts[0].length === 4) return { iso: parseCsvDate(slashed, 'YYYY/MM/DD'), ambiguous: false }
+  const year = parts[2].length === 2 ? 'YY' : 'YYYY'
+  const future = (iso) => dayjs(iso).isAfter(today.endOf('day'))
+  const dayFirst = parseCsvDate(slashed, `DD/MM/${year}`)
+  const monthFirst = parseCsvDate(slashed, `MM/DD/${year}`)
+  if (dayFirst && !future(dayFirst)) return { iso: dayFirst, ambiguous: Boolean(monthFirst && !future(monthFirst) && monthFirst !== dayFirst) }
+  return { iso: monthFirst || dayFirst, ambiguous: false }
+}
+
+function wordyDate(raw) {
+  // Strict parsing wants "5 Jan 2026" / "Jan 5 2026": no padding, commas or shouting.
+  const text = raw.replace(/[.,]/g, '').replace(/\b0(\d)\b/, '$1').toLowerCase().replace(/\b\p{L}/gu, (c) => c.toUpperCase())
+  return ['D MMM YYYY', 'D MMMM YYYY', 'MMM D YYYY', 'MMMM D YYYY'].map((fmt) => parseCsvDate(text, fmt)).find(Boolean) || null
+}
+
+function findDate(lines, today) {
+  for (const line of lines) {
+    const numeric = line.text.match(NUMERIC_DATE)
+    const wordy = !numeric && line.text.match(WORDY_DATE)
+    if (!numeric && !wordy) continue
+    const { iso, ambiguous } = numeric ? numericDate(numeric[1], today) : { iso: wordyDate(wordy[1]), ambiguous: false }
+    if (!iso) continue
+    const time = line.text.match(TIME) || lines.map((l) => l.text.match(TIME)).find(Boolean)
+    const date = time ? dayjs(iso).hour(Number(time[1])).minute(Number(time[2])) : dayjs(iso).hour(12).minute(0)
+    // 03/04 could be either month; future or very old dates are more likely misreads.
+    const unlikely = date.isAfter(today.endOf('day')) || date.isBefore(today.subtract(2, 'year'))
+    const confidence = wordConfidence(line) * (ambiguous ? 0.6 : 1) * (unlikely ? 0.5 : 1)
+    return { value: date.format('YYYY-MM-DDTHH:mm'), confidence }
+  }
+  return null
+}
+
+function findMerchant(lines) {
+  // The shop name is normally printed first; skip headers like "RECEIPT" and lines that are mostly digits.
+  const candidate = lines.slice(0, 5).find((line) => {
+    const letters = (line.text.match(/\p{L}/gu) || []).length
+    return letters >= 3 && letters / line.text.replace(/\s/g, '').length >= 0.6 && !NOT_MERCHANT_WORDS.test(line.text)
+  })
+  if (!candidate) return null
+  const value = candidate.text.replace(/[^\p{L}\p{N}&'.\- ]/gu, ' ').replace(/\s+/g, ' ').trim()
+  const name = value === value.toUpperCase() ? value.toLowerCase().replace(/(^|\s)\p{L}/gu, (c) => c.toUpperCase()) : value
+  return name ? { value: name, confidence: wordConfidence(candidate) } : null
+}
+
+function findCurrency(text, currencies) {
+  const code = text.match(new RegExp(`\\b(${currencies.join('|')})\\b`))
+  if (code) return { value: code[1], confidence: 0.9 }
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find((sym) => text.includes(sym))
+  if (!symbol || !currencies.includes(CURRENCY_SYMBOLS[symbol])) return null
+  // "$" and "kr" are shared by several currencies.
+  return { value: CURRENCY_SYMBOLS[symbol], confidence: symbol === '$' || symbol === 'kr' ? 0.4 : 0.8 }
+}
+
+/**
+ * Extracts `{ amount, date, merchant, currency }` from OCR lines (`[{ text, confidence }]`,
+ * confidence 0–100 as Tesseract reports it). `amount` is a decimal string and `date` is in the
+ * form's `YYYY-MM-DDTHH:mm` format.
+ */
+export function parseReceiptText(lines, { currencies = [], today = dayjs() } = {}) {
+  const clean = lines.map((line) => ({ ...line, text: String(line.text || '').trim() })).filter((line) => line.text)
+  return {
+    amount: findTotal(clean),
+    date: findDate(clean, today),
+    merchant: findMerchant(clean),
+    currency: findCurrency(clean.map((line) => line.text).join('\n'), currencies),
+  }
+}
@@ -0,0 +1,163 @@
+import dayjs from 'dayjs'
+import { collection, doc, getDocs, runTransaction } from 'firebase/firestore'
+
+import { db } from '../firebaseClient'
+
+export const FREQUENCIES = {
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  yearly: 'Yearly',
+  lastBusinessDay: 'Last business day',
+}
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday']
+
+// Safety net so a corrupt rule can never spin forever.
+const MAX_OCCURRENCES = 1000
+
+function clampDay(month, day) {
+  return month.date(Math.min(day, month.daysInMonth()))
+}
+
+function lastBusinessDayOf(month) {
+  let d = month.endOf('month').startOf('day')
+  while (d.day() === 0 || d.day() === 6) d = d.subtract(1, 'day')
+  return d
+}
+
+/** First date on or after `from` that matches the schedule. */
+export function occurrenceOnOrAfter(schedule, from) {
+  const start = dayjs(from).startOf('day')
+  switch (schedule?.frequency) {
+    case 'weekly': {
+      const weekday = Number(schedule.weekday ?? 1)
+      return start.add((weekday - start.day() + 7) % 7, 'day')
+    }
+    case 'monthly': {
+      const day = Number(schedule.dayOfMonth || 1)
+      const candidate = clampDay(start.startOf('month'), day)
+      return candidate.isBefore(start) ? clampDay(start.add(1, 'month').startOf('month'), day) : candidate
+    }
+    case 'yearly': {
+      const month = Number(schedule.month || 1) - 1
+      const day = Number(schedule.dayOfMonth || 1)
+      const candidate = clampDay(start.month(month).startOf('month'), day)
+      return candidate.isBefore(start) ? clampDay(start.add(1, 'year').month(month).startOf('month'), day) : candidate
+    }
+    case 'lastBusinessDay': {
+      const candidate = lastBusinessDayOf(start)
+      return candidate.isBefore(start) ? lastBusinessDayOf(start.add(1, 'month')) : candidate
+    }
+    default:
+      throw new Error(`Unknown frequency "${schedule?.frequency}"`)
+  }
+}
+
+export function occurrenceAfter(schedule, date) {
+  return occurrenceOnOrAfter(schedule, dayjs(date).add(1, 'day'))
+}
+
+/** Occurrences of a rule from its `nextRun` up to and including `until`, as YYYY-MM-DD strings. */
+export function occurrencesUntil(rule, until) {
+  const end = dayjs(until).endOf('day')
+  const dates = []
+  let cursor = dayjs(rule.nextRun)
+  while (cursor.isValid() && !cursor.isAfter(end) && dates.length < MAX_OCCURRENCES) {
+    dates.push(cursor.format('YYYY-MM-DD'))
+    cursor = occurrenceAfter(rule.schedule, cursor)
+  }
+  return dates
+}
+
+export function describeSchedule(schedule) {
+  switch (schedule?.frequency) {
+    case 'weekly': return `Every ${WEEKDAYS[Number(schedule.weekday ?? 1)]}`
+    case 'monthly': return `Monthly on day ${schedule.dayOfMonth}`
+    case 'yearly': return `Yearly on ${dayjs().month(Number(schedule.month || 1) - 1).date(Number(schedule.dayOfMonth || 1)).format('MMM D')}`
+    case 'lastBusinessDay': return 'Last business day of the month'
+    default: return 'Unknown schedule'
+  }
+}
+
+// Deterministic ids make materialization idempotent across devices and retries.
+export function occurrenceId(ruleId, isoDate) {
+  return `${ruleId}_${isoDate.replace(/-/g, '')}`
+}
+
+// Occurrences written per transaction, well below Firestore's 500-write limit.
+const OCCURRENCES_PER_RUN = 200
+
+function occurrenceData(rule, isoDate, uid) {
+  return {
+    type: rule.type,
+    amount: Number(rule.amount),
+    ...(rule.currency ? { currency: rule.currency } : {}),
+    category: rule.category,
+    ...(rule.accountId ? { accountId: rule.accountId } : {}),
+    note: rule.note || '',
+    date: dayjs(isoDate).hour(9).toISOString(),
+    createdAt: new Date().toISOString(),
+    createdBy: uid,
+    recurringId: rule.id,
+  }
+}
+
+/**
+ * Materializes up to `OCCURRENCES_PER_RUN` due occurrences of one rule and advances its `nextRun`,
+ * in a transaction: a device with a stale copy of the rule re-reads `nextRun` from the server, so
+ * an occurrence that was edited or deleted is never written again, and one that exists is left alone.
+ */
+function materializeRule(ruleRef, householdId, uid, today) {
+  return runTransaction(db, async (t) => {
+    const snap = await t.get(ruleRef)
+    const rule = snap.exists() ? { id: snap.id, ...snap.data() } : null
+    if (!rule || rule.paused || !rule.nextRun) return { written: 0, more: false }
+    const due = occurrencesUntil(rule, today)
+    const dates = due.slice(0, OCCURRENCES_PER_RUN)
+    if (!dates.length) return { written: 0, more: false }
+    const refs = dates.map((isoDate) => doc(db, 'households', householdId, 'transactions', occurrenceId(rule.id, isoDate)))
+    const existing = await Promise.all(refs.map((ref) => t.get(ref)))
+    let written = 0
+    existing.forEach((occurrence, idx) => {
+      if (occurrence.exists()) return
+      t.set(refs[idx], occurrenceData(rule, dates[idx], uid))
+      written += 1
+    })
+    const lastRun = dates[dates.length - 1]
+    t.update(ruleRef, { nextRun: occurrenceAfter(rule.schedule, lastRun).format('YYYY-MM-DD'), lastRun })
+    return { written, more: due.length > dates.length }
+  })
+}
+
+/**
+ * Writes every due occurrence of every active rule into `transactions` and advances each rule's
+ * `nextRun`. Needs a connection, since each rule is advanced in a transaction. Resolves with the
+ * number of transactions written.
+ */
+export async function materializeDueRecurring(householdId, uid, today = dayjs()) {
+  const snap = await getDocs(collection(db, 'households', householdId, 'recurring'))
+  let total = 0
+  for (const docSnap of snap.docs) {
+    const data = docSnap.data()
+    if (data.paused || !data.nextRun || !occurrencesUntil(data, today).length) continue
+    let result
+    do {
+      result = await materializeRule(docSnap.ref, householdId, uid, today)
+      total += result.written
+    } while (result.more)
+  }
+  return total
+}
+
+/**
+ * Expense amount still to be materialized for `category` between `from` and `to` (inclusive),
+ * converted with `toBase` when rules are in other currencies.
+ */
+export function committedSpend(rules, category, from, to, toBase = (item) => item.amount) {
+  return rules.reduce((sum, rule) => {
+    if (rule.paused || rule.type !== 'expense' || rule.category !== category || !rule.nextRun) return sum
+    const start = dayjs(from).startOf('day')
+    const upcoming = occurrencesUntil(rule, to).filter((d) => !dayjs(d).isBefore(start))
+    return sum + upcoming.length * toBase({ amount: Number(rule.amount || 0), currency: rule.currency })
+  }, 0)
+}
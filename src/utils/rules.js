@@ -0,0 +1,140 @@
+import dayjs from 'dayjs'
+
+import { isTransfer } from './accounts.js'
+import { isSplit } from './splits.js'
+
+// Rules live in `settings/rules` as `{ rules: [...] }`, in priority order; the first enabled rule
+// whose conditions all match decides the category. A rule looks like
+// `{ id, enabled, category, conditions: [{ field, op, value, value2 }] }`.
+
+export const RULE_FIELDS = {
+  note: 'Note',
+  amount: 'Amount',
+  day: 'Day of month',
+  type: 'Type',
+  currency: 'Currency',
+}
+
+export const RULE_OPERATORS = {
+  note: { contains: 'contains', startsWith: 'starts with', equals: 'is', regex: 'matches regex' },
+  amount: { between: 'between', gte: 'at least', lte: 'at most', equals: 'is' },
+  day: { equals: 'is', between: 'between' },
+  type: { equals: 'is' },
+  currency: { equals: 'is' },
+}
+
+export function newRuleId() {
+  return `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`
+}
+
+export function blankCondition(field = 'note') {
+  return { field, op: Object.keys(RULE_OPERATORS[field])[0], value: field === 'type' ? 'expense' : '', value2: '' }
+}
+
+function fieldValue(tx, field) {
+  switch (field) {
+    case 'note': return String(tx.note || '')
+    case 'amount': return Number(tx.amount)
+    case 'day': return tx.date ? dayjs(tx.date).date() : NaN
+    case 'type': return tx.type
+    case 'currency': return tx.currency || ''
+    default: return undefined
+  }
+}
+
+// A blank input is "no value", not 0.
+function numberOrNaN(value) {
+  return String(value ?? '').trim() === '' ? NaN : Number(value)
+}
+
+/** Why a condition cannot be saved, or null. */
+export function conditionProblem(cond) {
+  if (cond.field === 'note' && cond.op === 'regex') {
+    try {
+      new RegExp(cond.value)
+    } catch {
+      return `"${cond.value}" is not a valid regular expression`
+    }
+  }
+  if (cond.field === 'amount' || cond.field === 'day') {
+    if (!Number.isFinite(numberOrNaN(cond.value))) return `Enter a number for ${RULE_FIELDS[cond.field].toLowerCase()}`
+    if (cond.op === 'between' && !Number.isFinite(numberOrNaN(cond.value2))) return `Enter both ends of the ${RULE_FIELDS[cond.field].toLowerCase()} range`
+  }
+  return null
+}
+
+function matchesCondition(cond, tx) {
+  const actual = fieldValue(tx, cond.field)
+  if (cond.field === 'note') {
+    const haystack = actual.toLowerCase()
+    const needle = String(cond.value || '').toLowerCase()
+    if (!needle) return false
+    if (cond.op === 'contains') return haystack.includes(needle)
+    if (cond.op === 'startsWith') return haystack.startsWith(needle)
+    if (cond.op === 'equals') return haystack.trim() === needle.trim()
+    if (cond.op === 'regex') {
+      try {
+        return new RegExp(cond.value, 'i').test(actual)
+      } catch {
+        return false
+      }
+    }
+    return false
+  }
+  if (cond.field === 'amount' || cond.field === 'day') {
+    const low = numberOrNaN(cond.value)
+    const high = numberOrNaN(cond.value2)
+    if (!Number.isFinite(actual) || !Number.isFinite(low)) return false
+    if (cond.op === 'between') return Number.isFinite(high) && actual >= Math.min(low, high) && actual <= Math.max(low, high)
+    if (cond.op === 'gte') return actual >= low
+    if (cond.op === 'lte') return actual <= low
+    return Math.abs(actual - low) < 0.005
+  }
+  return String(actual || '').toUpperCase() === String(cond.value || '').toUpperCase()
+}
+
+export function matchesRule(rule, tx) {
+  return Boolean(rule?.enabled !== false && rule.category && rule.conditions?.length && rule.conditions.every((cond) => matchesCondition(cond, tx)))
+}
+
+/** The first matching rule for `tx`, or null. Transfers never match. */
+export function findRule(rules, tx) {
+  if (!tx || isTransfer(tx)) return null
+  return (rules || []).find((rule) => matchesRule(rule, tx)) || null
+}
+
+export function describeCondition(cond) {
+  const op = RULE_OPERATORS[cond.field]?.[cond.op] || cond.op
+  const value = cond.field === 'note' ? `"${cond.value}"` : cond.value
+  return `${(RULE_FIELDS[cond.field] || cond.field).toLowerCase()} ${op} ${value}${cond.op === 'between' ? ` and ${cond.value2}` : ''}`
+}
+
+export function describeRule(rule) {
+  return `${(rule.conditions || []).map(describeCondition).join(' and ')} → ${rule.category}`
+}
+
+/**
+ * Sets the category of rows that arrived without one (or with "Other") from the first matching
+ * rule, remembering which rule did it in `ruleId`.
+ */
+export function categorizeRows(rules, rows) {
+  return rows.map((row) => {
+    if (row.splits || (row.category && row.category !== 'Other')) return row
+    const rule = findRule(rules, row)
+    return rule ? { ...row, category: rule.category, ruleId: rule.id } : row
+  })
+}
+
+/**
+ * What re-running the rules over `transactions` would change: one `{ tx, from, to, rule }` per
+ * transaction whose category differs. Split transactions keep their lines and are left alone.
+ */
+export function rulesDiff(rules, transactions) {
+  const changes = []
+  transactions.forEach((tx) => {
+    if (isSplit(tx)) return
+    const rule = findRule(rules, tx)
+    if (rule && rule.category !== tx.category) changes.push({ tx, from: tx.category, to: rule.category, rule })
+  })
+  return changes
+}
@@ -0,0 +1,165 @@
+import dayjs from 'dayjs'
+
+import { parseAmountNumber } from './format.js'
+import { isTransfer } from './accounts.js'
+import { lineItems } from './splits.js'
+import { parentName } from './categories.js'
+import { formatTag, normalizeTag } from './tags.js'
+
+// A small query language for transaction search, e.g.
+// `amount>50 category:Dining note:"pizza" before:2026-03 -#work coffee`.
+// `field:value` terms narrow the results, `-` in front negates a term, and the remaining words must
+// all appear in the category, payee, note, tags or date.
+
+export const SEARCH_FIELDS = {
+  amount: 'amount>50, amount<=20 or amount:12.50 (in your base currency)',
+  category: 'category:Dining (a parent category also matches its subcategories)',
+  payee: 'payee:"Cafe Nero"',
+  note: 'note:pizza',
+  tag: 'tag:work or #work',
+  type: 'type:expense, type:income or type:transfer',
+  account: 'account:Savings',
+  currency: 'currency:USD',
+  date: 'on:2026-03-05, after:2026-01, before:2026 or date>=2026-02',
+}
+
+const FIELD_ALIASES = { cat: 'category', merchant: 'payee', tags: 'tag', on: 'date', before: 'date', after: 'date' }
+const TYPES = ['expense', 'income', 'transfer']
+const TERM = /(-?)(?:(\w+)(>=|<=|:|>|<|=)(?:"([^"]*)"?|(\S+))|#(\S+)|"([^"]*)"?|(\S+))/g
+
+/** A date as typed (YYYY, YYYY-MM or YYYY-MM-DD) and the period it covers, or null. */
+function datePeriod(text) {
+  const unit = { 4: 'year', 7: 'month', 10: 'day' }[text.length]
+  const date = unit && /^\d{4}(-\d{2}){0,2}$/.test(text) ? dayjs(text) : null
+  return date?.isValid() ? { start: date.startOf(unit), end: date.endOf(unit) } : null
+}
+
+function parseTerm(negate, rawField, rawOp, value) {
+  const field = FIELD_ALIASES[rawField] || rawField
+  // `before:` and `after:` are shorthands for a date comparison.
+  const op = rawField === 'before' ? '<' : rawField === 'after' ? '>' : rawOp === '=' ? ':' : rawOp
+  const term = { field, op, value, negate }
+  if (field === 'amount') {
+    term.amount = parseAmountNumber(value)
+    return Number.isFinite(term.amount) ? term : { error: `"${value}" is not an amount` }
+  }
+  if (field === 'date') {
+    term.period = datePeriod(value)
+    return term.period ? term : { error: `Use YYYY, YYYY-MM or YYYY-MM-DD for dates, not "${value}"` }
+  }
+  if (op !== ':') return { error: `${rawField} only supports ${rawField}:value` }
+  if (field === 'type' && !TYPES.includes(value.toLowerCase())) return { error: `type is one of ${TYPES.join(', ')}` }
+  if (field === 'tag') term.value = normalizeTag(value)
+  return term
+}
+
+/**
+ * Parses a query into `{ terms, words, errors }`. Unknown `field:` prefixes are searched as plain
+ * text, so notes such as "10:30" still work; malformed values end up in `errors` and are ignored.
+ */
+export function parseQuery(text) {
+  const terms = []
+  const words = []
+  const errors = []
+  for (const match of String(text || '').matchAll(TERM)) {
+    const [, negate, field, op, quoted, bare, tag, phrase, word] = match
+    const name = field?.toLowerCase()
+    if (name && (SEARCH_FIELDS[name] || FIELD_ALIASES[name])) {
+      const term = parseTerm(Boolean(negate), name, op, quoted ?? bare ?? '')
+      if (term.error) errors.push(term.error)
+      else terms.push(term)
+    } else if (tag) {
+      terms.push({ field: 'tag', op: ':', value: normalizeTag(tag), negate: Boolean(negate) })
+    } else {
+      const value = (phrase ?? word ?? match[0].slice(negate.length)).toLowerCase()
+      if (value) words.push({ value, negate: Boolean(negate) })
+    }
+  }
+  return { terms, words, errors }
+}
+
+export const isEmptyQuery = (parsed) => !parsed.terms.length && !parsed.words.length
+
+function compare(value, op, target) {
+  switch (op) {
+    case '>': return value > target
+    case '<': return value < target
+    case '>=': return value >= target
+    case '<=': return value <= target
+    default: return Math.abs(value - target) < 0.005
+  }
+}
+
+function matchesDate(date, { op, period }) {
+  switch (op) {
+    case '>': return date.isAfter(period.end)
+    case '<': return date.isBefore(period.start)
+    case '>=': return !date.isBefore(period.start)
+    case '<=': return !date.isAfter(period.end)
+    default: return !date.isBefore(period.start) && !date.isAfter(period.end)
+  }
+}
+
+const includes = (text, needle) => String(text || '').toLowerCase().includes(needle.toLowerCase())
+
+function matchesTerm(tx, term, { toBase, categoryTree, accountName }) {
+  const value = term.value.toLowerCase()
+  switch (term.field) {
+    case 'amount': return compare(toBase(tx), term.op, term.amount)
+    case 'date': return matchesDate(dayjs(tx.date), term)
+    case 'type': return (tx.type || 'expense') === value
+    case 'currency': return (tx.currency || '').toLowerCase() === value
+    case 'tag': return (tx.tags || []).includes(term.value)
+    case 'payee': return includes(tx.payee, value)
+    case 'note': return includes(tx.note, value)
+    case 'account': return [tx.accountId, tx.toAccountId].filter(Boolean).some((id) => includes(accountName(id), value))
+    case 'category':
+      return !isTransfer(tx) && lineItems(tx).some((line) => [line.category, parentName(categoryTree, line.category)].some((name) => name?.toLowerCase() === value))
+    default: return true
+  }
+}
+
+/**
+ * Whether `tx` matches a parsed query. `toBase` converts amounts to the base currency, and
+ * `accountName(id)` resolves account names for `account:`.
+ */
+export function matchesQuery(tx, parsed, { toBase, categoryTree = [], accountName = () => '' }) {
+  const ctx = { toBase, categoryTree, accountName }
+  if (!parsed.terms.every((term) => matchesTerm(tx, term, ctx) !== term.negate)) return false
+  if (!parsed.words.length) return true
+  const haystack = [
+    ...lineItems(tx).map((line) => line.category),
+    tx.payee,
+    tx.note,
+    ...(tx.tags || []).map(formatTag),
+    dayjs(tx.date).format('MMM D YYYY HH:mm'),
+  ].filter(Boolean).join('\n').toLowerCase()
+  return parsed.words.every((word) => haystack.includes(word.value) !== word.negate)
+}
+
+/**
+ * The narrowest ISO `{ start, end }` the query's date terms allow within `bounds`, so searching the
+ * whole history only loads the part it can match.
+ */
+export function queryBounds(parsed, bounds) {
+  let start = dayjs(bounds.start)
+  let end = dayjs(bounds.end)
+  parsed.terms.filter((term) => term.field === 'date' && !term.negate).forEach(({ op, period }) => {
+    const from = { '>': period.end.add(1, 'ms'), '>=': period.start, ':': period.start }[op]
+    const to = { '<': period.start.subtract(1, 'ms'), '<=': period.end, ':': period.end }[op]
+    if (from?.isAfter(start)) start = from
+    if (to?.isBefore(end)) end = to
+  })
+  return end.isBefore(start) ? { start: bounds.start, end: bounds.start } : { start: start.toISOString(), end: end.toISOString() }
+}
+
+/** `{ count, income, expense }` in base currency for the transactions matching `parsed`; transfers count but add nothing. */
+export function queryTotals(transactions, parsed, ctx) {
+  return transactions.reduce((acc, tx) => {
+    if (!matchesQuery(tx, parsed, ctx)) return acc
+    acc.count += 1
+    if (tx.type === 'income') acc.income += ctx.toBase(tx)
+    if (tx.type === 'expense') acc.expense += ctx.toBase(tx)
+    return acc
+  }, { count: 0, income: 0, expense: 0 })
+}
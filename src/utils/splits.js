@@ -0,0 +1,51 @@
+// Split transactions carry `splits: [{ category, amount }]` in the transaction's own currency.
+// `category` on the document mirrors the largest line so single-category consumers keep working.
+
+const EPSILON = 0.005
+
+export function isSplit(tx) {
+  return Array.isArray(tx?.splits) && tx.splits.length > 0
+}
+
+/** The category/amount lines of any transaction; plain ones yield a single line. */
+export function lineItems(tx) {
+  if (isSplit(tx)) return tx.splits.map((line) => ({ category: line.category, amount: Number(line.amount || 0) }))
+  return [{ category: tx?.category, amount: Number(tx?.amount || 0) }]
+}
+
+export function hasCategory(tx, category) {
+  return lineItems(tx).some((line) => line.category === category)
+}
+
+/** Amount attributed to `category`, converted with `toBase` when given. */
+export function amountForCategory(tx, category, toBase) {
+  return lineItems(tx)
+    .filter((line) => line.category === category)
+    .reduce((sum, line) => sum + (toBase ? toBase({ ...tx, amount: line.amount }) : line.amount), 0)
+}
+
+/** Adds every line of `tx` into the `acc` map keyed by category, in base currency. */
+export function addToCategoryTotals(acc, tx, toBase) {
+  lineItems(tx).forEach((line) => {
+    const key = line.category || 'Other'
+    acc[key] = (acc[key] || 0) + toBase({ ...tx, amount: line.amount })
+  })
+  return acc
+}
+
+export function splitsTotal(lines) {
+  return lines.reduce((sum, line) => sum + (Number(line.amount) || 0), 0)
+}
+
+/** Returns an error message, or null when the lines are valid and add up to `total`. */
+export function validateSplits(lines, total) {
+  if (lines.length < 2) return 'A split needs at least two lines'
+  if (lines.some((line) => !line.category)) return 'Every split line needs a category'
+  if (lines.some((line) => !(Number(line.amount) > 0))) return 'Every split line needs an amount'
+  if (Math.abs(splitsTotal(lines) - total) > EPSILON) return 'Split lines must add up to the total'
+  return null
+}
+
+export function primaryCategory(lines) {
+  return lines.reduce((best, line) => (Number(line.amount) > Number(best.amount) ? line : best), lines[0]).category
+}
@@ -0,0 +1,267 @@
+import dayjs from 'dayjs'
+import { jsPDF } from 'jspdf'
+
+import { formatCurrency } from './format.js'
+import { isTransfer } from './accounts.js'
+import { addToCategoryTotals, isSplit, lineItems } from './splits.js'
+
+// Multi-page PDF statements drawn with jsPDF text, so everything stays selectable and long
+// listings break across pages. Loaded on demand from Analytics; jsPDF is not in the main bundle.
+
+const PAGE = { width: 210, height: 297, margin: 15 }
+const ROW_HEIGHT = 6
+const FOOTER_Y = PAGE.height - 8
+const CONTENT_BOTTOM = PAGE.height - 18
+const TOP_CATEGORIES = 5
+
+// The built-in PDF fonts only cover Latin-1 (plus €); anything else would print as garbage, so
+// each run of such characters becomes a "?" and the build reports that it had to do so.
+const UNSUPPORTED = /[^\x20-\xff€]/
+const PLACEHOLDER = '?'
+
+// Set while a statement is being built (the build is synchronous).
+let replacedText = false
+
+function clean(text) {
+  const value = String(text ?? '').replace(/[\u00a0\u202f]/g, ' ').replace(/[\u2013\u2014]/g, '-')
+  if (UNSUPPORTED.test(value)) replacedText = true
+  return value.replace(new RegExp(`${UNSUPPORTED.source}+`, 'g'), PLACEHOLDER).replace(/\s+/g, ' ').trim()
+}
+
+/** Currency amount the built-in fonts can print: the symbol when they have it, else the ISO code. */
+function money(value, currency) {
+  const symbol = formatCurrency(value, currency).replace(/[\u00a0\u202f]/g, ' ')
+  return UNSUPPORTED.test(symbol) ? clean(formatCurrency(value, currency, { currencyDisplay: 'code' })) : symbol
+}
+
+/**
+ * Totals for a statement: `{ income, expense, net, count, incomeByCat, expenseByCat }`, where the
+ * category maps hold `{ total, count }` in base currency. Transfers are listed but never totalled.
+ */
+export function statementSummary(transactions, toBase) {
+  const summary = { income: 0, expense: 0, count: transactions.length, incomeByCat: {}, expenseByCat: {} }
+  transactions.forEach((tx) => {
+    if (isTransfer(tx)) return
+    const totals = addToCategoryTotals({}, tx, toBase)
+    const byCat = tx.type === 'income' ? summary.incomeByCat : summary.expenseByCat
+    Object.entries(totals).forEach(([cat, value]) => {
+      byCat[cat] = { total: (byCat[cat]?.total || 0) + value, count: (byCat[cat]?.count || 0) + 1 }
+    })
+    summary[tx.type === 'income' ? 'income' : 'expense'] += toBase(tx)
+  })
+  summary.net = summary.income - summary.expense
+  return summary
+}
+
+function sortedCategories(byCat) {
+  return Object.entries(byCat).sort(([, a], [, b]) => b.total - a.total)
+}
+
+/** Shortens `text` with "..." until it fits `width` millimetres in the current font. */
+function fit(doc, text, width) {
+  let value = clean(text)
+  if (doc.getTextWidth(value) <= width) return value
+  while (value.length > 1 && doc.getTextWidth(`${value}...`) > width) value = value.slice(0, -1)
+  return `${value}...`
+}
+
+/** Cursor-based page writer: keeps track of `y` and starts a new page when content would overflow. */
+function createWriter(doc) {
+  const writer = {
+    y: PAGE.margin,
+    // Called after every page break, e.g. to repeat a table header.
+    onNewPage: null,
+    ensure(height) {
+      if (writer.y + height <= CONTENT_BOTTOM) return
+      doc.addPage()
+      writer.y = PAGE.margin
+      writer.onNewPage?.()
+    },
+    heading(text) {
+      writer.onNewPage = null
+      writer.ensure(14)
+      doc.setFont('helvetica', 'bold')
+      doc.setFontSize(13)
+      doc.setTextColor(20)
+      doc.text(clean(text), PAGE.margin, writer.y + 5)
+      writer.y += 10
+    },
+    line(text, { size = 10, bold = false, color = 60 } = {}) {
+      writer.ensure(size * 0.5)
+      doc.setFont('helvetica', bold ? 'bold' : 'normal')
+      doc.setFontSize(size)
+      doc.setTextColor(color)
+      doc.text(clean(text), PAGE.margin, writer.y + size * 0.35)
+      writer.y += size * 0.5
+    },
+  }
+  return writer
+}
+
+/**
+ * Draws a table. `columns` are `{ header, width, align? }` (widths in mm); `rows` are arrays of
+ * strings, or `{ cells, bold }` for emphasised rows such as totals. The header repeats on every page.
+ */
+function drawTable(doc, writer, columns, rows) {
+  const tableWidth = columns.reduce((sum, col) => sum + col.width, 0)
+  const drawRow = (cells, { header = false, bold = false, shade = false } = {}) => {
+    if (header || shade) {
+      doc.setFillColor(header ? 228 : 246)
+      doc.rect(PAGE.margin, writer.y, tableWidth, ROW_HEIGHT, 'F')
+    }
+    doc.setFont('helvetica', header || bold ? 'bold' : 'normal')
+    doc.setFontSize(8.5)
+    doc.setTextColor(header ? 20 : 40)
+    let x = PAGE.margin
+    columns.forEach((col, idx) => {
+      const text = fit(doc, cells[idx], col.width - 3)
+      if (col.align === 'right') doc.text(text, x + col.width - 1.5, writer.y + 4.2, { align: 'right' })
+      else doc.text(text, x + 1.5, writer.y + 4.2)
+      x += col.width
+    })
+    writer.y += ROW_HEIGHT
+  }
+  const header = () => drawRow(columns.map((col) => col.header), { header: true })
+  writer.ensure(ROW_HEIGHT * 2)
+  header()
+  writer.onNewPage = header
+  rows.forEach((row, idx) => {
+    writer.ensure(ROW_HEIGHT)
+    const cells = Array.isArray(row) ? row : row.cells
+    drawRow(cells, { bold: row.bold, shade: idx % 2 === 1 })
+  })
+  writer.onNewPage = null
+  writer.y += 4
+}
+
+function categoryTable(doc, writer, byCat, total, currency) {
+  const rows = sortedCategories(byCat).map(([cat, { total: value, count }]) => [
+    cat,
+    String(count),
+    money(value, currency),
+    total ? `${((value / total) * 100).toFixed(1)}%` : '',
+  ])
+  rows.push({ cells: ['Total', '', money(total, currency), total ? '100%' : ''], bold: true })
+  drawTable(doc, writer, [
+    { header: 'Category', width: 95 },
+    { header: 'Transactions', width: 25, align: 'right' },
+    { header: 'Amount', width: 40, align: 'right' },
+    { header: 'Share', width: 20, align: 'right' },
+  ], rows)
+}
+
+/**
+ * Builds the statement and returns `{ doc, replacedText }`: the jsPDF document, and whether some
+ * text (e.g. Cyrillic, Greek or CJK) was printed as "?" because the PDF fonts lack it. `range` is a resolved range
+ * (`{ start, end, label }`), `charts` optional `[{ title, image, aspect? }]` PNG data URLs drawn
+ * on the cover (`aspect` is height over width), and `accountName(id)` labels accounts in the listing.
+ */
+export function buildStatementPdf({ householdName, range, transactions, currency, toBase, accountName, charts = [] }) {
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' })
+  const writer = createWriter(doc)
+  replacedText = false
+  const summary = statementSummary(transactions, toBase)
+  const sorted = [...transactions].sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+  const period = `${range.start.format('MMM D, YYYY')} - ${range.end.format('MMM D, YYYY')}`
+
+  doc.setProperties({ title: clean(`${householdName} statement ${range.label}`), creator: 'Jinofin' })
+
+  // Cover summary
+  writer.line(householdName || 'Household', { size: 20, bold: true, color: 20 })
+  writer.y += 2
+  writer.line(`Statement for ${range.label}`, { size: 13, color: 40 })
+  writer.line(`${period} · amounts in ${currency} · generated ${dayjs().format('MMM D, YYYY HH:mm')}`, { size: 9, color: 110 })
+  writer.y += 6
+
+  const cards = [
+    ['Income', money(summary.income, currency)],
+    ['Expenses', money(summary.expense, currency)],
+    ['Net', money(summary.net, currency)],
+    ['Savings rate', summary.income > 0 ? `${((summary.net / summary.income) * 100).toFixed(1)}%` : '-'],
+  ]
+  const cardWidth = (PAGE.width - PAGE.margin * 2 - 6 * (cards.length - 1)) / cards.length
+  cards.forEach(([label, value], idx) => {
+    const x = PAGE.margin + idx * (cardWidth + 6)
+    doc.setFillColor(244)
+    doc.roundedRect(x, writer.y, cardWidth, 18, 2, 2, 'F')
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(8.5)
+    doc.setTextColor(110)
+    doc.text(label, x + 3, writer.y + 6)
+    doc.setFont('helvetica', 'bold')
+    doc.setFontSize(11)
+    doc.setTextColor(20)
+    doc.text(fit(doc, value, cardWidth - 6), x + 3, writer.y + 13.5)
+  })
+  writer.y += 24
+  writer.line(`${summary.count} transactions in this period.`, { size: 9.5 })
+
+  const top = sortedCategories(summary.expenseByCat).slice(0, TOP_CATEGORIES)
+  if (top.length) {
+    writer.line(`Biggest spending: ${top.map(([cat, { total }]) => `${cat} ${money(total, currency)}`).join(', ')}`, { size: 9.5 })
+  }
+  writer.y += 4
+
+  charts.forEach(({ title, image, aspect = 0.5 }) => {
+    const width = PAGE.width - PAGE.margin * 2
+    const height = width * aspect
+    writer.ensure(height + 10)
+    writer.line(title, { size: 10, bold: true, color: 40 })
+    writer.y += 1
+    doc.addImage(image, 'PNG', PAGE.margin, writer.y, width, height)
+    writer.y += height + 6
+  })
+
+  // Per-category tables
+  writer.heading('Spending by category')
+  if (summary.expense) categoryTable(doc, writer, summary.expenseByCat, summary.expense, currency)
+  else writer.line('No expenses in this period.', { size: 9.5 })
+
+  writer.heading('Income by category')
+  if (summary.income) categoryTable(doc, writer, summary.incomeByCat, summary.income, currency)
+  else writer.line('No income in this period.', { size: 9.5 })
+
+  // Full listing, oldest first; foreign-currency rows also show the converted amount.
+  const foreign = sorted.some((tx) => tx.currency && tx.currency !== currency)
+  writer.heading('Transactions')
+  if (!sorted.length) {
+    writer.line('No transactions in this period.', { size: 9.5 })
+  } else {
+    const columns = [
+      { header: 'Date', width: 20 },
+      { header: 'Description', width: foreign ? 50 : 62 },
+      { header: 'Category', width: foreign ? 34 : 40 },
+      { header: 'Account', width: foreign ? 24 : 28 },
+      { header: 'Amount', width: 30, align: 'right' },
+    ]
+    if (foreign) columns.push({ header: currency, width: 22, align: 'right' })
+    const rows = sorted.map((tx) => {
+      const sign = tx.type === 'expense' ? -1 : 1
+      const category = isTransfer(tx) ? 'Transfer' : isSplit(tx) ? lineItems(tx).map((line) => line.category).join(' + ') : tx.category || 'Other'
+      const account = isTransfer(tx)
+        ? `${accountName(tx.accountId)} > ${accountName(tx.toAccountId)}`
+        : tx.accountId ? accountName(tx.accountId) : ''
+      const cells = [
+        dayjs(tx.date).format('YYYY-MM-DD'),
+        [tx.payee, tx.note].filter(Boolean).join(' - '),
+        category,
+        account,
+        money(sign * Number(tx.amount || 0), tx.currency || currency),
+      ]
+      if (foreign) cells.push(tx.currency && tx.currency !== currency ? money(sign * toBase(tx), currency) : '')
+      return cells
+    })
+    drawTable(doc, writer, columns, rows)
+  }
+
+  const pages = doc.getNumberOfPages()
+  for (let page = 1; page <= pages; page += 1) {
+    doc.setPage(page)
+    doc.setFont('helvetica', 'normal')
+    doc.setFontSize(8)
+    doc.setTextColor(130)
+    doc.text(fit(doc, `${householdName || 'Household'} · ${range.label}`, 140), PAGE.margin, FOOTER_Y)
+    doc.text(`Page ${page} of ${pages}`, PAGE.width - PAGE.margin, FOOTER_Y, { align: 'right' })
+  }
+  return { doc, replacedText }
+}
@@ -0,0 +1,143 @@
+import dayjs from 'dayjs'
+import { collection, getDocs, limit, orderBy, query } from 'firebase/firestore'
+
+import { db } from '../firebaseClient'
+import { isTransfer } from './accounts.js'
+import { isSplit } from './splits.js'
+
+// A small naive Bayes classifier trained in the browser on the household's own transactions.
+// Features: payee and note words, time of day, weekday and (log) amount. Nothing leaves the device.
+
+export const TRAINING_LIMIT = 1500
+export const SUGGEST_CONFIDENCE = 0.5
+
+const HOUR_BUCKETS = 6
+
+function tokens(note) {
+  return Array.from(new Set(String(note || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((t) => t.length > 1 && !/^\d+$/.test(t))))
+}
+
+/** The payee says as much about the category as the note does, so both feed the word features. */
+const describing = ({ payee, note }) => [payee, note].filter(Boolean).join(' ')
+
+/** Imported statement lines only carry a date; midnight means "time unknown" and is left out. */
+function hourBucket(date) {
+  const d = dayjs(date)
+  if (!d.isValid() || (d.hour() === 0 && d.minute() === 0)) return null
+  return Math.floor(d.hour() / (24 / HOUR_BUCKETS))
+}
+
+function median(values) {
+  if (!values.length) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  const mid = Math.floor(sorted.length / 2)
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2
+}
+
+function blankStats() {
+  return { count: 0, words: 0, tokens: {}, hours: {}, timed: 0, weekdays: {}, logSum: 0, logSq: 0, amounts: {} }
+}
+
+/** Most recent transactions, newest first, to train on. */
+export async function loadTrainingTransactions(householdId, max = TRAINING_LIMIT) {
+  const qRef = query(collection(db, 'households', householdId, 'transactions'), orderBy('date', 'desc'), limit(max))
+  const snap = await getDocs(qRef)
+  const list = []
+  snap.forEach((docSnap) => list.push({ id: docSnap.id, ...docSnap.data() }))
+  return list
+}
+
+/**
+ * Builds the model from past transactions. Transfers and split transactions are skipped, as is
+ * the catch-all "Other", which would otherwise soak up every unfamiliar word.
+ */
+export function trainCategoryModel(transactions) {
+  const model = { expense: {}, income: {}, vocabulary: new Set(), size: 0 }
+  transactions.forEach((tx) => {
+    if (isTransfer(tx) || isSplit(tx) || !tx.category || tx.category === 'Other') return
+    const byType = model[tx.type === 'income' ? 'income' : 'expense']
+    const stats = byType[tx.category] || (byType[tx.category] = blankStats())
+    const amount = Number(tx.amount)
+    const words = tokens(describing(tx))
+    stats.count += 1
+    stats.words += words.length
+    words.forEach((t) => {
+      stats.tokens[t] = (stats.tokens[t] || 0) + 1
+      model.vocabulary.add(t)
+    })
+    const hour = hourBucket(tx.date)
+    if (hour != null) {
+      stats.hours[hour] = (stats.hours[hour] || 0) + 1
+      stats.timed += 1
+    }
+    const weekday = dayjs(tx.date).day()
+    stats.weekdays[weekday] = (stats.weekdays[weekday] || 0) + 1
+    if (amount > 0) {
+      stats.logSum += Math.log(amount)
+      stats.logSq += Math.log(amount) ** 2
+      // Amounts are remembered per currency and per note word, so "coffee" suggests a coffee price.
+      const key = tx.currency || ''
+      const byCurrency = stats.amounts[key] || (stats.amounts[key] = { all: [], tokens: {} })
+      byCurrency.all.push(amount)
+      words.forEach((t) => { (byCurrency.tokens[t] || (byCurrency.tokens[t] = [])).push(amount) })
+    }
+    model.size += 1
+  })
+  return model
+}
+
+function logLikelihood(stats, total, vocabSize, features) {
+  let score = Math.log(stats.count / total)
+  features.words.forEach((t) => {
+    score += Math.log(((stats.tokens[t] || 0) + 1) / (stats.words + vocabSize))
+  })
+  if (features.hour != null && stats.timed) score += Math.log(((stats.hours[features.hour] || 0) + 1) / (stats.timed + HOUR_BUCKETS))
+  if (features.weekday != null) score += Math.log(((stats.weekdays[features.weekday] || 0) + 1) / (stats.count + 7))
+  if (features.logAmount != null && stats.count > 1 && stats.logSum) {
+    const mean = stats.logSum / stats.count
+    const variance = Math.max(stats.logSq / stats.count - mean ** 2, 0.25)
+    score += -((features.logAmount - mean) ** 2) / (2 * variance) - Math.log(Math.sqrt(2 * Math.PI * variance))
+  }
+  return score
+}
+
+/**
+ * Best category for what has been typed so far, as `{ category, confidence, amount }`, or null when
+ * nothing in the payee or note is familiar or no category is confident enough. `amount` is the typical amount
+ * for that category and note (in `currency`), or null.
+ */
+export function suggestCategory(model, { type, payee, note, date, amount, currency }) {
+  if (!model || type === 'transfer') return null
+  const byType = model[type === 'income' ? 'income' : 'expense']
+  const words = tokens(describing({ payee, note })).filter((t) => model.vocabulary.has(t))
+  const names = Object.keys(byType)
+  if (!words.length || !names.length) return null
+  const value = Number(amount)
+  const features = {
+    words,
+    hour: date ? hourBucket(date) : null,
+    weekday: date ? dayjs(date).day() : null,
+    logAmount: value > 0 ? Math.log(value) : null,
+  }
+  const total = names.reduce((sum, name) => sum + byType[name].count, 0)
+  const scores = names.map((name) => ({ name, score: logLikelihood(byType[name], total, model.vocabulary.size, features) }))
+  const top = Math.max(...scores.map((s) => s.score))
+  const norm = scores.reduce((sum, s) => sum + Math.exp(s.score - top), 0)
+  const best = scores.find((s) => s.score === top)
+  const confidence = 1 / norm
+  if (confidence < SUGGEST_CONFIDENCE) return null
+  const amounts = byType[best.name].amounts[currency || ''] || { all: [], tokens: {} }
+  const matching = words.flatMap((t) => amounts.tokens[t] || [])
+  const typical = median(matching.length ? matching : amounts.all)
+  return { category: best.name, confidence, amount: typical == null ? null : Math.round(typical * 100) / 100 }
+}
+
+/** Fills rows still without a category (or "Other") from the model, marking them `suggested`. */
+export function suggestRows(model, rows) {
+  if (!model?.size) return rows
+  return rows.map((row) => {
+    if (!row.valid || row.splits || row.ruleId || (row.category && row.category !== 'Other')) return row
+    const suggestion = suggestCategory(model, row)
+    return suggestion ? { ...row, category: suggestion.category, suggested: true } : row
+  })
+}
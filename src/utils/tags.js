@@ -0,0 +1,77 @@
+import { isTransfer } from './accounts.js'
+import { lineItems } from './splits.js'
+
+// Tags are stored as `tags: ['vacation2026', 'work']`: lowercase, without the leading "#", so
+// "#Work" and "work" are the same tag. `payee` is the merchant or person, kept as first typed and
+// compared case-insensitively. Both are optional and cut across categories.
+
+const MAX_TAG_LENGTH = 40
+const MAX_PAYEE_LENGTH = 80
+
+export function normalizeTag(raw) {
+  return String(raw || '').trim().replace(/^#+/, '').toLowerCase().replace(/[^\p{L}\p{N}_-]+/gu, '-').replace(/^-+|-+$/g, '').slice(0, MAX_TAG_LENGTH)
+}
+
+/** "#vacation2026, #work" or "vacation2026 work" as a list of unique tags. */
+export function parseTags(text) {
+  return Array.from(new Set(String(text || '').split(/[\s,;]+/).map(normalizeTag).filter(Boolean)))
+}
+
+export const formatTag = (tag) => `#${tag}`
+
+export function normalizePayee(raw) {
+  return String(raw || '').replace(/\s+/g, ' ').trim().slice(0, MAX_PAYEE_LENGTH)
+}
+
+export const payeeKey = (name) => normalizePayee(name).toLowerCase()
+
+export const hasTag = (tx, tag) => Array.isArray(tx.tags) && tx.tags.includes(tag)
+
+export const hasPayee = (tx, payee) => Boolean(tx.payee) && payeeKey(tx.payee) === payeeKey(payee)
+
+/**
+ * Payees and tags used in `transactions`, most used first, for autocomplete and filters. Payees are
+ * `{ name, count, category }` with the spelling and category of their newest transaction.
+ */
+export function historyLabels(transactions) {
+  const payees = new Map()
+  const tags = new Map()
+  const newestFirst = [...transactions].sort((a, b) => (b.date || '').localeCompare(a.date || ''))
+  newestFirst.forEach((tx) => {
+    if (tx.payee) {
+      const key = payeeKey(tx.payee)
+      const entry = payees.get(key) || { name: normalizePayee(tx.payee), count: 0, category: isTransfer(tx) ? null : tx.category || null }
+      entry.count += 1
+      payees.set(key, entry)
+    }
+    for (const tag of tx.tags || []) tags.set(tag, (tags.get(tag) || 0) + 1)
+  })
+  return {
+    payees: Array.from(payees.values()).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name)),
+    tags: Array.from(tags.entries()).sort(([a, x], [b, y]) => y - x || a.localeCompare(b)).map(([tag]) => tag),
+  }
+}
+
+/**
+ * Totals per tag or per payee (`by`: 'tags' | 'payee') in base currency, as
+ * `[{ label, expense, income, count, categories }]` sorted by spend. A transaction with several
+ * tags counts in full under each of them; transfers are left out.
+ */
+export function labelBreakdown(transactions, by, toBase) {
+  const groups = new Map()
+  transactions.forEach((tx) => {
+    if (isTransfer(tx)) return
+    const labels = by === 'tags' ? tx.tags || [] : tx.payee ? [normalizePayee(tx.payee)] : []
+    labels.forEach((label) => {
+      const key = by === 'tags' ? label : payeeKey(label)
+      const group = groups.get(key) || { label, expense: 0, income: 0, count: 0, categories: new Set() }
+      group[tx.type === 'income' ? 'income' : 'expense'] += toBase(tx)
+      group.count += 1
+      lineItems(tx).forEach((line) => group.categories.add(line.category))
+      groups.set(key, group)
+    })
+  })
+  return Array.from(groups.values())
+    .map((group) => ({ ...group, categories: group.categories.size }))
+    .sort((a, b) => b.expense - a.expense || b.income - a.income)
+}
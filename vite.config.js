@@ -23,7 +23,17 @@ export default defineConfig({
         ]
       },
       workbox: {
-        globPatterns: ['**/*.{js,css,html,ico,png,svg}']
+        globPatterns: ['**/*.{js,css,html,ico,png,svg}'],
+        // The receipt OCR engine and model are large and only needed once someone scans,
+        // so they are cached on first use instead of with the app shell.
+        globIgnores: ['**/tesseract-core-*', '**/worker.min-*'],
+        runtimeCaching: [
+          {
+            urlPattern: /\/assets\/(tesseract-core-|worker\.min-|eng\.traineddata-)/,
+            handler: 'CacheFirst',
+            options: { cacheName: 'ocr-assets', expiration: { maxEntries: 10 } }
+          }
+        ]
       },
       devOptions: {
         enabled: true